@@ -0,0 +1,150 @@
+import { getPlatform } from "../scrapers/registry.js";
+import { parseCsv } from "../utils/csv.js";
+import { MODE_ERROR, parseIdentityParams, parseMode } from "../utils/requestParams.js";
+import {
+  DEFAULT_CONCURRENCY,
+  MAX_BATCH_ITEMS,
+  MAX_CONCURRENCY,
+  normalizeBatchItem,
+  runBatch
+} from "../services/batchRunner.js";
+
+// CSV header names accepted for each item field
+const CSV_COLUMNS = {
+  productname: "productName",
+  name: "productName",
+  product: "productName",
+  link: "link",
+  url: "link",
+  platform: "platform"
+};
+
+/**
+ * Read batch items from an uploaded CSV. With a header row the productName,
+ * link and platform columns are used; without one, the first cell of each row.
+ * @param {string} text - CSV content
+ * @returns {Array<string|Object>} Raw items
+ */
+function itemsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => CSV_COLUMNS[cell.toLowerCase()]);
+  if (!header.some(Boolean)) {
+    return rows.map(row => row[0]);
+  }
+
+  return rows.slice(1).map(row => {
+    const item = {};
+    header.forEach((field, column) => {
+      if (field && row[column]) item[field] = row[column];
+    });
+    return item;
+  });
+}
+
+/**
+ * Validate a batch request, from a JSON body or a CSV upload plus query options
+ * @param {Object} req - Express request
+ * @returns {{ error: string }|{ items: Object[], options: Object }}
+ */
+function parseBatchRequest(req) {
+  const isCsv = req.is("text/csv") || req.is("text/plain");
+  const params = isCsv ? req.query : req.body || {};
+  const rawItems = isCsv ? itemsFromCsv(typeof req.body === "string" ? req.body : "") : params.items;
+
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { error: isCsv ? "CSV contains no items" : "items must be a non-empty array" };
+  }
+  if (rawItems.length > MAX_BATCH_ITEMS) {
+    return { error: `A batch can hold at most ${MAX_BATCH_ITEMS} items` };
+  }
+
+  const items = rawItems.map(normalizeBatchItem);
+  const invalid = items.findIndex(item => item === null);
+  if (invalid !== -1) {
+    return { error: `Item ${invalid} needs a productName or an http(s) link, and a supported platform if one is given` };
+  }
+
+  // "amazon,flipkart" in a query string, an array in a JSON body
+  let { platforms } = params;
+  if (typeof platforms === "string") platforms = platforms.split(",").map(id => id.trim()).filter(Boolean);
+  if (platforms !== undefined) {
+    if (!Array.isArray(platforms) || platforms.length === 0 || platforms.some(id => typeof id !== "string" || !getPlatform(id))) {
+      return { error: "platforms must be a list of supported platform ids" };
+    }
+    platforms = platforms.map(id => id.toLowerCase());
+  }
+
+  const concurrency = params.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(params.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    return { error: `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}` };
+  }
+
+  const mode = parseMode(params.mode);
+  if (mode === null) {
+    return { error: MODE_ERROR };
+  }
+  const identity = parseIdentityParams(params);
+  if (identity.error) {
+    return identity;
+  }
+
+  return {
+    items,
+    options: {
+      platforms,
+      concurrency,
+      display: params.display === true || params.display === "true",
+      fresh: params.fresh === true || params.fresh === "true",
+      mode,
+      proxy: identity.proxy,
+      profile: identity.profile
+    },
+    stream: params.stream === true || params.stream === "true"
+  };
+}
+
+// POST /api/batch { "items": ["iphone 15", "https://www.flipkart.com/...", { "productName": "...", "platform": "amazon" }] }
+// or a text/csv body (options in the query string). Optional: "platforms", "concurrency", "display", "fresh", "mode",
+// "proxy" and "profile".
+// Send Accept: application/x-ndjson (or "stream": true) to receive one JSON line per result as it finishes.
+export const runBatchScrape = async (req, res) => {
+  try {
+    const parsed = parseBatchRequest(req);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const wantsStream = parsed.stream || req.accepts(["application/json", "application/x-ndjson"]) === "application/x-ndjson";
+
+    if (!wantsStream) {
+      const results = await runBatch(parsed.items, parsed.options);
+      const succeeded = results.filter(entry => entry.success).length;
+      return res.json({
+        success: true,
+        data: { total: results.length, succeeded, failed: results.length - succeeded, results }
+      });
+    }
+
+    // Stop scheduling new scrapes if the client goes away
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+
+    res.status(200).set("Content-Type", "application/x-ndjson");
+    res.flushHeaders();
+
+    await runBatch(parsed.items, {
+      ...parsed.options,
+      signal: controller.signal,
+      onResult: entry => {
+        if (!res.writableEnded) res.write(`${JSON.stringify(entry)}\n`);
+      }
+    });
+    return res.end();
+  } catch (error) {
+    console.error("Error in /batch route:", error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
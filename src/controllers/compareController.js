@@ -0,0 +1,197 @@
+import { listPlatforms } from '../scrapers/registry.js';
+import { getUnifiedProductName } from './unifyname.js';
+import { parseProductUrl } from '../scrapers/productUrl.js';
+import { lowestOffer } from '../scrapers/sellers.js';
+import { annotateMatches, DEFAULT_MATCH_THRESHOLD } from '../services/productMatcher.js';
+
+// Per-platform budget; a single Puppeteer session rarely needs more than this
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Run work with a time limit. When the time is up the work is aborted as well
+ * as given up on, so a scrape nobody else is waiting for stops retrying and
+ * hands its browser page back instead of holding it after the comparison has answered.
+ * @param {(signal: AbortSignal) => Promise} run - Starts the work
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} platform - Platform name used in the error message
+ * @returns {Promise}
+ */
+function withTimeout(run, ms, platform) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${platform} timed out after ${ms}ms`);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one platform scraper and shape its outcome as a comparison entry
+ * @param {Object} entry - Registered platform
+ * @param {string} productName - Product to search for
+ * @param {Object} options - Time budget and scraper options; productLink opens that page instead of searching
+ * @returns {Promise<Object>} Comparison entry
+ */
+async function runPlatform({ name: platform, scrape, scrapeUrl }, productName, {
+  timeoutMs, display, fresh, mode, proxy, profile, variant, payment, sellers, pincode, onProgress, productLink
+}) {
+  try {
+    const options = { display, fresh, mode, proxy, profile, variant, payment, sellers, pincode, onProgress };
+    const result = await withTimeout(signal => (productLink
+      ? scrapeUrl(productLink, { ...options, signal })
+      : scrape(productName, { ...options, signal })), timeoutMs, platform);
+
+    if (!result || !result.success) {
+      return {
+        platform,
+        success: false,
+        error: result?.error || 'Scraping failed',
+        code: result?.code || 'SCRAPE_FAILED',
+        retryable: result?.retryable || false,
+        meta: result?.meta
+      };
+    }
+
+    return {
+      platform,
+      success: true,
+      // Amount in paise: after offers for the payment profile when there is one, else the listed price
+      effectivePrice: result.data.pricing ? result.data.pricing.effectivePrice : result.data.price,
+      // The page's default offer, and the cheapest new offer from any seller when sellers were read
+      buyBox: { price: result.data.price, seller: result.data.seller },
+      lowest: lowestOffer(result.data),
+      isCheapest: false,
+      data: result.data,
+      meta: result.meta
+    };
+  } catch (error) {
+    return {
+      platform,
+      success: false,
+      error: error.message,
+      code: 'SCRAPE_FAILED',
+      retryable: false
+    };
+  }
+}
+
+/**
+ * Order entries by effective price; priced results first, failures last
+ * @param {Object} a - Comparison entry
+ * @param {Object} b - Comparison entry
+ * @returns {number}
+ */
+function byEffectivePrice(a, b) {
+  const priceA = a.success ? a.effectivePrice : null;
+  const priceB = b.success ? b.effectivePrice : null;
+
+  if (priceA === null && priceB === null) {
+    return Number(b.success) - Number(a.success);
+  }
+  if (priceA === null) return 1;
+  if (priceB === null) return -1;
+  return priceA - priceB;
+}
+
+/**
+ * Controller function: search every registered platform concurrently and
+ * rank the results by effective price.
+ * onProgress(stage, details) relays scraper progress; onPlatformResult(entry)
+ * receives each platform's entry as soon as it finishes.
+ * A variant ({ storage: "256GB" }) is read on every platform so the prices
+ * compare the same configuration; platforms that do not offer it fail with VARIANT_NOT_FOUND.
+ * A payment profile ("HDFC credit card") ranks by the price after the offers it gets on each platform.
+ * With sellers, each entry's lowest tells the cheapest seller apart from the buy box.
+ * With a pincode, prices and delivery are for that location and a platform that
+ * does not deliver there is not picked as the cheapest.
+ */
+export default async function compareProducts({
+  productName,
+  link,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  display = false,
+  fresh = false,
+  mode,
+  proxy,
+  profile,
+  variant,
+  payment,
+  sellers = false,
+  pincode,
+  matchThreshold = DEFAULT_MATCH_THRESHOLD,
+  excludeMismatches = false,
+  onProgress,
+  onPlatformResult
+}) {
+  try {
+    let query = productName;
+
+    if (!query && link) {
+      console.log(`\n🔗 Unifying product name for: ${link}`);
+      query = await getUnifiedProductName(link);
+    }
+
+    console.log(`\n⚖️  Comparing prices for: ${query}\n`);
+
+    // The link's own store is read from the product page itself rather than searched
+    const linked = link ? parseProductUrl(link) : null;
+
+    // Each platform's entry is handed to onPlatformResult as soon as it is ready
+    const results = await Promise.all(
+      listPlatforms().map(async entry => {
+        const productLink = linked?.platform === entry.id ? link : undefined;
+        const result = await runPlatform(entry, query, {
+          timeoutMs, display, fresh, mode, proxy, profile, variant, payment, sellers, pincode, onProgress, productLink
+        });
+        onPlatformResult?.(result);
+        return result;
+      })
+    );
+
+    results.sort(byEffectivePrice);
+
+    // Flag results that are a different product than the one asked for
+    const matches = annotateMatches(query, results, { threshold: matchThreshold });
+    const isMismatch = entry => entry.success && entry.match && !entry.match.matched;
+    const excluded = excludeMismatches ? results.filter(isMismatch) : [];
+    const compared = excludeMismatches ? results.filter(entry => !isMismatch(entry)) : results;
+
+    const cannotDeliver = entry => entry.data?.shipping?.serviceable === false;
+    const cheapest = compared.find(entry => entry.success && !isMismatch(entry) && !cannotDeliver(entry) &&
+      entry.effectivePrice !== null) || null;
+    if (cheapest) {
+      cheapest.isCheapest = true;
+    }
+
+    const output = {
+      success: true,
+      query,
+      cheapest: cheapest
+        ? {
+            platform: cheapest.platform,
+            price: cheapest.effectivePrice,
+            currency: cheapest.data.currency,
+            productLink: cheapest.data.productLink
+          }
+        : null,
+      results: compared,
+      excluded,
+      matches
+    };
+
+    console.log('\n✅ Comparison completed!\n');
+
+    return output;
+
+  } catch (error) {
+    console.error('\n❌ Comparison failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
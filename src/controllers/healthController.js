@@ -0,0 +1,39 @@
+import scraperHealth from "../services/scraperHealth.js";
+import networkIdentity from "../services/networkIdentity.js";
+import { listSelectorMaps } from "../scrapers/selectorConfig.js";
+
+// GET /api/health/scrapers, per-platform field success rates over the last extractions.
+// status is "degraded" while any field of the platform is below its alert threshold.
+export const getScraperHealth = async (req, res) => {
+  try {
+    const report = scraperHealth.report();
+
+    // Platforms nobody has scraped yet still show up, with the map version in use
+    for (const { platform, version } of listSelectorMaps()) {
+      if (!report.platforms[platform] || report.platforms[platform].selectorVersion !== version) {
+        report.platforms[platform] = {
+          selectorVersion: version,
+          status: "unknown",
+          extractions: 0,
+          degraded: 0,
+          fields: {}
+        };
+      }
+    }
+
+    return res.json({ success: true, data: report });
+  } catch (error) {
+    console.error("Error in /health/scrapers route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// GET /api/health/network, proxy scores and benches plus the browser profiles in rotation.
+export const getNetworkHealth = async (req, res) => {
+  try {
+    return res.json({ success: true, data: networkIdentity.report() });
+  } catch (error) {
+    console.error("Error in /health/network route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
@@ -0,0 +1,60 @@
+import { getPriceHistory, listTrackedProducts } from "../services/priceHistory.js";
+
+/**
+ * Parse a from/to query value; a bare date as "to" covers that whole day
+ * @param {string|undefined} value - ISO date or date-time
+ * @param {boolean} endOfDay - Move a bare date to its last millisecond
+ * @returns {Date|undefined|null} Date, undefined when absent, null when invalid
+ */
+function parseDate(value, endOfDay = false) {
+  if (value === undefined || value === "") return undefined;
+  if (typeof value !== "string") return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+// GET /api/history?link=...&from=2024-01-01&to=2024-03-31
+export const getHistory = async (req, res) => {
+  try {
+    const { link } = req.query;
+    if (!link || typeof link !== "string") {
+      return res.status(400).json({ success: false, error: "link is required" });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to, true);
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, error: "from and to must be ISO dates" });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ success: false, error: "from must not be after to" });
+    }
+
+    const history = await getPriceHistory(link, { from, to });
+    if (!history) {
+      return res.status(404).json({ success: false, error: "No price history for this product" });
+    }
+
+    return res.json({ success: true, data: history });
+  } catch (error) {
+    console.error("Error in /history route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// GET /api/history/products
+export const listHistoryProducts = async (req, res) => {
+  try {
+    const products = await listTrackedProducts();
+    return res.json({ success: true, data: products });
+  } catch (error) {
+    console.error("Error in /history/products route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
@@ -0,0 +1,168 @@
+import jobQueue from "../services/jobQueue.js";
+import compareProducts from "./compareController.js";
+import { getPlatform } from "../scrapers/registry.js";
+import { parseProductUrl } from "../scrapers/productUrl.js";
+import { ScrapeError } from "../scrapers/scrapeError.js";
+import { parseCompareParams, parseScrapeParams } from "../utils/requestParams.js";
+
+// Comment line sent on idle SSE streams so proxies do not close them
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Job view returned by the API, with links to poll and subscribe
+ * @param {Object} job - Public job from the queue
+ * @returns {Object}
+ */
+function withLinks(job) {
+  return {
+    ...job,
+    links: {
+      self: `/api/jobs/${job.id}`,
+      events: `/api/jobs/${job.id}/events`
+    }
+  };
+}
+
+/**
+ * Turn a job request body into its runner
+ * @param {Object} body - { type: "scrape", platform, productName | link, ... } or { type: "compare", productName | link, ... }
+ * @returns {{ error: string }|{ params: Object, runner: Function }}
+ */
+function buildJob(body) {
+  if (body.type === "scrape") {
+    const parsed = parseScrapeParams(body);
+    if (parsed.error) return parsed;
+
+    // A product link names its own platform
+    const linkPlatform = parsed.link ? parseProductUrl(parsed.link)?.platform : undefined;
+    const platformId = typeof body.platform === "string" ? body.platform.toLowerCase() : linkPlatform;
+    const platform = platformId ? getPlatform(platformId) : undefined;
+    if (!platform) {
+      return { error: "platform must be a supported platform id" };
+    }
+    if (parsed.link && linkPlatform !== platform.id) {
+      return { error: `link must be a ${platform.name} product page` };
+    }
+
+    return {
+      params: { platform: platform.id, productName: parsed.productName, link: parsed.link, ...parsed.options },
+      runner: async job => {
+        const options = { ...parsed.options, onProgress: (stage, details) => job.progress(stage, details) };
+        const result = parsed.link
+          ? await platform.scrapeUrl(parsed.link, options)
+          : await platform.scrape(parsed.productName, options);
+        job.partial(platform.id, result);
+        if (!result.success) throw new ScrapeError(result.code, result.error || "Scraping failed");
+        return result;
+      }
+    };
+  }
+
+  if (body.type === "compare") {
+    const parsed = parseCompareParams(body);
+    if (parsed.error) return parsed;
+
+    return {
+      params: parsed.options,
+      runner: async job => {
+        const result = await compareProducts({
+          ...parsed.options,
+          onProgress: (stage, details) => job.progress(stage, details),
+          onPlatformResult: entry => job.partial(entry.platform, entry)
+        });
+        if (!result.success) throw new Error(result.error || "Comparison failed");
+        return result;
+      }
+    };
+  }
+
+  return { error: 'type must be "scrape" or "compare"' };
+}
+
+// POST /api/jobs { "type": "scrape", "platform": "amazon", "productName": "..." }, { "type": "scrape", "link": "..." }
+//           or { "type": "compare", "productName" | "link": "..." }
+// Responds 202 straight away; follow links.self or links.events for the outcome.
+export const submitJob = async (req, res) => {
+  try {
+    const built = buildJob(req.body || {});
+    if (built.error) {
+      return res.status(400).json({ success: false, error: built.error });
+    }
+
+    const job = jobQueue.submit(req.body.type, built.params, built.runner);
+    console.log(`📨 Queued ${job.type} job ${job.id}`);
+
+    res.location(`/api/jobs/${job.id}`);
+    return res.status(202).json({ success: true, data: withLinks(job) });
+  } catch (error) {
+    console.error("Error in POST /jobs route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// GET /api/jobs/:id, add ?events=true for the full event log
+export const getJob = async (req, res) => {
+  try {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+
+    const data = withLinks(job);
+    if (req.query.events === "true") {
+      data.events = jobQueue.eventsSince(job.id);
+    }
+    return res.json({ success: true, data });
+  } catch (error) {
+    console.error("Error in GET /jobs/:id route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// GET /api/jobs/:id/events, a Server-Sent Events stream of status, progress, partial,
+// completed and failed events. Reconnecting clients resume after Last-Event-ID.
+export const streamJobEvents = (req, res) => {
+  const { id } = req.params;
+  if (!jobQueue.get(id)) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Replay what the client has not seen yet
+  const lastEventId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId, 10) || 0;
+  for (const event of jobQueue.eventsSince(id, lastEventId)) {
+    send(event);
+  }
+
+  if (jobQueue.isFinished(id)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off(id, listener);
+  };
+
+  const listener = event => {
+    send(event);
+    if (event.type === "completed" || event.type === "failed") {
+      cleanup();
+      res.end();
+    }
+  };
+
+  jobQueue.on(id, listener);
+  req.on("close", cleanup);
+};
@@ -0,0 +1,42 @@
+import { getSelectors, listSelectorMaps, loadSelectorMaps } from "../scrapers/selectorConfig.js";
+
+// GET /api/selectors, the version and load time of every platform's selector map
+export const listSelectors = async (req, res) => {
+  try {
+    return res.json({ success: true, data: listSelectorMaps() });
+  } catch (error) {
+    console.error("Error in /selectors route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// GET /api/selectors/:platform, the selector map currently in use
+export const getSelectorMap = async (req, res) => {
+  try {
+    let map;
+    try {
+      map = getSelectors(req.params.platform.toLowerCase());
+    } catch {
+      return res.status(404).json({ success: false, error: "No selector map for this platform" });
+    }
+    return res.json({ success: true, data: map });
+  } catch (error) {
+    console.error("Error in /selectors/:platform route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// POST /api/selectors/reload, re-read every map now instead of waiting for the file watcher.
+// Rejected maps are listed with their validation errors and the old version stays in use.
+export const reloadSelectors = async (req, res) => {
+  try {
+    const report = await loadSelectorMaps();
+    if (report.errors.length) {
+      return res.status(422).json({ success: false, error: "Some selector maps failed validation", data: report });
+    }
+    return res.json({ success: true, data: report });
+  } catch (error) {
+    console.error("Error in /selectors/reload route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
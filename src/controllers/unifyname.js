@@ -1,43 +1,74 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { extractNameFromLink, fetchPageTitle } from "../services/linkNameExtractor.js";
+import { getNameProvider } from "../services/nameProviders/index.js";
+
+/**
+ * Turn a product link into a clean, platform-agnostic product name.
+ * The name is first built from the link itself (and the page title when
+ * requested); the configured name provider, if any, may then improve it.
+ * A failing provider falls back to the deterministic name.
+ * @param {string} link - Product link from any e-commerce platform
+ * @param {Object} options
+ * @param {boolean} options.fetchTitle - Also download the page and use its title
+ * @param {boolean} options.useProvider - Set false to skip the name provider
+ * @returns {Promise<{ unifiedProductName: string|null, source: string, platform: string|null }>}
+ */
+export async function unifyProductName(link, { fetchTitle = false, useProvider = true } = {}) {
+  const { platform, name } = extractNameFromLink(link);
+  const pageTitle = fetchTitle ? await fetchPageTitle(link) : null;
+
+  let unifiedProductName = pageTitle || name;
+  let source = pageTitle ? "page-title" : "link";
+
+  const provider = useProvider ? getNameProvider() : null;
+  if (provider) {
+    try {
+      const enhanced = await provider.enhance({ link, candidate: unifiedProductName, pageTitle });
+      if (enhanced) {
+        unifiedProductName = enhanced;
+        source = provider.name;
+      }
+    } catch (error) {
+      console.error(`🔥 ${provider.name} name provider failed, using ${source} name:`, error.message);
+    }
+  }
+
+  return { unifiedProductName: unifiedProductName || null, source, platform };
+}
+
+/**
+ * Unified product name for a link, throwing when none could be derived
+ * @param {string} link - Product link from any e-commerce platform
+ * @returns {Promise<string>} Unified product name
+ */
+export async function getUnifiedProductName(link) {
+  const { unifiedProductName } = await unifyProductName(link);
+  if (!unifiedProductName) {
+    throw new Error("Could not derive a product name from the link");
+  }
+  return unifiedProductName;
+}
 
 export const unifyname = async (req, res) => {
   try {
-    const { link } = req.body;
+    const { link, fetchTitle, useProvider } = req.body || {};
 
-    if (!link)
+    if (!link || typeof link !== "string")
       return res.status(400).json({ error: "Please provide a product link." });
 
-    const apiKey = process.env.GOOGLE_API_KEY;
-    if (!apiKey)
-      return res
-        .status(500)
-        .json({ error: "Missing GOOGLE_API_KEY in .env file" });
-
-    // Initialize Gemini client properly
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
-    // Create the prompt
-    const prompt = `
-      You are a product name extraction and normalization AI.
-      Given a product link from any e-commerce platform,
-      extract the main product name (brand + model + essential specs) and return 
-      a clean, unified product name suitable for searching across all platforms.
-      Now process this link: ${link}
-      Return only the unified product name. No explanation.
-    `;
-
-    // Make the API call (same as curl)
-    const result = await model.generateContent({
-      contents: [{ parts: [{ text: prompt }] }],
+    const result = await unifyProductName(link, {
+      fetchTitle: fetchTitle === true,
+      useProvider: useProvider !== false,
     });
 
-    const response = result.response;
-    const unifiedName = response.text().trim();
+    if (!result.unifiedProductName)
+      return res.status(422).json({
+        error: "Could not derive a product name from the link",
+        platform: result.platform,
+      });
 
-    res.json({ unifiedProductName: unifiedName });
+    res.json(result);
   } catch (error) {
-    console.error("🔥 Gemini API Error:", error.message);
+    console.error("🔥 Unify name error:", error.message);
     res.status(500).json({
       error: "Internal server error",
       details: error.message,
@@ -0,0 +1,118 @@
+import { checkWatch, createWatch, deleteWatch, getWatch, listWatches } from "../services/watchlist.js";
+import { getPlatform } from "../scrapers/registry.js";
+import { isHttpUrl } from "../utils/url.js";
+
+/**
+ * Validate the body of POST /watches
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWatchInput(body) {
+  const { productLink, productName, platforms, targetPrice, dropPercent, webhookUrl } = body;
+
+  if (!productLink && !productName) return "productLink or productName is required";
+  if (productLink !== undefined && (typeof productLink !== "string" || !isHttpUrl(productLink))) {
+    return "productLink must be an http(s) URL";
+  }
+  if (productName !== undefined && (typeof productName !== "string" || !productName.trim())) {
+    return "productName must be a non-empty string";
+  }
+  if (platforms !== undefined) {
+    if (!Array.isArray(platforms) || platforms.some(id => typeof id !== "string" || !getPlatform(id))) {
+      return "platforms must be an array of supported platform ids";
+    }
+  }
+  if (targetPrice === undefined && dropPercent === undefined) {
+    return "targetPrice (paise) or dropPercent is required";
+  }
+  if (targetPrice !== undefined && (!Number.isInteger(targetPrice) || targetPrice <= 0)) {
+    return "targetPrice must be a positive integer amount in paise";
+  }
+  if (dropPercent !== undefined && (typeof dropPercent !== "number" || dropPercent <= 0 || dropPercent >= 100)) {
+    return "dropPercent must be a number between 0 and 100";
+  }
+  if (webhookUrl !== undefined && (typeof webhookUrl !== "string" || !isHttpUrl(webhookUrl))) {
+    return "webhookUrl must be an http(s) URL";
+  }
+  if (!webhookUrl && !process.env.WATCHLIST_WEBHOOK_URL) {
+    return "webhookUrl is required when WATCHLIST_WEBHOOK_URL is not configured";
+  }
+
+  return null;
+}
+
+// POST /api/watches { "productLink" | "productName", "platforms"?, "targetPrice"? (paise), "dropPercent"?, "webhookUrl"? }
+export const addWatch = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateWatchInput(body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const watch = await createWatch({
+      productLink: body.productLink,
+      productName: body.productName,
+      platforms: body.platforms?.map(id => id.toLowerCase()),
+      targetPrice: body.targetPrice,
+      dropPercent: body.dropPercent,
+      webhookUrl: body.webhookUrl
+    });
+
+    return res.status(201).json({ success: true, data: watch });
+  } catch (error) {
+    console.error("Error in POST /watches route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// GET /api/watches
+export const getWatches = async (req, res) => {
+  try {
+    return res.json({ success: true, data: await listWatches() });
+  } catch (error) {
+    console.error("Error in GET /watches route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// GET /api/watches/:id
+export const getWatchById = async (req, res) => {
+  try {
+    const watch = await getWatch(req.params.id);
+    if (!watch) {
+      return res.status(404).json({ success: false, error: "Watch not found" });
+    }
+    return res.json({ success: true, data: watch });
+  } catch (error) {
+    console.error("Error in GET /watches/:id route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// DELETE /api/watches/:id
+export const removeWatch = async (req, res) => {
+  try {
+    if (!(await deleteWatch(req.params.id))) {
+      return res.status(404).json({ success: false, error: "Watch not found" });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error("Error in DELETE /watches/:id route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
+
+// POST /api/watches/:id/check runs a check now instead of waiting for the scheduler
+export const runWatchCheck = async (req, res) => {
+  try {
+    const outcomes = await checkWatch(req.params.id);
+    if (!outcomes) {
+      return res.status(404).json({ success: false, error: "Watch not found" });
+    }
+    return res.json({ success: true, data: outcomes });
+  } catch (error) {
+    console.error("Error in POST /watches/:id/check route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+};
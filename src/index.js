@@ -1,11 +1,17 @@
+import "dotenv/config"; // ✅ loads your .env file before any module reads process.env
 import express from "express";
-import dotenv from "dotenv";
 import unifyRoutes from "./routes/unifyRoutes.js";
-import amazonScrapperRoutes from "./routes/amazonScrapper.js";
-import myntraScrapperRoutes from "./routes/myntraScrapper.js";
-import flipkartScrapperRoutes from "./routes/flipkartScrapper.js";
-
-dotenv.config(); // ✅ loads your .env file
+import platformRoutes from "./routes/platformRoutes.js";
+import compareRoutes from "./routes/compareRoutes.js";
+import historyRoutes from "./routes/historyRoutes.js";
+import watchlistRoutes from "./routes/watchlistRoutes.js";
+import jobsRoutes from "./routes/jobsRoutes.js";
+import batchRoutes from "./routes/batchRoutes.js";
+import selectorRoutes from "./routes/selectorRoutes.js";
+import healthRoutes from "./routes/healthRoutes.js";
+import browserPool from "./utils/browserPool.js";
+import watchScheduler from "./services/watchScheduler.js";
+import { unwatchSelectorMaps, watchSelectorMaps } from "./scrapers/selectorConfig.js";
 
 const app = express();
 app.use(express.json());
@@ -14,8 +20,36 @@ app.use(express.json());
 console.log("GOOGLE_API_KEY:", process.env.GOOGLE_API_KEY ? "Loaded ✅" : "Missing ❌");
 
 app.use("/api", unifyRoutes);
-app.use("/api", amazonScrapperRoutes);
-app.use("/api", myntraScrapperRoutes);
-app.use("/api", flipkartScrapperRoutes);
+app.use("/api", platformRoutes);
+app.use("/api", compareRoutes);
+app.use("/api", historyRoutes);
+app.use("/api", watchlistRoutes);
+app.use("/api", jobsRoutes);
+app.use("/api", batchRoutes);
+app.use("/api", selectorRoutes);
+app.use("/api", healthRoutes);
+
+const server = app.listen(5000, () => console.log("Server running on port 5000"));
+
+// Re-scrape watched products in the background unless switched off
+if (process.env.WATCH_SCHEDULER !== "off") {
+  watchScheduler.start();
+}
+
+// Pick up edits to src/scrapers/selectors/*.json without a restart
+if (process.env.SELECTORS_WATCH !== "off") {
+  watchSelectorMaps();
+}
+
+// Stop accepting requests, then close the shared browser before exiting
+const shutdown = async (signal) => {
+  console.log(`\n${signal} received, shutting down...`);
+  server.close();
+  watchScheduler.stop();
+  unwatchSelectorMaps();
+  await browserPool.shutdown();
+  process.exit(0);
+};
 
-app.listen(5000, () => console.log("Server running on port 5000"));
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
@@ -0,0 +1,9 @@
+import express from "express";
+import { runBatchScrape } from "../controllers/batchController.js";
+
+const router = express.Router();
+
+// CSV uploads arrive as a raw text body
+router.post("/batch", express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }), runBatchScrape);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from "express";
+import compareProducts from "../controllers/compareController.js";
+import { setCacheHeaders } from "../utils/cacheHeaders.js";
+import { parseCompareParams } from "../utils/requestParams.js";
+
+const router = express.Router();
+
+// POST /api/compare { "productName": "..." } or { "link": "https://..." }
+// Optional: "matchThreshold": 0..1 and "excludeMismatches": true to drop results for a different product,
+// "fresh": true to bypass cached platform results, "mode": "http" | "browser" | "auto" for every platform,
+// "proxy" and "profile" to pin the network identity, "variant": { "storage": "256GB" } to compare that variant,
+// "payment": "HDFC credit card, no exchange" to rank by the price after the offers that payment gets,
+// "sellers": true to read every seller's offer and report each platform's lowest price next to its buy-box price,
+// "pincode": "560001" to compare price and delivery for that location; platforms that cannot deliver there
+// are never the cheapest
+router.post("/compare", async (req, res) => {
+  try {
+    const parsed = parseCompareParams(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const result = await compareProducts(parsed.options);
+    if (result.success) {
+      setCacheHeaders(res, [...result.results, ...result.excluded]);
+    }
+    return res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error("Error in /compare route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getNetworkHealth, getScraperHealth } from "../controllers/healthController.js";
+
+const router = express.Router();
+
+router.get("/health/scrapers", getScraperHealth);
+router.get("/health/network", getNetworkHealth);
+
+export default router;
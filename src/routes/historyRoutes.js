@@ -0,0 +1,9 @@
+import express from "express";
+import { getHistory, listHistoryProducts } from "../controllers/historyController.js";
+
+const router = express.Router();
+
+router.get("/history", getHistory);
+router.get("/history/products", listHistoryProducts);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { getJob, streamJobEvents, submitJob } from "../controllers/jobsController.js";
+
+const router = express.Router();
+
+router.post("/jobs", submitJob);
+router.get("/jobs/:id", getJob);
+router.get("/jobs/:id/events", streamJobEvents);
+
+export default router;
@@ -0,0 +1,106 @@
+import express from "express";
+import { getPlatform, listPlatforms } from "../scrapers/registry.js";
+import { parseProductUrl } from "../scrapers/productUrl.js";
+import { setCacheHeaders } from "../utils/cacheHeaders.js";
+import { statusForResult } from "../scrapers/scrapeError.js";
+import { parseScrapeParams } from "../utils/requestParams.js";
+
+const router = express.Router();
+
+/**
+ * Build the scrape handler for one platform
+ * @param {Object} platform - Registered platform
+ * @returns {Function} Express handler
+ */
+function scrapeHandler(platform) {
+  const { path } = platform.adapter.route;
+
+  return async (req, res) => {
+    try {
+      // GET routes take the query string, POST routes the JSON body
+      const params = (req.method === "GET" ? req.query : req.body) || {};
+      const parsed = parseScrapeParams(params);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      if (parsed.link && parseProductUrl(parsed.link)?.platform !== platform.id) {
+        return res.status(400).json({ error: `link must be a ${platform.name} product page` });
+      }
+
+      // display=true adds pre-formatted "₹1,299" style strings next to the numeric fields
+      const result = parsed.link
+        ? await platform.scrapeUrl(parsed.link, parsed.options)
+        : await platform.scrape(parsed.productName, parsed.options);
+
+      setCacheHeaders(res, [result]);
+      return res.status(statusForResult(result)).json(result);
+    } catch (error) {
+      console.error(`Error in ${path} route:`, error);
+      return res.status(500).json({ success: false, error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * Scrape a product page by its link on whichever platform it belongs to
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function linkScrapeHandler(req, res) {
+  try {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    if (!params.link || typeof params.link !== "string") {
+      return res.status(400).json({ error: "link is required" });
+    }
+
+    const parsed = parseScrapeParams(params);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const platform = getPlatform(parseProductUrl(parsed.link)?.platform);
+    if (!platform) {
+      return res.status(400).json({ error: "link is not a product page of a supported platform" });
+    }
+
+    const result = await platform.scrapeUrl(parsed.link, parsed.options);
+
+    setCacheHeaders(res, [result]);
+    return res.status(statusForResult(result)).json(result);
+  } catch (error) {
+    console.error("Error in /link-scrape route:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+}
+
+// e.g. POST /api/amazon-scrape { "productName": "...", "display": true }, one route per registered platform.
+// Add "limit": N for the top N organic results and "detailLimit": K to open the first K of them,
+// or send "link" instead of "productName" to open that product page without searching.
+// Results are cached; "fresh": true scrapes again and refreshes the cache.
+// "mode": "http" | "browser" | "auto" overrides how the platform loads pages (meta.mode reports what was used);
+// "proxy" (a configured proxy id, or "none") and "profile" pin the network identity (meta.identity).
+// "variant": { "storage": "256GB", "color": "Blue" } reads the product in that variant (data.variant, data.variants);
+// in a query string send it as JSON.
+// "payment": "HDFC credit card, no exchange" (or { "bank": "HDFC", "cardType": "credit", "exchange": false })
+// adds data.pricing: the effective price after the coupon, card, cashback and exchange offers that profile gets.
+// data.offers lists every offer on the page parsed into { type, banks, percent, amount, maxDiscount, minSpend }.
+// "sellers": true also opens the listing's other-sellers page (Amazon, Flipkart) and fills data.sellers with
+// { name, price, rating, fulfilledBy, delivery, condition, buyBox } for every offer.
+// "pincode": "560001" reads price and delivery for that location (it is set in the page, so it needs the browser);
+// data.shipping is { pincode, serviceable, estimatedDate, charge, cod, returnDays } either way.
+// Failures answer { success: false, error, code, retryable } with the code's status:
+// BLOCKED/CAPTCHA 503, NO_RESULTS 404, VARIANT_NOT_FOUND 404, SELECTOR_TIMEOUT 502, NAVIGATION_TIMEOUT 504
+// (see scrapeError.js).
+for (const platform of listPlatforms()) {
+  const { path, methods } = platform.adapter.route;
+  for (const method of methods) {
+    router[method.toLowerCase()](path, scrapeHandler(platform));
+  }
+}
+
+// POST /api/link-scrape { "link": "https://www.amazon.in/dp/B0CHX1W1XY" } picks the platform from the link
+router.get("/link-scrape", linkScrapeHandler);
+router.post("/link-scrape", linkScrapeHandler);
+
+export default router;
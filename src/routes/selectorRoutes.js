@@ -0,0 +1,10 @@
+import express from "express";
+import { getSelectorMap, listSelectors, reloadSelectors } from "../controllers/selectorController.js";
+
+const router = express.Router();
+
+router.get("/selectors", listSelectors);
+router.post("/selectors/reload", reloadSelectors);
+router.get("/selectors/:platform", getSelectorMap);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { addWatch, getWatchById, getWatches, removeWatch, runWatchCheck } from "../controllers/watchlistController.js";
+
+const router = express.Router();
+
+router.post("/watches", addWatch);
+router.get("/watches", getWatches);
+router.get("/watches/:id", getWatchById);
+router.delete("/watches/:id", removeWatch);
+router.post("/watches/:id/check", runWatchCheck);
+
+export default router;
@@ -0,0 +1,78 @@
+/**
+ * Contract every platform adapter implements. One adapter module in
+ * src/scrapers/adapters/ is all it takes to add a store: the registry picks it
+ * up, mounts its route and includes it in comparisons, provided a selector
+ * map with the same id exists.
+ *
+ * Selectors do not live in the adapter: src/scrapers/selectors/<id>.json
+ * (see selectorConfig.js) describes the search results, result tiles and
+ * product page fields, and can be edited while the server runs. The adapter
+ * holds what is not just selectors: URLs, search and location steps and the
+ * mapping onto the product schema.
+ *
+ * @typedef {Object} PlatformAdapter
+ * @property {string} id - Stable lowercase identifier, e.g. 'amazon'
+ * @property {string} name - Display name, e.g. 'Amazon'
+ * @property {string} origin - Site origin used to resolve relative links
+ * @property {{ path: string, methods: string[] }} [route] - Scrape route; defaults to POST /<id>-scrape
+ * @property {(query: string) => string} buildSearchUrl - URL to open for a search
+ * @property {(page: Page, query: string) => Promise<void>} [submitSearch] - Extra steps after
+ *   opening the search URL, for stores without a usable search URL
+ * @property {(page: Page, pincode: string) => Promise<void>} [setDeliveryLocation] - Set the
+ *   pincode a product page shows price and delivery for; leaves the product page loaded
+ * @property {number} [settleDelay] - Extra wait (ms) after each page is ready
+ * @property {number} [minRequestInterval] - Minimum gap (ms) between scrapes started by batch jobs
+ * @property {'auto'|'http'|'browser'} [scrapeMode] - How pages are loaded (see SCRAPE_MODES); defaults
+ *   to 'auto', and SCRAPE_MODE_<ID> (e.g. SCRAPE_MODE_AMAZON=browser) overrides it
+ * @property {(details: Object) => Object} [refineDetails] - Derive fields the selector map cannot
+ *   express (e.g. discount from price and MRP) from the fields it read; runs in Node
+ * @property {(details: Object) => Object} normalize - Map raw details onto the fields of the
+ *   shared product schema (see productSchema.js), amounts in paise
+ */
+
+/**
+ * auto: fetch the pages with a plain HTTP GET and parse them with cheerio, and
+ * rerun the scrape in Chromium when that hits a bot wall, markup the static
+ * HTML lacks or a result with required fields missing. http: never start a
+ * browser. browser: always use Chromium.
+ */
+export const SCRAPE_MODES = ['auto', 'http', 'browser'];
+
+const REQUIRED_FUNCTIONS = ['buildSearchUrl', 'normalize'];
+const REQUIRED_STRINGS = ['id', 'name', 'origin'];
+
+/**
+ * Check an adapter against the contract and fill in defaults
+ * @param {PlatformAdapter} adapter - Adapter to validate
+ * @returns {PlatformAdapter} The adapter with defaults applied
+ */
+export function validateAdapter(adapter) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error('Adapter must be an object');
+  }
+
+  for (const key of REQUIRED_STRINGS) {
+    if (typeof adapter[key] !== 'string' || !adapter[key]) {
+      throw new Error(`Adapter ${adapter.id || '(unknown)'} is missing string property "${key}"`);
+    }
+  }
+
+  for (const key of REQUIRED_FUNCTIONS) {
+    if (typeof adapter[key] !== 'function') {
+      throw new Error(`Adapter ${adapter.id} is missing function "${key}"`);
+    }
+  }
+
+  const scrapeMode = process.env[`SCRAPE_MODE_${adapter.id.toUpperCase()}`] || adapter.scrapeMode || 'auto';
+  if (!SCRAPE_MODES.includes(scrapeMode)) {
+    throw new Error(`Adapter ${adapter.id} has unknown scrape mode "${scrapeMode}"; use ${SCRAPE_MODES.join(', ')}`);
+  }
+
+  return {
+    route: { path: `/${adapter.id}-scrape`, methods: ['post'] },
+    settleDelay: 2000,
+    minRequestInterval: 2000,
+    ...adapter,
+    scrapeMode
+  };
+}
@@ -0,0 +1,85 @@
+import { percentOff, toPaise } from '../productSchema.js';
+import { variantsInPaise } from '../variants.js';
+import { toSellers } from '../sellers.js';
+import { parseShipping } from '../delivery.js';
+import { parseOffers } from '../../services/offers.js';
+
+/**
+ * Amazon India adapter
+ */
+const amazonAdapter = {
+  id: 'amazon',
+  name: 'Amazon',
+  origin: 'https://www.amazon.in',
+  route: { path: '/amazon-scrape', methods: ['post'] },
+
+  buildSearchUrl(query) {
+    return 'https://www.amazon.in/s?k=' + encodeURIComponent(query);
+  },
+
+  settleDelay: 2000,
+  // Amazon starts serving CAPTCHAs quickly to rapid-fire searches
+  minRequestInterval: 4000,
+
+  /**
+   * Set the delivery pincode in the location popover. Amazon keeps it for
+   * the session, and the page only shows that location's price and delivery
+   * once it is loaded again.
+   * @param {Page} page - Puppeteer page showing a product
+   * @param {string} pincode - Six-digit pincode
+   */
+  async setDeliveryLocation(page, pincode) {
+    await page.click('#nav-global-location-popover-link, #contextualIngressPtLabel');
+    await page.waitForSelector('#GLUXZipUpdateInput', { visible: true, timeout: 10000 });
+    await page.type('#GLUXZipUpdateInput', pincode);
+    await Promise.all([
+      page.waitForResponse(response => response.url().includes('address-change'), { timeout: 15000 }),
+      page.click('#GLUXZipUpdate')
+    ]);
+    await page.reload({ waitUntil: 'networkidle2', timeout: 60000 });
+  },
+
+  /**
+   * Work out the discount from price and MRP, falling back to the savings badge
+   * @param {Object} details - Fields read with the selector map
+   * @returns {Object} Raw product details
+   */
+  refineDetails(details) {
+    return { ...details, discount: percentOff(details.price, details.mrp) ?? details.discount };
+  },
+
+  /**
+   * Map raw details onto the shared product schema fields
+   * @param {Object} productDetails - Raw details plus productLink
+   * @returns {Object} Product fields (amounts in paise)
+   */
+  normalize(productDetails) {
+    return {
+      title: productDetails.title,
+      brand: productDetails.brand,
+      sku: productDetails.sku,
+      currency: productDetails.currency,
+      price: toPaise(productDetails.price),
+      mrp: toPaise(productDetails.mrp),
+      discount: productDetails.discount,
+      rating: {
+        stars: productDetails.rating,
+        // #acrCustomerReviewText counts star ratings; Amazon has no separate review count here
+        totalRatings: productDetails.totalRatings,
+        totalReviews: null
+      },
+      topOffers: (productDetails.offers || []).slice(0, 3),
+      offers: parseOffers(productDetails.offers),
+      seller: productDetails.seller,
+      sellers: toSellers(productDetails.sellers, { fulfilledBy: 'FBA', buyBoxSeller: productDetails.seller }),
+      availability: productDetails.availability,
+      delivery: productDetails.delivery,
+      shipping: parseShipping(productDetails),
+      variants: variantsInPaise(productDetails.variants),
+      variant: productDetails.variant,
+      productLink: productDetails.productLink
+    };
+  }
+};
+
+export default amazonAdapter;
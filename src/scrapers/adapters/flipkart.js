@@ -0,0 +1,95 @@
+import { percentOff, toPaise } from '../productSchema.js';
+import { variantsInPaise } from '../variants.js';
+import { toSellers } from '../sellers.js';
+import { parseShipping } from '../delivery.js';
+import { parseOffers } from '../../services/offers.js';
+
+/**
+ * Flipkart adapter
+ */
+const flipkartAdapter = {
+  id: 'flipkart',
+  name: 'Flipkart',
+  origin: 'https://www.flipkart.com',
+  route: { path: '/flipkart-scrape', methods: ['post'] },
+
+  buildSearchUrl(query) {
+    return 'https://www.flipkart.com/search?q=' + encodeURIComponent(query);
+  },
+
+  settleDelay: 3000,
+
+  /**
+   * Check delivery to a pincode in the product page's delivery box, which
+   * redraws the delivery, COD and serviceability lines in place
+   * @param {Page} page - Puppeteer page showing a product
+   * @param {string} pincode - Six-digit pincode
+   */
+  async setDeliveryLocation(page, pincode) {
+    await page.waitForSelector('#pincodeInputId', { timeout: 10000 });
+    // Select whatever pincode is there so typing replaces it
+    await page.click('#pincodeInputId', { count: 3 });
+    await page.type('#pincodeInputId', pincode);
+    await page.keyboard.press('Enter');
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 });
+  },
+
+  /**
+   * Work out the discount, and availability unless structured data gave it, from the fields
+   * the selector map read
+   * @param {Object} details - Fields read with the selector map
+   * @returns {Object} Raw product details
+   */
+  refineDetails(details) {
+    const { availabilityNote, disabledButton, cartButton, ...rest } = details;
+
+    let availability;
+    if (rest.availability) {
+      availability = rest.availability;
+    } else if (/sold out|out of stock|currently unavailable/i.test(availabilityNote || '') ||
+        (disabledButton || '').includes('Add to cart')) {
+      availability = 'Out of Stock';
+    } else if (availabilityNote !== null || disabledButton !== null) {
+      availability = 'In Stock';
+    } else {
+      // An enabled add to cart button is the only stock signal on most pages
+      availability = cartButton ? 'In Stock' : 'Check availability';
+    }
+
+    return { ...rest, discount: percentOff(rest.price, rest.mrp) ?? rest.discount, availability };
+  },
+
+  /**
+   * Map raw details onto the shared product schema fields
+   * @param {Object} productDetails - Raw details plus productLink
+   * @returns {Object} Product fields (amounts in paise)
+   */
+  normalize(productDetails) {
+    return {
+      title: productDetails.title,
+      brand: productDetails.brand,
+      sku: productDetails.sku,
+      currency: productDetails.currency,
+      price: toPaise(productDetails.price),
+      mrp: toPaise(productDetails.mrp),
+      discount: productDetails.discount,
+      rating: {
+        stars: productDetails.rating,
+        totalRatings: productDetails.totalRatings,
+        totalReviews: productDetails.totalReviews
+      },
+      topOffers: (productDetails.offers || []).slice(0, 3),
+      offers: parseOffers(productDetails.offers),
+      seller: productDetails.seller,
+      sellers: toSellers(productDetails.sellers, { fulfilledBy: 'F-Assured', buyBoxSeller: productDetails.seller }),
+      availability: productDetails.availability,
+      delivery: productDetails.delivery,
+      shipping: parseShipping(productDetails),
+      variants: variantsInPaise(productDetails.variants),
+      variant: productDetails.variant,
+      productLink: productDetails.productLink
+    };
+  }
+};
+
+export default flipkartAdapter;
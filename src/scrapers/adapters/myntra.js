@@ -0,0 +1,142 @@
+import { toPaise } from '../productSchema.js';
+import { variantsInPaise } from '../variants.js';
+import { parseShipping } from '../delivery.js';
+import { parseOffers } from '../../services/offers.js';
+
+const ORIGIN = 'https://www.myntra.com';
+
+/**
+ * Myntra adapter
+ */
+const myntraAdapter = {
+  id: 'myntra',
+  name: 'Myntra',
+  origin: ORIGIN,
+  route: { path: '/myntra-scrape', methods: ['get', 'post'] },
+
+  // Myntra has no plain search URL, so the search starts from the homepage
+  buildSearchUrl() {
+    return 'https://www.myntra.com/';
+  },
+
+  /**
+   * Type the query into the homepage search bar and submit it
+   * @param {Page} page - Puppeteer page object
+   * @param {string} query - Product name to search
+   */
+  async submitSearch(page, query) {
+    // Wait a bit for the page to settle
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    // Click on search input and type the product name
+    console.log(`Searching for: ${query}`);
+    await page.waitForSelector('.desktop-searchBar', { timeout: 30000 });
+    await page.click('.desktop-searchBar');
+    await page.type('.desktop-searchBar', query);
+
+    // Wait for search suggestions and press Enter
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 60000 }),
+      page.keyboard.press('Enter')
+    ]);
+  },
+
+  settleDelay: 3000,
+
+  /**
+   * Check delivery to a pincode in the product page's delivery box
+   * @param {Page} page - Puppeteer page showing a product
+   * @param {string} pincode - Six-digit pincode
+   */
+  async setDeliveryLocation(page, pincode) {
+    // Once a pincode is set the box shows it with a "Change" link instead of the input
+    const change = await page.$('.pincode-check-another-pincode');
+    if (change) await change.click();
+
+    await page.waitForSelector('input.pincode-code', { timeout: 10000 });
+    await page.type('input.pincode-code', pincode);
+    await page.click('input.pincode-check, .pincode-button');
+    await page.waitForSelector('.pincode-serviceabilityList, .pincode-error', { timeout: 10000 });
+  },
+
+  /**
+   * Turn the size and colour fields into per-size stock and price, colour
+   * links and the size variant options, and work out availability unless
+   * structured data gave it. The __myx state has sizes with stock and seller
+   * price; the CSS fallback only has the size labels and which buttons are
+   * struck out.
+   * @param {Object} details - Fields read with the selector map
+   * @returns {Object} Raw product details
+   */
+  refineDetails(details) {
+    const { soldOutSizes, outOfStock, colorLinks, ...rest } = details;
+
+    // Only sizes sold at a different price than the one shown carry their own
+    const soldOut = new Set(soldOutSizes || []);
+    const sizes = (rest.sizes || []).map(size => (typeof size === 'string'
+      ? { label: size, available: !soldOut.has(size), price: null }
+      : { ...size, price: size.price === rest.price ? null : size.price }));
+
+    let availability;
+    if (rest.availability) {
+      availability = rest.availability;
+    } else if (sizes.some(size => size.available)) {
+      availability = 'In Stock';
+    } else if (outOfStock || sizes.length > 0) {
+      availability = 'Out of Stock';
+    } else {
+      availability = 'Check availability';
+    }
+
+    // Structured colours come with their links; CSS ones are two lists in page order
+    const colors = (rest.colors || []).map((color, index) => {
+      const { name, productLink } = typeof color === 'string'
+        ? { name: color, productLink: (colorLinks || [])[index] }
+        : color;
+      return { name, productLink: productLink ? new URL(productLink, ORIGIN + '/').href : null };
+    });
+
+    // Sizes are the variant dimension; they are picked on the page, colours have pages of their own
+    const variants = sizes.length > 0
+      ? [{ dimension: 'size', options: sizes.map(size => ({ ...size, selected: false, productLink: null })) }]
+      : [];
+
+    return { ...rest, sizes, colors, availability, variants };
+  },
+
+  /**
+   * Map raw details onto the shared product schema fields
+   * @param {Object} productDetails - Raw details plus productLink
+   * @returns {Object} Product fields (amounts in paise)
+   */
+  normalize(productDetails) {
+    return {
+      brand: productDetails.brand,
+      title: productDetails.title,
+      sku: productDetails.sku,
+      currency: productDetails.currency,
+      price: toPaise(productDetails.price),
+      mrp: toPaise(productDetails.mrp),
+      discount: productDetails.discount,
+      rating: {
+        stars: productDetails.rating,
+        totalRatings: productDetails.totalRatings,
+        totalReviews: null
+      },
+      topOffers: (productDetails.offers || []).slice(0, 3),
+      offers: parseOffers(productDetails.offers),
+      seller: productDetails.seller,
+      availability: productDetails.availability,
+      delivery: productDetails.delivery,
+      shipping: parseShipping(productDetails),
+      sizes: (productDetails.sizes || []).map(size => ({ ...size, price: toPaise(size.price) })),
+      colors: productDetails.colors,
+      variants: variantsInPaise(productDetails.variants),
+      variant: productDetails.variant,
+      productLink: productDetails.productLink
+    };
+  }
+};
+
+export default myntraAdapter;
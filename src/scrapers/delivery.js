@@ -0,0 +1,122 @@
+import { parseAmount } from './productSchema.js';
+
+/**
+ * Delivery to a location, read from the delivery, stock and policy lines of
+ * a product page ("Delivery by 24 Oct, Thursday", "Pay on delivery
+ * available", "7 Days Replacement Policy"). The lines are read with the
+ * selector maps; the store's wording is turned into fields here, in Node.
+ *
+ * @typedef {Object} Shipping
+ * @property {string|null} pincode - Where delivery was checked; null for the store's default location
+ * @property {boolean|null} serviceable - Whether the store delivers there; null when the page does not say
+ * @property {string|null} estimatedDate - Earliest delivery date, YYYY-MM-DD
+ * @property {number|null} charge - Delivery charge in paise; 0 when free
+ * @property {boolean|null} cod - Whether cash/pay on delivery is offered
+ * @property {number|null} returnDays - Return or replacement window in days; 0 when not returnable
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const UNSERVICEABLE = /not deliverable|cannot be (?:delivered|shipped)|(?:does not|doesn'?t) deliver|not (?:serviceable|available) (?:at|for|in|to) (?:this|your|the selected)|unserviceable|no delivery to/i;
+const NO_COD = /(?:cash|pay) on delivery (?:is )?(?:not available|unavailable)|cod (?:is )?(?:not available|unavailable)/i;
+const COD = /cash on delivery|pay on delivery|\bcod\b/i;
+const NO_RETURNS = /no returns?\b|non-?returnable|not returnable/i;
+const RETURN_DAYS = /(\d+)[\s-]*days?\b[^.|]{0,30}?\b(?:return|replacement|exchange)/i;
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @param {number} day
+ * @returns {string}
+ */
+function isoDate(year, month, day) {
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Earliest delivery date in a line of text. Stores leave out the year, so
+ * the date is taken to be the next one on or after a week ago.
+ * @param {string} text - e.g. 'FREE delivery Thursday, 24 October', 'Get it by Thu, Oct 24', 'Delivery Tomorrow'
+ * @param {Date} [now] - When the page was read
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseDeliveryDate(text, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const relative = text.match(/\b(today|tomorrow)\b/i);
+  if (relative) {
+    const date = new Date(today);
+    if (relative[1].toLowerCase() === 'tomorrow') date.setDate(date.getDate() + 1);
+    return isoDate(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  // "24 Oct" or "Oct 24"
+  const dates = [...text.matchAll(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,})|\b([a-z]{3,})\.?\s+(\d{1,2})\b/gi)]
+    .map(match => ({
+      day: parseInt(match[1] || match[4], 10),
+      month: MONTHS.indexOf((match[2] || match[3]).slice(0, 3).toLowerCase())
+    }))
+    .filter(({ day, month }) => month !== -1 && day >= 1 && day <= 31);
+  if (dates.length === 0) return null;
+
+  const { day, month } = dates[0];
+  const weekAgo = new Date(today);
+  weekAgo.setDate(weekAgo.getDate() - 7);
+  const year = new Date(today.getFullYear(), month, day) < weekAgo ? today.getFullYear() + 1 : today.getFullYear();
+  return isoDate(year, month, day);
+}
+
+/**
+ * Delivery charge in a line of text
+ * @param {string} text - e.g. 'FREE delivery', '₹40 delivery charge', 'Delivery charges ₹99'
+ * @returns {number|null} Paise; 0 when free
+ */
+export function parseDeliveryCharge(text) {
+  if (/\bfree\b/i.test(text) && /deliver|shipping/i.test(text)) return 0;
+  const match = text.match(/(?:₹|rs\.?)\s*[\d,]+(?:\.\d+)?\s*(?:delivery|shipping)/i) ||
+    text.match(/(?:delivery|shipping) (?:charges?|fee)\s*(?:of\s*)?(?:₹|rs\.?)\s*[\d,]+(?:\.\d+)?/i);
+  return match ? parseAmount(match[0]) : null;
+}
+
+/**
+ * Turn a product page's delivery lines into shipping fields, for adapters' normalize()
+ * @param {Object} details - Raw product details
+ * @param {string|null} [details.delivery] - Main delivery line
+ * @param {string|null} [details.availability] - Stock line, which some stores use to say they do not deliver
+ * @param {string[]} [details.deliveryNotes] - Other delivery, payment and return lines
+ * @param {string|null} [details.pincode] - Pincode the page was set to
+ * @param {Date} [now] - When the page was read
+ * @returns {Shipping}
+ */
+export function parseShipping({ delivery, availability, deliveryNotes, pincode }, now = new Date()) {
+  const lines = [delivery, availability, ...(deliveryNotes || [])].filter(line => typeof line === 'string' && line.trim());
+  const find = parse => lines.map(line => parse(line)).find(value => value !== null) ?? null;
+
+  const unserviceable = lines.some(line => UNSERVICEABLE.test(line));
+  // Only lines about delivery; "Offer ends 31 Oct" is not a delivery date
+  const isDeliveryLine = line => /deliver|get it|arriv|shipping/i.test(line);
+  const estimatedDate = unserviceable ? null : find(line => (isDeliveryLine(line) ? parseDeliveryDate(line, now) : null));
+
+  let serviceable = null;
+  if (unserviceable) serviceable = false;
+  else if (estimatedDate) serviceable = true;
+
+  let cod = null;
+  if (lines.some(line => NO_COD.test(line))) cod = false;
+  else if (lines.some(line => COD.test(line))) cod = true;
+
+  const returnDays = find(line => {
+    if (NO_RETURNS.test(line)) return 0;
+    const match = line.match(RETURN_DAYS);
+    return match ? parseInt(match[1], 10) : null;
+  });
+
+  return {
+    pincode: pincode || null,
+    serviceable,
+    estimatedDate,
+    charge: unserviceable ? null : find(parseDeliveryCharge),
+    cod,
+    returnDays
+  };
+}
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import { StaticPage, parseHtml } from './staticPage.js';
+import { createProxyAgents } from '../utils/proxyAgent.js';
+
+/**
+ * Fetch-first transport: a plain axios GET whose HTML is parsed with cheerio.
+ * HttpPage answers the Puppeteer page calls PlatformScraper makes, so the
+ * same search and product flows run over it; anything that needs a real
+ * browser (typing, clicking, scripts) throws so the caller can escalate.
+ */
+
+export const HTTP_TIMEOUT_MS = parseInt(process.env.HTTP_SCRAPE_TIMEOUT_MS, 10) || 15000;
+
+// Pages bigger than this are not product or search pages
+const MAX_CONTENT_LENGTH = 10 * 1024 * 1024;
+
+const DEFAULT_HEADERS = {
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-IN,en;q=0.9',
+  'Cache-Control': 'no-cache'
+};
+
+/**
+ * Stand-in for the HTTP response Puppeteer's page.goto resolves with
+ */
+class HttpResponse {
+  constructor(response) {
+    this.response = response;
+  }
+
+  status() {
+    return this.response.status;
+  }
+
+  ok() {
+    return this.response.status >= 200 && this.response.status < 300;
+  }
+
+  headers() {
+    return { ...this.response.headers };
+  }
+}
+
+/**
+ * A page loaded over HTTP instead of in Chromium
+ */
+export class HttpPage extends StaticPage {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeout - Request timeout (ms); Puppeteer's navigation timeouts are ignored
+   * @param {Object} options.proxy - Proxy to fetch through (see networkIdentity.js)
+   * @param {AbortSignal} [options.signal] - Cancels the request in flight when aborted
+   */
+  constructor({ timeout = HTTP_TIMEOUT_MS, proxy = null, signal } = {}) {
+    super('');
+    this.timeout = timeout;
+    this.signal = signal;
+    this.userAgent = null;
+    this.extraHeaders = {};
+    // axios' own proxy option would send HTTPS requests to the proxy in the clear; tunnel instead
+    this.proxyConfig = proxy ? { proxy: false, ...createProxyAgents(proxy) } : {};
+  }
+
+  // No viewport without a renderer
+  async setViewport() {}
+
+  async setUserAgent(userAgent) {
+    this.userAgent = userAgent;
+  }
+
+  async setExtraHTTPHeaders(headers) {
+    this.extraHeaders = { ...headers };
+  }
+
+  /**
+   * Fetch a page and make it the current document. Error statuses resolve
+   * like they do in Puppeteer; check response.status().
+   * @param {string} url - Address to load
+   * @returns {Promise<HttpResponse>}
+   */
+  async goto(url) {
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      headers: { ...DEFAULT_HEADERS, ...this.extraHeaders, ...(this.userAgent && { 'User-Agent': this.userAgent }) },
+      responseType: 'text',
+      maxContentLength: MAX_CONTENT_LENGTH,
+      validateStatus: () => true,
+      signal: this.signal,
+      ...this.proxyConfig
+    });
+
+    this.document = parseHtml(typeof response.data === 'string' ? response.data : '');
+    // Where redirects ended up
+    this.pageUrl = response.request?.res?.responseUrl || url;
+    return new HttpResponse(response);
+  }
+
+  async click() {
+    throw new Error('Clicking needs a browser');
+  }
+
+  async type() {
+    throw new Error('Typing needs a browser');
+  }
+
+  get keyboard() {
+    return {
+      press: async () => {
+        throw new Error('Key presses need a browser');
+      }
+    };
+  }
+
+  async close() {}
+}
@@ -0,0 +1,1009 @@
+import browserPool from '../utils/browserPool.js';
+import { HttpPage } from './httpPage.js';
+import { createProduct, createSearchResult, formatAmount, withDisplay } from './productSchema.js';
+import { recordPrice } from '../services/priceHistory.js';
+import resultCache, { buildCacheKey } from '../services/resultCache.js';
+import { parseProductUrl, productIdFromLink } from './productUrl.js';
+import { getSelectors } from './selectorConfig.js';
+import { extractFields, extractVariants, findPageMarker, isSponsoredTile, readResultLink } from './selectorEngine.js';
+import { extractStructuredData } from './structuredData.js';
+import scraperHealth, { hasValue, isFound } from '../services/scraperHealth.js';
+import networkIdentity from '../services/networkIdentity.js';
+import { findOption, groupVariants, selectedVariant } from './variants.js';
+import { sellersUrl } from './sellers.js';
+import { effectivePrice } from '../services/offers.js';
+import { SCRAPE_RETRIES, ScrapeError, errorResult, isTimeout, retryDelay, toScrapeError } from './scrapeError.js';
+
+// Statuses stores answer automated traffic with instead of the page
+const BOT_WALL_STATUSES = [403, 429, 503];
+
+// Availability of a product page that cannot be bought right now
+const OUT_OF_STOCK = /out of stock|sold out|currently unavailable/i;
+
+/**
+ * Wait, ending early when the signal is aborted
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait
+ * @returns {Promise<void>}
+ */
+const delay = (ms, signal) => new Promise(resolve => {
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal?.addEventListener('abort', done, { once: true });
+});
+
+/**
+ * Runs the search → first organic result → product page flow, the
+ * search → top-N listing flow, or opens a known product page directly,
+ * for any platform adapter (see adapter.js)
+ */
+export class PlatformScraper {
+  /**
+   * @param {import('./adapter.js').PlatformAdapter} adapter - Validated platform adapter
+   * @param {Object} options
+   * @param {(stage: string, details: Object) => void} options.onProgress - Called as the scrape
+   *   moves through navigating → product-found → extracting, plus escalating when an HTTP
+   *   attempt is rerun in the browser
+   * @param {'browser'|'http'} options.transport - Load pages in Chromium, or with a plain
+   *   HTTP GET parsed by cheerio (see httpPage.js)
+   * @param {{ proxy?: string, profile?: string }} options.identity - Proxy and profile ids to use
+   *   instead of the rotation's pick (see networkIdentity.js)
+   * @param {Object<string, string>} [options.variant] - Variant to read product pages in, canonical
+   *   dimension → option label, e.g. { storage: '256GB' } (see variants.js)
+   * @param {boolean} [options.sellers] - Also read the other sellers of each product page
+   *   opened, when the platform's selector map has a sellers section (see sellers.js)
+   * @param {string} [options.pincode] - Read product pages for delivery to this pincode (see delivery.js)
+   * @param {AbortSignal} [options.signal] - Stops the scrape when aborted: pages are closed, so
+   *   whatever they are loading or waiting for fails at once, and nothing is retried
+   */
+  constructor(adapter, { onProgress, transport = 'browser', identity, variant, sellers = false, pincode, signal } = {}) {
+    this.adapter = adapter;
+    this.onProgress = onProgress;
+    this.transport = transport;
+    this.signal = signal;
+    // Abort listeners of the pages this scraper holds: page → listener
+    this.abortListeners = new Map();
+    this.variant = variant;
+    this.readSellers = sellers;
+    this.pincode = pincode;
+    // Proxy (or null) and browser profile this scrape presents to the store
+    this.identity = networkIdentity.assign(adapter.id, identity);
+    // Taken once, so a reload mid-scrape cannot mix two versions of the map
+    this.selectors = getSelectors(adapter.id);
+    // One entry per tile or page read: { section, url, rules, values, matched, strategies, missing }
+    this.extractions = [];
+  }
+
+  /**
+   * Tell the caller how far the scrape got; a failing listener never breaks the scrape
+   * @param {string} stage - navigating, product-found, location, extracting, variant, sellers, escalating or retrying
+   * @param {Object} details - Stage specific details
+   */
+  reportProgress(stage, details = {}) {
+    if (!this.onProgress) return;
+    try {
+      this.onProgress(stage, { platform: this.adapter.id, ...details });
+    } catch (error) {
+      console.error('Progress listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Get a page to load into: a pooled Chromium tab, or an HttpPage
+   * @returns {Promise<Page|HttpPage>}
+   */
+  async acquirePage() {
+    const { proxy } = this.identity;
+    const { signal } = this;
+    if (this.transport === 'http') return new HttpPage({ proxy, signal });
+
+    const page = await browserPool.acquire({ proxy, signal });
+    if (signal) {
+      // Closing the page hands its slot back straight away, even mid-navigation
+      const onAbort = () => browserPool.release(page);
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.abortListeners.set(page, onAbort);
+      if (signal.aborted) onAbort();
+    }
+    return page;
+  }
+
+  /**
+   * Give back a page from acquirePage
+   * @param {Page|HttpPage} page - Page to release
+   */
+  async releasePage(page) {
+    if (this.transport === 'http') return;
+    const onAbort = this.abortListeners.get(page);
+    if (onAbort) {
+      this.signal.removeEventListener('abort', onAbort);
+      this.abortListeners.delete(page);
+    }
+    await browserPool.release(page);
+  }
+
+  /**
+   * The error a scrape ends with once its signal is aborted
+   * @returns {ScrapeError} ABORTED, with the reason the caller gave
+   */
+  abortError() {
+    return abortError(this.adapter, this.signal);
+  }
+
+  /**
+   * Main function to scrape product details
+   * @param {string} productName - The product name to search
+   * @returns {Promise<Object>} Product details including price, offers, and rating
+   */
+  async scrapeProduct(productName) {
+    const { adapter } = this;
+    const page = await this.acquirePage();
+
+    try {
+      await this.preparePage(page);
+      await this.openSearchResults(page, productName);
+
+      // Find first non-sponsored product
+      const productLink = await this.findFirstNonSponsoredProduct(page);
+
+      if (!productLink) {
+        throw new ScrapeError('NO_RESULTS', `${adapter.name} has no non-sponsored results for "${productName}"`);
+      }
+
+      console.log(`Found first non-sponsored product: ${productLink}`);
+      this.reportProgress('product-found', { productLink });
+
+      return await this.scrapeProductPage(page, productLink);
+
+    } catch (error) {
+      console.error(`Error scraping ${adapter.name} product:`, error.message);
+      throw error;
+    } finally {
+      await this.releasePage(page);
+    }
+  }
+
+  /**
+   * Scrape a product page whose URL is already known, skipping the search
+   * @param {string} productLink - Absolute product URL
+   * @returns {Promise<Object>} Raw product details plus productLink
+   */
+  async scrapeProductUrl(productLink) {
+    const { adapter } = this;
+    const page = await this.acquirePage();
+
+    try {
+      await this.preparePage(page);
+
+      console.log(`Navigating to: ${productLink}`);
+      this.reportProgress('navigating', { url: productLink });
+
+      return await this.scrapeProductPage(page, productLink);
+
+    } catch (error) {
+      console.error(`Error scraping ${adapter.name} product page:`, error.message);
+      throw error;
+    } finally {
+      await this.releasePage(page);
+    }
+  }
+
+  /**
+   * Read the first organic results straight from the search grid, optionally
+   * opening the product pages of the first few of them
+   * @param {string} productName - The product name to search
+   * @param {Object} options
+   * @param {number} options.limit - Number of organic results to return
+   * @param {number} options.detailLimit - How many of those to open for full details
+   * @returns {Promise<Object[]>} Listing tiles, with raw details on the first detailLimit
+   */
+  async searchProducts(productName, { limit, detailLimit = 0 }) {
+    const { adapter } = this;
+    const page = await this.acquirePage();
+
+    try {
+      await this.preparePage(page);
+      await this.openSearchResults(page, productName);
+
+      const results = await this.findOrganicResults(page, limit);
+      console.log(`Found ${results.length} non-sponsored products`);
+      this.reportProgress('product-found', { count: results.length });
+
+      for (const result of results.slice(0, detailLimit)) {
+        try {
+          result.details = await this.scrapeProductPage(page, result.productLink);
+        } catch (error) {
+          // One broken product page should not cost the whole listing
+          console.error(`Could not open ${result.productLink}:`, error.message);
+          result.detailsError = error.message;
+        }
+      }
+
+      return results;
+
+    } catch (error) {
+      console.error(`Error searching ${adapter.name}:`, error.message);
+      throw error;
+    } finally {
+      await this.releasePage(page);
+    }
+  }
+
+  /**
+   * Apply the profile's viewport, user agent and language to a fresh page
+   * @param {Page} page - Puppeteer page object
+   */
+  async preparePage(page) {
+    const { profile } = this.identity;
+
+    await page.setViewport(profile.viewport || { width: 1920, height: 1080 });
+    await page.setUserAgent(profile.userAgent);
+    if (profile.acceptLanguage) {
+      await page.setExtraHTTPHeaders({ 'Accept-Language': profile.acceptLanguage });
+    }
+  }
+
+  /**
+   * Navigate to the search results for a product name
+   * @param {Page} page - Puppeteer page object
+   * @param {string} productName - The product name to search
+   */
+  async openSearchResults(page, productName) {
+    const { adapter } = this;
+
+    // Navigate to search results
+    const searchUrl = adapter.buildSearchUrl(productName);
+    if (adapter.submitSearch && this.transport === 'http') {
+      throw new ScrapeError('SCRAPE_FAILED', `${adapter.name} search has to be typed into the page, which needs a browser`);
+    }
+
+    console.log(`Navigating to: ${searchUrl}`);
+    this.reportProgress('navigating', { url: searchUrl });
+
+    await this.navigate(page, searchUrl);
+
+    if (adapter.submitSearch) {
+      await adapter.submitSearch(page, productName);
+    }
+
+    // An empty search is an answer, not something to wait 30s for
+    const { search } = this.selectors;
+    await this.checkNoResults(page, productName);
+
+    // Wait for search results to load
+    await this.waitForContent(page, search.ready || search.results, () => this.checkNoResults(page, productName));
+
+    await this.settle();
+  }
+
+  /**
+   * Throw NO_RESULTS when the page is the store's empty search page
+   * @param {Page|HttpPage} page - Search results page
+   * @param {string} productName - The product name searched for
+   */
+  async checkNoResults(page, productName) {
+    const marker = await page.$eval('html', findPageMarker, this.selectors.search.noResults).catch(() => null);
+    if (marker) {
+      throw new ScrapeError('NO_RESULTS', `${this.adapter.name} found no results for "${productName}" (${marker})`);
+    }
+  }
+
+  /**
+   * Throw CAPTCHA or BLOCKED when the page is a bot wall rather than the content asked for
+   * @param {Page|HttpPage} page - Loaded page
+   * @param {string} url - Address that was opened
+   */
+  async checkBotWall(page, url) {
+    const { adapter } = this;
+    const { captcha, blocked } = this.selectors.botWall || {};
+
+    for (const [code, markers] of [['CAPTCHA', captcha], ['BLOCKED', blocked]]) {
+      const marker = await page.$eval('html', findPageMarker, markers).catch(() => null);
+      if (marker) {
+        networkIdentity.recordFailure(this.identity.proxy, `${code} ${marker}`);
+        throw new ScrapeError(code, `${adapter.name} served a ${code === 'CAPTCHA' ? 'CAPTCHA' : 'block page'} (${marker}) for ${url}`);
+      }
+    }
+  }
+
+  /**
+   * Wait for the element a page is ready with. When it never shows up, tell
+   * a bot wall or a page-specific answer apart from markup that changed.
+   * @param {Page|HttpPage} page - Loaded page
+   * @param {string} selector - Element to wait for
+   * @param {() => Promise<void>} [explain] - Throws a more specific error for the page, if it has one
+   */
+  async waitForContent(page, selector, explain) {
+    try {
+      await page.waitForSelector(selector, { timeout: 30000 });
+    } catch (error) {
+      // Scripts may have swapped the page for a CAPTCHA or an empty state since it loaded
+      await this.checkBotWall(page, page.url());
+      if (explain) await explain();
+      throw new ScrapeError('SELECTOR_TIMEOUT', `${this.adapter.name} page never showed ${selector}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a URL and make sure the store served the page rather than a bot wall.
+   * Failures are ScrapeErrors: NAVIGATION_TIMEOUT, NAVIGATION_FAILED, CAPTCHA or BLOCKED,
+   * or ABORTED when the scrape's signal closed the page.
+   * @param {Page|HttpPage} page - Page to load into
+   * @param {string} url - Address to open
+   */
+  async navigate(page, url) {
+    const { adapter } = this;
+    const { proxy } = this.identity;
+
+    let response;
+    try {
+      response = await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: 60000
+      });
+    } catch (error) {
+      // Our own signal closed the page; the proxy did nothing wrong
+      if (this.signal?.aborted) throw this.abortError();
+      networkIdentity.recordFailure(proxy, error.message);
+      throw isTimeout(error)
+        ? new ScrapeError('NAVIGATION_TIMEOUT', `${adapter.name} did not load ${url} in time: ${error.message}`)
+        : new ScrapeError('NAVIGATION_FAILED', `Could not load ${url}: ${error.message}`);
+    }
+
+    // A CAPTCHA page often comes with one of the blocking statuses, and is the more useful answer
+    await this.checkBotWall(page, url);
+
+    const status = response ? response.status() : null;
+    if (BOT_WALL_STATUSES.includes(status)) {
+      networkIdentity.recordFailure(proxy, `HTTP ${status}`);
+      throw new ScrapeError('BLOCKED', `${adapter.name} answered HTTP ${status} for ${url}`);
+    }
+
+    networkIdentity.recordSuccess(proxy);
+  }
+
+  /**
+   * Give scripts time to render after the page is ready; static HTML has nothing left to render
+   */
+  async settle() {
+    if (this.transport === 'browser') {
+      await delay(this.adapter.settleDelay, this.signal);
+    }
+  }
+
+  /**
+   * Open a product page and extract its details, for the requested pincode
+   * and in the requested variant when there are, with its other sellers
+   * when they were asked for
+   * @param {Page} page - Puppeteer page object
+   * @param {string} productLink - Absolute product URL
+   * @returns {Promise<Object>} Raw product details plus productLink
+   */
+  async scrapeProductPage(page, productLink) {
+    // Navigate to product page
+    await this.navigate(page, productLink);
+
+    await this.waitForContent(page, this.selectors.product.ready);
+
+    if (this.pincode) {
+      await this.setDeliveryLocation(page);
+    }
+
+    await this.settle();
+
+    // Extract product details
+    this.reportProgress('extracting', { productLink });
+    const productDetails = await this.extractProductDetails(page);
+    productDetails.productLink = productLink;
+    if (this.pincode) productDetails.pincode = this.pincode;
+
+    const details = this.variant ? await this.selectVariant(page, productDetails) : productDetails;
+    if (!this.readSellers || !this.selectors.sellers) return details;
+
+    return { ...details, sellers: await this.scrapeSellers(page, details) };
+  }
+
+  /**
+   * Open the listing's sellers page and read one row per offer. The product
+   * page has been read by now, so its tab is reused.
+   * @param {Page|HttpPage} page - Page to load the sellers page into
+   * @param {Object} details - Product details with productLink
+   * @returns {Promise<Object[]>} Values of the sellers section's fields, one object per row
+   */
+  async scrapeSellers(page, details) {
+    const { adapter } = this;
+    const section = this.selectors.sellers;
+    const productId = productIdFromLink(details.productLink) ?? details.productId ?? details.sku;
+    if (!productId) {
+      throw new ScrapeError('SCRAPE_FAILED', `Found no ${adapter.name} product id to list the sellers of ${details.productLink}`);
+    }
+
+    const url = sellersUrl(section, adapter.origin, productId);
+    console.log(`🏪 Reading ${adapter.name} sellers: ${url}`);
+    this.reportProgress('sellers', { url });
+    await this.navigate(page, url);
+    await this.waitForContent(page, section.ready);
+    await this.settle();
+
+    const rows = [];
+    for (const row of await page.$$(section.rows)) {
+      rows.push(this.recordExtraction('seller', section.fields, await row.evaluate(extractFields, section.fields), url));
+    }
+    return rows;
+  }
+
+  /**
+   * Set the delivery pincode on a product page, so that the price and
+   * delivery lines read next are for that location. It takes typing into
+   * the page, which needs a browser.
+   * @param {Page} page - Page showing the product
+   */
+  async setDeliveryLocation(page) {
+    const { adapter, pincode } = this;
+    if (!adapter.setDeliveryLocation) {
+      throw new ScrapeError('SCRAPE_FAILED', `${adapter.name} has no way to check delivery to a pincode`);
+    }
+    if (this.transport === 'http') {
+      throw new ScrapeError('SCRAPE_FAILED', `${adapter.name} delivery to a pincode has to be checked in the page, which needs a browser`);
+    }
+
+    console.log(`📍 Setting ${adapter.name} delivery pincode to ${pincode}`);
+    this.reportProgress('location', { pincode });
+    try {
+      await adapter.setDeliveryLocation(page, pincode);
+    } catch (error) {
+      await this.checkBotWall(page, page.url());
+      throw new ScrapeError(isTimeout(error) ? 'SELECTOR_TIMEOUT' : 'SCRAPE_FAILED',
+        `Could not set ${adapter.name} delivery pincode ${pincode}: ${error.message}`);
+    }
+    await this.waitForContent(page, this.selectors.product.ready);
+  }
+
+  /**
+   * Move to the requested variant. Options with a page of their own are
+   * opened one dimension at a time, since each page links the options that
+   * combine with what it has selected; options picked on the same page (sizes
+   * on Myntra) only lend their price and stock to the result.
+   * @param {Page|HttpPage} page - Page showing the product
+   * @param {Object} details - Details read from it, with variants and productLink
+   * @returns {Promise<Object>} Details of the requested variant, variant set to what was picked
+   * @throws {ScrapeError} VARIANT_NOT_FOUND when the listing does not offer a requested option
+   */
+  async selectVariant(page, details) {
+    const { adapter } = this;
+    const requested = Object.entries(this.variant);
+    let current = details;
+
+    for (let step = 0; step < requested.length; step += 1) {
+      for (const [dimension, label] of requested) {
+        if (!findOption(current.variants, dimension, label)) {
+          const group = (current.variants || []).find(entry => entry.dimension === dimension);
+          const offered = group ? group.options.map(option => option.label).join(', ') : 'none';
+          throw new ScrapeError('VARIANT_NOT_FOUND', `${adapter.name} does not offer ${dimension} "${label}" for ${current.productLink} (offered: ${offered})`);
+        }
+      }
+
+      const next = requested
+        .map(([dimension, label]) => ({ dimension, option: findOption(current.variants, dimension, label) }))
+        .find(({ option }) => !option.selected && option.productLink && option.productLink !== current.productLink);
+      if (!next) break;
+
+      console.log(`🎛️ Switching ${adapter.name} to ${next.dimension} ${next.option.label}: ${next.option.productLink}`);
+      this.reportProgress('variant', { dimension: next.dimension, option: next.option.label, url: next.option.productLink });
+      await this.navigate(page, next.option.productLink);
+      await this.waitForContent(page, this.selectors.product.ready);
+      await this.settle();
+
+      // The page we left is not part of the result
+      this.extractions.pop();
+      current = await this.extractProductDetails(page);
+      current.productLink = next.option.productLink;
+    }
+
+    const variant = selectedVariant(current.variants);
+    const refined = { ...current };
+    for (const [dimension, label] of requested) {
+      const option = findOption(current.variants, dimension, label);
+      variant[dimension] = option.label;
+      if (!option.productLink) {
+        if (option.price !== null) refined.price = option.price;
+        if (!option.available) refined.availability = 'Out of Stock';
+      }
+    }
+    return { ...refined, variant };
+  }
+
+  /**
+   * Find the first non-sponsored product link
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<string|null>} Absolute product URL
+   */
+  async findFirstNonSponsoredProduct(page) {
+    const [first] = await this.findOrganicResults(page, 1, { tiles: false });
+    return first ? first.productLink : null;
+  }
+
+  /**
+   * Collect the first non-sponsored results in page order
+   * @param {Page} page - Puppeteer page object
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options
+   * @param {boolean} options.tiles - Also read title, price and rating from each tile
+   * @returns {Promise<Object[]>} Results with absolute productLink
+   */
+  async findOrganicResults(page, limit, { tiles = true } = {}) {
+    const { adapter } = this;
+    const { search } = this.selectors;
+    const results = await page.$$(search.results);
+    const organic = [];
+    const seen = new Set();
+
+    for (const result of results) {
+      if (organic.length >= limit) break;
+
+      if (await result.evaluate(isSponsoredTile, search.sponsored)) {
+        console.log('Skipping sponsored product');
+        continue;
+      }
+
+      const href = await result.evaluate(readResultLink, search.link);
+      if (!href) continue;
+
+      // Nested containers can match the result selector twice
+      const productLink = new URL(href, adapter.origin + '/').href;
+      if (seen.has(productLink)) continue;
+      seen.add(productLink);
+
+      const tile = tiles
+        ? this.recordExtraction('tile', search.tile, await result.evaluate(extractFields, search.tile), productLink)
+        : {};
+      organic.push({ ...tile, productLink });
+    }
+
+    return organic;
+  }
+
+  /**
+   * Extract product details from product page
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<Object>} Raw product details
+   */
+  async extractProductDetails(page) {
+    const { adapter } = this;
+    const { fields, structured } = this.selectors.product;
+
+    const css = await page.$eval('html', extractFields, fields);
+    const data = structured
+      ? await page.$eval('html', extractStructuredData, structured)
+      : { values: {}, sources: {} };
+
+    const variants = this.selectors.product.variants
+      ? groupVariants(await page.$eval('html', extractVariants, this.selectors.product.variants), {
+        origin: adapter.origin,
+        linkTemplate: this.selectors.product.variants.linkTemplate
+      })
+      : [];
+
+    // Structured data wins; the CSS rules fill in whatever it did not provide
+    const strategies = { ...data.sources };
+    const values = { ...css.values, ...data.values, variants };
+    const details = adapter.refineDetails ? adapter.refineDetails(values) : values;
+
+    // An out-of-stock page shows no price: that is the page's answer, so it
+    // neither degrades the result nor counts against the price selectors
+    const outOfStock = OUT_OF_STOCK.test(details.availability || '') && !hasValue(details.price);
+    const expected = outOfStock ? Object.fromEntries(Object.entries(fields).filter(([name]) => name !== 'price')) : fields;
+    this.recordExtraction('product', expected, { values, matched: css.matched, strategies }, page.url());
+
+    for (const [name, value] of Object.entries(details)) {
+      if (!strategies[name] && hasValue(value)) strategies[name] = 'derived';
+    }
+    return { ...details, variant: selectedVariant(details.variants) };
+  }
+
+  /**
+   * Remember which selectors matched, which strategy supplied each field and
+   * which required fields came back empty
+   * @param {string} section - 'tile', 'product' or 'seller'
+   * @param {Object<string, Object>} rules - Field rules that were applied
+   * @param {{ values: Object, matched: Object, strategies?: Object }} extraction - Output of
+   *   extractFields, plus field → strategy for values that did not come from the CSS rules
+   * @param {string} url - Page or product the fields belong to
+   * @returns {Object} The extracted values
+   */
+  recordExtraction(section, rules, extraction, url) {
+    const { adapter } = this;
+    const strategies = extraction.strategies || {};
+    for (const [name, value] of Object.entries(extraction.values)) {
+      if (!strategies[name] && hasValue(value)) strategies[name] = 'css';
+    }
+
+    const missing = Object.keys(rules).filter(name => rules[name].required && !isFound(rules[name], extraction.values[name]));
+
+    // Kept by reference so fields the adapter derives later are labelled too
+    this.extractions.push({ section, url, rules, values: extraction.values, matched: extraction.matched, strategies, missing });
+
+    if (missing.length) {
+      console.warn(`⚠️ ${adapter.name} ${section} is missing ${missing.join(', ')}: ${url}`);
+    }
+    return extraction.values;
+  }
+
+  /**
+   * Feed this scrape's extractions to the health monitor. Called once the
+   * scrape's outcome is kept, so an HTTP attempt that was rerun in the browser
+   * does not count against the selectors.
+   */
+  reportHealth() {
+    const { adapter, selectors } = this;
+    for (const { section, rules, values, matched, strategies } of this.extractions) {
+      scraperHealth.record(adapter.id, selectors.version, section, rules, { values, matched, strategies });
+    }
+  }
+
+  /**
+   * Summary of this scrape's extractions for meta.extraction. A result is
+   * degraded when any required field came back empty; an out-of-stock
+   * product page is not expected to have a price.
+   * @returns {Object} { selectorVersion, degraded, missing, strategies?, selectors? }
+   */
+  extractionMeta() {
+    const missing = [...new Set(this.extractions.flatMap(({ section, missing }) => missing.map(name => `${section}.${name}`)))];
+    const meta = { selectorVersion: this.selectors.version, degraded: missing.length > 0, missing };
+
+    // For a single product page, where each field came from: json-ld, microdata, state,
+    // css or derived, and for css fields which fallback selector matched
+    const pages = this.extractions.filter(({ section }) => section !== 'seller');
+    if (pages.length === 1 && pages[0].section === 'product') {
+      meta.strategies = pages[0].strategies;
+      meta.selectors = pages[0].matched;
+    }
+    return meta;
+  }
+
+  /**
+   * Identity the scrape used, for meta.identity
+   * @returns {{ proxy: string|null, profile: string }} Proxy id (null when direct) and profile id
+   */
+  identityMeta() {
+    return { proxy: this.identity.proxy?.id ?? null, profile: this.identity.profile.id };
+  }
+}
+
+/**
+ * Save scraped prices to the history store; a storage problem never fails the scrape
+ * @param {Object[]} products - Schema products
+ */
+async function saveToHistory(products) {
+  for (const product of products) {
+    try {
+      await recordPrice(product);
+    } catch (error) {
+      console.error('Could not record price history:', error.message);
+    }
+  }
+}
+
+/**
+ * The error a scrape ends with once its signal is aborted
+ * @param {import('./adapter.js').PlatformAdapter} adapter - Platform adapter
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {ScrapeError} ABORTED, with the reason the caller gave
+ */
+function abortError(adapter, signal) {
+  const reason = signal?.reason?.message || 'aborted';
+  return new ScrapeError('ABORTED', `${adapter.name} scrape stopped: ${reason}`);
+}
+
+/**
+ * Shape listing tiles (and any opened product pages) into search results
+ * @param {import('./adapter.js').PlatformAdapter} adapter - Validated platform adapter
+ * @param {Object[]} tiles - Output of PlatformScraper.searchProducts
+ * @param {boolean} display - Add pre-formatted strings
+ * @returns {Object[]} Search results
+ */
+function toSearchResults(adapter, tiles, display) {
+  return tiles.map((tile, index) => {
+    const result = createSearchResult(adapter.id, tile, index + 1);
+
+    if (display) {
+      result.display = { price: formatAmount(result.price, result.currency) };
+    }
+    if (tile.details) {
+      const product = createProduct(adapter.id, adapter.normalize(tile.details));
+      result.details = display ? withDisplay(product) : product;
+    }
+    if (tile.detailsError) {
+      result.detailsError = tile.detailsError;
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Run a flow on one transport, retrying retryable failures (blocks, CAPTCHAs,
+ * navigation errors) with backoff. Every retry is a new scraper, so it gets
+ * the next proxy and profile from the rotation. Once the signal is aborted
+ * it stops with ABORTED instead of retrying.
+ * @param {import('./adapter.js').PlatformAdapter} adapter - Validated platform adapter
+ * @param {Object} options - PlatformScraper options: transport, identity, variant, sellers, pincode, signal
+ * @param {(stage: string, details: Object) => void} onProgress - Progress listener
+ * @param {(scraper: PlatformScraper) => Promise<*>} flow - Scraper calls to run
+ * @returns {Promise<{ value: *, scraper: PlatformScraper }>}
+ * @throws {ScrapeError} The last attempt's error
+ */
+async function runWithRetries(adapter, options, onProgress, flow) {
+  for (let attempt = 0; ; attempt += 1) {
+    const scraper = new PlatformScraper(adapter, { ...options, onProgress });
+    if (options.signal?.aborted) throw scraper.abortError();
+    try {
+      return { value: await flow(scraper), scraper };
+    } catch (error) {
+      // Whatever failed was cut short; it says nothing about the store or the selectors
+      if (options.signal?.aborted) throw scraper.abortError();
+
+      const failure = toScrapeError(error);
+      if (!failure.retryable || attempt >= SCRAPE_RETRIES) {
+        scraper.reportHealth();
+        throw failure;
+      }
+
+      const wait = retryDelay(failure, attempt);
+      console.log(`🔁 ${adapter.name} ${failure.code}, retry ${attempt + 1}/${SCRAPE_RETRIES} in ${wait}ms: ${failure.message}`);
+      scraper.reportProgress('retrying', { code: failure.code, attempt: attempt + 1, delay: wait });
+      await delay(wait, options.signal);
+    }
+  }
+}
+
+/**
+ * Run a scrape in the requested mode (see SCRAPE_MODES in adapter.js). In
+ * auto mode the flow runs over HTTP once and again in the browser when that
+ * attempt throws (bot wall, markup missing from the static HTML) or comes
+ * back degraded; a search the store answered with "no results" is final.
+ * Searches of adapters that type the query into the page (submitSearch) cannot
+ * run over HTTP, so auto mode runs them in the browser straight away.
+ * http and browser attempts are retried as runWithRetries describes.
+ * Only the attempt that is kept feeds the health monitor.
+ * Each attempt gets its own identity from the rotation unless the request pins one.
+ * @param {import('./adapter.js').PlatformAdapter} adapter - Validated platform adapter
+ * @param {Object} request
+ * @param {string} [request.mode] - Per-request mode; the adapter's scrapeMode when absent
+ * @param {boolean} [request.search] - The flow starts with a search rather than a product page
+ * @param {{ proxy?: string, profile?: string }} request.identity - Per-request proxy and profile ids
+ * @param {Object<string, string>} [request.variant] - Variant to read product pages in
+ * @param {boolean} [request.sellers] - Also read each product's other sellers
+ * @param {string} [request.pincode] - Read product pages for delivery to this pincode
+ * @param {AbortSignal} [request.signal] - Stops the scrape, see PlatformScraper
+ * @param {(stage: string, details: Object) => void} onProgress - Progress listener
+ * @param {(scraper: PlatformScraper) => Promise<*>} flow - Scraper calls to run
+ * @returns {Promise<{ value: *, scraper: PlatformScraper, mode: Object }>} The flow's result, the
+ *   scraper that produced it and meta.mode: { requested, used, escalated, reason }
+ * @throws {ScrapeError}
+ */
+async function runInMode(adapter, { mode: requestedMode, search = false, identity, ...pageOptions }, onProgress, flow) {
+  const mode = requestedMode || adapter.scrapeMode;
+
+  if (mode === 'http') {
+    const run = await runWithRetries(adapter, { transport: 'http', identity, ...pageOptions }, onProgress, flow);
+    run.scraper.reportHealth();
+    return { ...run, mode: { requested: mode, used: 'http', escalated: false, reason: null } };
+  }
+
+  let reason = null;
+  if (mode === 'auto' && !(search && adapter.submitSearch)) {
+    const scraper = new PlatformScraper(adapter, { onProgress, transport: 'http', identity, ...pageOptions });
+    try {
+      const value = await flow(scraper);
+      const { degraded, missing } = scraper.extractionMeta();
+      if (!degraded) {
+        scraper.reportHealth();
+        return { value, scraper, mode: { requested: mode, used: 'http', escalated: false, reason: null } };
+      }
+      reason = `missing ${missing.join(', ')}`;
+    } catch (error) {
+      if (pageOptions.signal?.aborted) throw scraper.abortError();
+      const failure = toScrapeError(error);
+      if (failure.code === 'NO_RESULTS') {
+        scraper.reportHealth();
+        throw failure;
+      }
+      reason = failure.code === 'SCRAPE_FAILED' ? failure.message : `${failure.code}: ${failure.message}`;
+    }
+
+    console.log(`⏫ Retrying ${adapter.name} in the browser: ${reason}`);
+    scraper.reportProgress('escalating', { reason });
+  }
+
+  const run = await runWithRetries(adapter, { identity, ...pageOptions }, onProgress, flow);
+  run.scraper.reportHealth();
+  return { ...run, mode: { requested: mode, used: 'browser', escalated: reason !== null, reason } };
+}
+
+/**
+ * Build the controller function for a platform: scrape, normalize and wrap
+ * the outcome as { success, data, meta } or { success: false, error, code, retryable }
+ * (see SCRAPE_ERRORS in scrapeError.js for the codes).
+ * With a limit it returns the top organic results instead of one product.
+ * Results are cached per platform and query; fresh=true skips the cache.
+ * onProgress receives (stage, details) while a scrape that missed the cache runs.
+ * meta.extraction flags results whose required fields came back empty;
+ * meta.mode tells whether the pages were fetched over HTTP or in the browser,
+ * meta.identity which proxy and profile fetched them.
+ * A payment profile adds each product's effective price after offers as pricing.
+ * sellers=true adds every seller's offer from the listing's sellers page.
+ * A pincode reads price and delivery for that location; data.shipping has what the page said.
+ * signal (an AbortSignal) ends the caller's wait with ABORTED. The scrape itself, shared with
+ * identical lookups, is stopped and its browser page freed only once every one of them has aborted.
+ * @param {import('./adapter.js').PlatformAdapter} adapter - Validated platform adapter
+ * @returns {(productName: string, options?: Object) => Promise<Object>} Controller function
+ */
+export function createScraperController(adapter) {
+  const scrapeUncached = async (productName, {
+    display = false, limit, detailLimit = 0, mode, proxy, profile, variant, sellers, pincode, signal
+  }, onProgress) => {
+    try {
+      console.log(`\n🔍 Searching ${adapter.name} for: ${productName}\n`);
+
+      let output;
+
+      if (limit) {
+        const run = await runInMode(adapter, { mode, search: true, identity: { proxy, profile }, variant, sellers, pincode, signal }, onProgress, scraper =>
+          scraper.searchProducts(productName, { limit, detailLimit }));
+        const tiles = run.value;
+        const results = toSearchResults(adapter, tiles, display);
+        await saveToHistory(results.filter(result => result.details).map(result => result.details));
+
+        output = {
+          success: true,
+          data: {
+            query: productName,
+            platform: adapter.id,
+            results
+          },
+          meta: { mode: run.mode, identity: run.scraper.identityMeta(), extraction: run.scraper.extractionMeta() }
+        };
+      } else {
+        const run = await runInMode(adapter, { mode, search: true, identity: { proxy, profile }, variant, sellers, pincode, signal }, onProgress, scraper =>
+          scraper.scrapeProduct(productName));
+        const product = createProduct(adapter.id, adapter.normalize(run.value));
+        await saveToHistory([product]);
+
+        output = {
+          success: true,
+          data: display ? withDisplay(product) : product,
+          meta: { mode: run.mode, identity: run.scraper.identityMeta(), extraction: run.scraper.extractionMeta() }
+        };
+      }
+
+      console.log(`\n✅ ${adapter.name} scraping completed successfully!\n`);
+      console.log(JSON.stringify(output, null, 2));
+
+      return output;
+
+    } catch (error) {
+      console.error(`\n❌ ${adapter.name} scraping failed:`, error.message);
+      return errorResult(error);
+    }
+  };
+
+  return async function scrapePlatform(productName, { fresh = false, onProgress, payment, ...options } = {}) {
+    const key = buildCacheKey(adapter.id, productName, cacheKeyOptions(options));
+    const compute = signal => scrapeUncached(productName, { ...options, signal }, onProgress);
+    return withPricing(await cachedResult(adapter, key, compute, { fresh, signal: options.signal }), payment);
+  };
+}
+
+/**
+ * Build the controller function that scrapes one product page by its URL,
+ * going straight to the product instead of searching by name. The link must
+ * point at this platform; it is canonicalized before the page is opened.
+ * @param {import('./adapter.js').PlatformAdapter} adapter - Validated platform adapter
+ * @returns {(productLink: string, options?: Object) => Promise<Object>} Controller function
+ */
+export function createUrlScraperController(adapter) {
+  const scrapeUncached = async (productLink, { display = false, mode, proxy, profile, variant, sellers, pincode, signal }, onProgress) => {
+    try {
+      console.log(`\n🔗 Opening ${adapter.name} product: ${productLink}\n`);
+
+      const run = await runInMode(adapter, { mode, identity: { proxy, profile }, variant, sellers, pincode, signal }, onProgress, scraper =>
+        scraper.scrapeProductUrl(productLink));
+      const product = createProduct(adapter.id, adapter.normalize(run.value));
+      await saveToHistory([product]);
+
+      const output = {
+        success: true,
+        data: display ? withDisplay(product) : product,
+        meta: { mode: run.mode, identity: run.scraper.identityMeta(), extraction: run.scraper.extractionMeta() }
+      };
+
+      console.log(`\n✅ ${adapter.name} scraping completed successfully!\n`);
+      console.log(JSON.stringify(output, null, 2));
+
+      return output;
+
+    } catch (error) {
+      console.error(`\n❌ ${adapter.name} scraping failed:`, error.message);
+      return errorResult(error);
+    }
+  };
+
+  return async function scrapeProductUrl(link, { fresh = false, onProgress, payment, ...options } = {}) {
+    const parsed = parseProductUrl(link);
+    if (!parsed || parsed.platform !== adapter.id) {
+      return errorResult(new ScrapeError('INVALID_LINK', `Link is not a ${adapter.name} product page`));
+    }
+
+    // Keyed by product id so tracking parameters and slugs do not split the entry
+    const key = buildCacheKey(adapter.id, `product:${parsed.productId}`, cacheKeyOptions(options));
+    const compute = signal => scrapeUncached(parsed.productLink, { ...options, signal }, onProgress);
+    return withPricing(await cachedResult(adapter, key, compute, { fresh, signal: options.signal }), payment);
+  };
+}
+
+/**
+ * Options that change what a scrape returns; the proxy and profile that fetched it,
+ * and the signal that could have stopped it, do not
+ * @param {Object} options - Controller options
+ * @returns {Object} Options for buildCacheKey
+ */
+function cacheKeyOptions({ proxy, profile, signal, ...options }) {
+  return options;
+}
+
+/**
+ * Add the effective price for a payment profile to a controller result. It is
+ * worked out from the parsed offers after the cache, so one cached scrape
+ * serves every profile.
+ * @param {Object} result - Controller result
+ * @param {import('../services/offers.js').PaymentProfile} [payment] - How the buyer pays
+ * @returns {Object} Result with data.pricing (or results[].details.pricing) when a profile was given
+ */
+function withPricing(result, payment) {
+  if (!payment || !result.success) return result;
+
+  const price = product => ({ ...product, pricing: effectivePrice(product.price, product.offers || [], payment) });
+  const data = result.data.results
+    ? { ...result.data, results: result.data.results.map(entry => entry.details ? { ...entry, details: price(entry.details) } : entry) }
+    : price(result.data);
+  return { ...result, data };
+}
+
+/**
+ * Serve a controller result through the result cache and attach cache metadata
+ * @param {import('./adapter.js').PlatformAdapter} adapter - Platform adapter
+ * @param {string} key - Cache key
+ * @param {(signal: AbortSignal) => Promise<Object>} compute - Scrapes on a miss, until the signal aborts
+ * @param {Object} options
+ * @param {boolean} options.fresh - Skip the cached entry
+ * @param {AbortSignal} [options.signal] - Stop waiting when aborted
+ * @returns {Promise<Object>} Result with meta.cache
+ */
+async function cachedResult(adapter, key, compute, { fresh, signal }) {
+  let cached;
+  try {
+    cached = await resultCache.getOrCompute(key, compute, { fresh, signal });
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+    return { ...errorResult(abortError(adapter, signal)), meta: { cache: { status: fresh ? 'BYPASS' : 'MISS' } } };
+  }
+
+  // Copy so that per-request meta never leaks into the cached value
+  return {
+    ...cached.value,
+    meta: {
+      ...cached.value.meta,
+      cache: {
+        status: cached.status,
+        coalesced: cached.coalesced,
+        storedAt: new Date(cached.storedAt).toISOString(),
+        expiresAt: new Date(cached.expiresAt).toISOString()
+      }
+    }
+  };
+}
@@ -0,0 +1,358 @@
+import { productIdFromLink } from './productUrl.js';
+
+/**
+ * Response schema shared by every platform. Bump SCHEMA_VERSION whenever a
+ * field is renamed, removed or changes meaning.
+ *
+ * Amounts are integer paise (₹1,299 → 129900) in `currency`; discount is a
+ * plain percentage number; anything the page did not show is null.
+ *
+ * @typedef {Object} Product
+ * @property {number} schemaVersion
+ * @property {string} platform - Platform id, e.g. 'amazon'
+ * @property {string|null} productId - The platform's own id: Amazon ASIN, Flipkart pid, Myntra style id
+ * @property {string|null} title
+ * @property {string|null} brand
+ * @property {string|null} sku - SKU from the page's structured data, when it has one
+ * @property {string} currency - ISO 4217 code
+ * @property {number|null} price - Selling price in paise
+ * @property {number|null} mrp - List price in paise
+ * @property {number|null} discount - Percentage off MRP
+ * @property {{ stars: number|null, totalRatings: number|null, totalReviews: number|null }} rating
+ * @property {string[]} topOffers - The first three offer texts as the store wrote them
+ * @property {Offer[]} offers - Every offer on the page, parsed (see services/offers.js)
+ * @property {string|null} seller - Seller of the buy box, the offer the page sells by default
+ * @property {Seller[]} sellers - Every seller's offer; empty unless the request asked for sellers
+ * @property {string|null} availability
+ * @property {string|null} delivery - Delivery line as the store words it
+ * @property {Shipping} shipping - Serviceability, delivery date and charge, COD and returns for the pincode
+ * @property {Size[]} sizes
+ * @property {Color[]} colors - Other colours the product comes in
+ * @property {Variant[]} variants - Variant dimensions the listing offers, e.g. storage and colour
+ * @property {Object<string, string>} variant - Dimension → option this product is, e.g. { storage: '256 GB' }
+ * @property {string|null} productLink
+ * @property {{ price: string|null, mrp: string|null, discount: string|null }} [display]
+ * @property {Pricing} [pricing] - Effective price for the payment profile the request gave
+ */
+
+/**
+ * @typedef {import('../services/offers.js').Offer} Offer
+ */
+
+/**
+ * @typedef {import('./sellers.js').Seller} Seller
+ * @typedef {import('./delivery.js').Shipping} Shipping
+ */
+
+/**
+ * @typedef {Object} Pricing
+ * @property {number|null} price - Listed price in paise
+ * @property {number|null} effectivePrice - What the buyer pays after the offers applied, in paise
+ * @property {number} savings - Paise
+ * @property {{ type: string, text: string, discount: number }[]} applied - Offers taken off, discount in paise
+ * @property {Offer[]} emi - No-cost EMI offers open to the profile
+ */
+
+/**
+ * @typedef {Object} Size
+ * @property {string} label - As the store shows it, e.g. 'M' or 'UK8'
+ * @property {boolean|null} available - Whether the size can be bought; null when the page does not say
+ * @property {number|null} price - Price of this size in paise, only when it differs from the product price
+ */
+
+/**
+ * @typedef {Object} Color
+ * @property {string} name - Colour name, e.g. 'Navy Blue'
+ * @property {string|null} productLink - Product page of that colour
+ */
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} dimension - Canonical name: 'storage', 'color', 'size', ... (see variants.js)
+ * @property {{ label: string, price: number|null, available: boolean, selected: boolean,
+ *   productLink: string|null }[]} options - price in paise when shown next to the option;
+ *   productLink is null for options picked on the same page
+ */
+
+/**
+ * One organic hit read from a search results grid
+ *
+ * @typedef {Object} SearchResult
+ * @property {number} schemaVersion
+ * @property {string} platform
+ * @property {number} position - 1-based rank among organic results
+ * @property {string|null} productId
+ * @property {string|null} title
+ * @property {string|null} brand
+ * @property {string} currency
+ * @property {number|null} price - Price in paise as shown on the tile
+ * @property {{ stars: number|null, totalRatings: number|null }} rating
+ * @property {string} productLink
+ * @property {Product} [details] - Full product, when its page was opened
+ * @property {string} [detailsError] - Why the product page could not be read
+ */
+
+export const SCHEMA_VERSION = 3;
+export const DEFAULT_CURRENCY = 'INR';
+
+const CURRENCY_SYMBOLS = { INR: '₹' };
+
+/**
+ * Convert a rupee amount into integer paise
+ * @param {number|null} amount - Amount in rupees
+ * @returns {number|null} Amount in paise, or null when not a positive number
+ */
+export function toPaise(amount) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) return null;
+  return Math.round(amount * 100);
+}
+
+/**
+ * Parse a price as shown on a page ("₹1,299.50", "MRP ₹ 2,999") into paise
+ * @param {string|null} text - Price text
+ * @returns {number|null} Amount in paise
+ */
+export function parseAmount(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? toPaise(parseFloat(match[0])) : null;
+}
+
+/**
+ * Percentage off MRP, rounded to a whole number
+ * @param {number|null} price - Selling price
+ * @param {number|null} mrp - List price, same unit as price
+ * @returns {number|null} Discount, or null unless both amounts are known
+ */
+export function percentOff(price, mrp) {
+  if (!price || !mrp) return null;
+  return Math.round(((mrp - price) / mrp) * 100);
+}
+
+/**
+ * Format paise for display, e.g. 129900 → "₹1,299"
+ * @param {number|null} paise - Amount in paise
+ * @param {string} currency - ISO 4217 code
+ * @returns {string|null} Formatted amount
+ */
+export function formatAmount(paise, currency = DEFAULT_CURRENCY) {
+  if (paise === null || paise === undefined) return null;
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  const digits = paise % 100 === 0 ? 0 : 2;
+  return `${symbol}${(paise / 100).toLocaleString('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+/**
+ * Keep finite numbers, turn NaN/undefined into null
+ * @param {*} value - Candidate number
+ * @returns {number|null}
+ */
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Keep non-empty trimmed strings, turn everything else into null
+ * @param {*} value - Candidate string
+ * @returns {string|null}
+ */
+function textOrNull(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed : null;
+}
+
+/**
+ * Check a product against the schema
+ * @param {Product} product - Product to check
+ * @returns {string[]} Problems found; empty when valid
+ */
+export function validateProduct(product) {
+  const errors = [];
+  const isIntOrNull = value => value === null || Number.isInteger(value);
+  const isNumberOrNull = value => value === null || (typeof value === 'number' && Number.isFinite(value));
+  const isStringOrNull = value => value === null || typeof value === 'string';
+  const isBooleanOrNull = value => value === null || typeof value === 'boolean';
+
+  if (product.schemaVersion !== SCHEMA_VERSION) errors.push('schemaVersion is not current');
+  if (typeof product.platform !== 'string' || !product.platform) errors.push('platform is required');
+  if (typeof product.currency !== 'string' || !/^[A-Z]{3}$/.test(product.currency)) {
+    errors.push('currency must be an ISO 4217 code');
+  }
+
+  for (const key of ['price', 'mrp']) {
+    if (!isIntOrNull(product[key]) || product[key] < 0) errors.push(`${key} must be integer paise or null`);
+  }
+  if (!isNumberOrNull(product.discount)) errors.push('discount must be a number or null');
+
+  const rating = product.rating || {};
+  if (!isNumberOrNull(rating.stars)) errors.push('rating.stars must be a number or null');
+  if (!isIntOrNull(rating.totalRatings)) errors.push('rating.totalRatings must be an integer or null');
+  if (!isIntOrNull(rating.totalReviews)) errors.push('rating.totalReviews must be an integer or null');
+
+  for (const key of ['productId', 'title', 'brand', 'sku', 'seller', 'availability', 'delivery', 'productLink']) {
+    if (!isStringOrNull(product[key])) errors.push(`${key} must be a string or null`);
+  }
+  if (!Array.isArray(product.topOffers) || product.topOffers.some(item => typeof item !== 'string')) {
+    errors.push('topOffers must be an array of strings');
+  }
+  if (!Array.isArray(product.offers) || product.offers.some(offer => typeof offer.type !== 'string' ||
+      typeof offer.text !== 'string' || !isNumberOrNull(offer.percent) || !isIntOrNull(offer.amount) ||
+      !isIntOrNull(offer.maxDiscount) || !isIntOrNull(offer.minSpend))) {
+    errors.push('offers must be an array of { type, text, percent, amount, maxDiscount, minSpend }');
+  }
+  const shipping = product.shipping || {};
+  if (!isStringOrNull(shipping.pincode) || !isBooleanOrNull(shipping.serviceable) ||
+      !(shipping.estimatedDate === null || /^\d{4}-\d{2}-\d{2}$/.test(shipping.estimatedDate)) ||
+      !isIntOrNull(shipping.charge) || !isBooleanOrNull(shipping.cod) || !isIntOrNull(shipping.returnDays)) {
+    errors.push('shipping must be { pincode, serviceable, estimatedDate, charge, cod, returnDays }');
+  }
+  if (!Array.isArray(product.sellers) || product.sellers.some(seller => typeof seller.name !== 'string' ||
+      !isIntOrNull(seller.price) || !isNumberOrNull(seller.rating) || !isStringOrNull(seller.fulfilledBy) ||
+      !isStringOrNull(seller.delivery) || !['new', 'renewed', 'used'].includes(seller.condition) ||
+      typeof seller.buyBox !== 'boolean')) {
+    errors.push('sellers must be an array of { name, price, rating, fulfilledBy, delivery, condition, buyBox }');
+  }
+  if (!Array.isArray(product.sizes) || product.sizes.some(size => typeof size.label !== 'string' ||
+      (size.available !== null && typeof size.available !== 'boolean') || !isIntOrNull(size.price))) {
+    errors.push('sizes must be an array of { label, available, price }');
+  }
+  if (!Array.isArray(product.colors) || product.colors.some(color => typeof color.name !== 'string' ||
+      !isStringOrNull(color.productLink))) {
+    errors.push('colors must be an array of { name, productLink }');
+  }
+  if (!Array.isArray(product.variants) || product.variants.some(variant => typeof variant.dimension !== 'string' ||
+      !Array.isArray(variant.options) || variant.options.some(option => typeof option.label !== 'string' ||
+        !isIntOrNull(option.price) || typeof option.available !== 'boolean' || typeof option.selected !== 'boolean' ||
+        !isStringOrNull(option.productLink)))) {
+    errors.push('variants must be an array of { dimension, options }');
+  }
+  if (!product.variant || typeof product.variant !== 'object' ||
+      Object.values(product.variant).some(label => typeof label !== 'string')) {
+    errors.push('variant must map dimensions to option labels');
+  }
+
+  return errors;
+}
+
+/**
+ * Build a schema-conformant product from a platform's normalized fields
+ * @param {string} platform - Platform id
+ * @param {Object} fields - Fields returned by the adapter's normalize()
+ * @returns {Product} Validated product
+ */
+export function createProduct(platform, fields) {
+  const rating = fields.rating || {};
+  const shipping = fields.shipping || {};
+  const productLink = textOrNull(fields.productLink);
+
+  const product = {
+    schemaVersion: SCHEMA_VERSION,
+    platform,
+    // Adapters may read the id off the page; otherwise it comes from the link
+    productId: textOrNull(fields.productId) ?? productIdFromLink(productLink),
+    title: textOrNull(fields.title),
+    brand: textOrNull(fields.brand),
+    sku: textOrNull(fields.sku),
+    currency: fields.currency || DEFAULT_CURRENCY,
+    price: numberOrNull(fields.price),
+    mrp: numberOrNull(fields.mrp),
+    discount: numberOrNull(fields.discount),
+    rating: {
+      stars: numberOrNull(rating.stars),
+      totalRatings: numberOrNull(rating.totalRatings),
+      totalReviews: numberOrNull(rating.totalReviews)
+    },
+    topOffers: (fields.topOffers || []).filter(Boolean),
+    offers: (fields.offers || []).filter(offer => offer && textOrNull(offer.text)),
+    seller: textOrNull(fields.seller),
+    sellers: (fields.sellers || []).map(seller => ({
+      name: seller.name,
+      price: numberOrNull(seller.price),
+      rating: numberOrNull(seller.rating),
+      fulfilledBy: textOrNull(seller.fulfilledBy),
+      delivery: textOrNull(seller.delivery),
+      condition: seller.condition,
+      buyBox: seller.buyBox === true
+    })),
+    availability: textOrNull(fields.availability),
+    delivery: textOrNull(fields.delivery),
+    shipping: {
+      pincode: textOrNull(shipping.pincode),
+      serviceable: typeof shipping.serviceable === 'boolean' ? shipping.serviceable : null,
+      estimatedDate: textOrNull(shipping.estimatedDate),
+      charge: numberOrNull(shipping.charge),
+      cod: typeof shipping.cod === 'boolean' ? shipping.cod : null,
+      returnDays: numberOrNull(shipping.returnDays)
+    },
+    sizes: (fields.sizes || []).filter(size => size && textOrNull(size.label)).map(size => ({
+      label: textOrNull(size.label),
+      available: typeof size.available === 'boolean' ? size.available : null,
+      price: numberOrNull(size.price)
+    })),
+    colors: (fields.colors || []).filter(color => color && textOrNull(color.name)).map(color => ({
+      name: textOrNull(color.name),
+      productLink: textOrNull(color.productLink)
+    })),
+    variants: (fields.variants || []).map(({ dimension, options }) => ({
+      dimension,
+      options: options.map(option => ({
+        label: option.label,
+        price: numberOrNull(option.price),
+        available: option.available !== false,
+        selected: option.selected === true,
+        productLink: textOrNull(option.productLink)
+      }))
+    })),
+    variant: { ...fields.variant },
+    productLink
+  };
+
+  const errors = validateProduct(product);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${platform} product: ${errors.join('; ')}`);
+  }
+
+  return product;
+}
+
+/**
+ * Build a search result entry from a listing tile
+ * @param {string} platform - Platform id
+ * @param {Object} tile - Tile fields from the adapter, price in rupees
+ * @param {number} position - 1-based rank among organic results
+ * @returns {SearchResult} Search result
+ */
+export function createSearchResult(platform, tile, position) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    platform,
+    position,
+    productId: productIdFromLink(tile.productLink),
+    title: textOrNull(tile.title),
+    brand: textOrNull(tile.brand),
+    currency: DEFAULT_CURRENCY,
+    price: toPaise(tile.price),
+    rating: {
+      stars: numberOrNull(tile.rating),
+      totalRatings: numberOrNull(tile.totalRatings)
+    },
+    productLink: tile.productLink
+  };
+}
+
+/**
+ * Add pre-formatted strings for clients that only display values
+ * @param {Product} product - Product to decorate
+ * @returns {Product} Copy of the product with a display field
+ */
+export function withDisplay(product) {
+  return {
+    ...product,
+    display: {
+      price: formatAmount(product.price, product.currency),
+      mrp: formatAmount(product.mrp, product.currency),
+      discount: product.discount !== null ? `${product.discount}%` : null
+    }
+  };
+}
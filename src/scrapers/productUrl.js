@@ -0,0 +1,99 @@
+// Only the Indian stores the adapters scrape; amazon.com, amazon.de or
+// amazon.example.com are other sites and must never be opened
+const AMAZON_HOST = /^(?:www\.)?amazon\.in$/;
+const FLIPKART_HOST = /^(?:[a-z0-9-]+\.)*flipkart\.com$/;
+const MYNTRA_HOST = /^(?:[a-z0-9-]+\.)*myntra\.com$/;
+
+/**
+ * Reduce a product link to one stable URL per product, dropping tracking
+ * parameters and search-result decorations so the same item always maps
+ * to the same key.
+ * @param {string} link - Product link as scraped
+ * @returns {string} Canonical product URL (the input unchanged if it cannot be parsed)
+ */
+export function canonicalizeProductLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return link;
+  }
+
+  const host = url.hostname;
+
+  // amazon.in/<slug>/dp/<ASIN>/ref=... → amazon.in/dp/<ASIN>
+  if (AMAZON_HOST.test(host)) {
+    const asin = url.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+    if (asin) return `https://www.amazon.in/dp/${asin[1].toUpperCase()}`;
+  }
+
+  // flipkart.com/<slug>/p/<itm>?pid=<PID>&lid=... → keep only pid, it selects the variant
+  if (FLIPKART_HOST.test(host)) {
+    const item = url.pathname.match(/^\/([^/]+)\/p\/(itm[a-z0-9]+)/i);
+    if (item) {
+      const pid = url.searchParams.get('pid');
+      return `https://www.flipkart.com/${item[1]}/p/${item[2]}${pid ? `?pid=${encodeURIComponent(pid)}` : ''}`;
+    }
+  }
+
+  // myntra.com/<category>/<brand>/<slug>/<id>/buy → myntra.com/<id>
+  if (MYNTRA_HOST.test(host)) {
+    const id = url.pathname.match(/\/(\d{5,})(\/buy)?\/?$/);
+    if (id) return `https://www.myntra.com/${id[1]}`;
+  }
+
+  return `${url.origin}${url.pathname}`;
+}
+
+/**
+ * Recognize a product page link: which platform it belongs to and the
+ * platform's own product id (Amazon ASIN, Flipkart pid, Myntra style id).
+ * Flipkart links without a pid fall back to the itm id, which names the
+ * product but not the variant.
+ * @param {string} link - Product link
+ * @returns {{ platform: string, productId: string, productLink: string }|null} null when the
+ *   link is not a product page of a known platform
+ */
+export function parseProductUrl(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname;
+
+  if (AMAZON_HOST.test(host)) {
+    const asin = url.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?=[/?]|$)/i);
+    if (asin) {
+      return { platform: 'amazon', productId: asin[1].toUpperCase(), productLink: canonicalizeProductLink(link) };
+    }
+  }
+
+  if (FLIPKART_HOST.test(host)) {
+    const item = url.pathname.match(/^\/[^/]+\/p\/(itm[a-z0-9]+)/i);
+    if (item) {
+      const pid = url.searchParams.get('pid');
+      return { platform: 'flipkart', productId: pid || item[1], productLink: canonicalizeProductLink(link) };
+    }
+  }
+
+  if (MYNTRA_HOST.test(host)) {
+    const id = url.pathname.match(/\/(\d{5,})(\/buy)?\/?$/);
+    if (id) {
+      return { platform: 'myntra', productId: id[1], productLink: canonicalizeProductLink(link) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Platform product id of a link, if it has one
+ * @param {string|null} link - Product link
+ * @returns {string|null} Product id
+ */
+export function productIdFromLink(link) {
+  return link ? parseProductUrl(link)?.productId ?? null : null;
+}
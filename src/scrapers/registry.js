@@ -0,0 +1,68 @@
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import path from 'node:path';
+import { validateAdapter } from './adapter.js';
+import { createScraperController, createUrlScraperController } from './platformScraper.js';
+import { getSelectors } from './selectorConfig.js';
+
+const ADAPTERS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'adapters');
+
+const platforms = new Map();
+
+/**
+ * Register a platform adapter
+ * @param {import('./adapter.js').PlatformAdapter} rawAdapter - Adapter module export
+ * @returns {Object} Registered platform: { id, name, adapter, scrape, scrapeUrl }
+ */
+export function registerPlatform(rawAdapter) {
+  const adapter = validateAdapter(rawAdapter);
+
+  if (platforms.has(adapter.id)) {
+    throw new Error(`Platform "${adapter.id}" is already registered`);
+  }
+
+  // Throws when the platform has no valid selector map
+  getSelectors(adapter.id);
+
+  const platform = {
+    id: adapter.id,
+    name: adapter.name,
+    adapter,
+    scrape: createScraperController(adapter),
+    scrapeUrl: createUrlScraperController(adapter)
+  };
+
+  platforms.set(adapter.id, platform);
+  return platform;
+}
+
+/**
+ * Look up a registered platform
+ * @param {string} id - Platform id, e.g. 'amazon'
+ * @returns {Object|undefined} Registered platform
+ */
+export function getPlatform(id) {
+  return platforms.get(String(id).toLowerCase());
+}
+
+/**
+ * All registered platforms, in registration order
+ * @returns {Object[]} Registered platforms
+ */
+export function listPlatforms() {
+  return [...platforms.values()];
+}
+
+/**
+ * Import and register every adapter module in src/scrapers/adapters
+ */
+async function loadAdapters() {
+  const files = (await readdir(ADAPTERS_DIR)).filter(file => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(ADAPTERS_DIR, file)).href);
+    registerPlatform(module.default);
+  }
+}
+
+await loadAdapters();
@@ -0,0 +1,103 @@
+/**
+ * Machine-readable scrape failures. Each code carries the HTTP status the
+ * API answers with and whether trying again (later, with another identity)
+ * can help; PlatformScraper throws these, the controllers turn them into
+ * { success: false, error, code, retryable } and retry the retryable ones.
+ */
+export const SCRAPE_ERRORS = {
+  // The store refused the request: 403/429/503 or an access-denied page
+  BLOCKED: { status: 503, retryable: true },
+  // The store wants a CAPTCHA solved
+  CAPTCHA: { status: 503, retryable: true },
+  // The search ran and found nothing (or only ads)
+  NO_RESULTS: { status: 404, retryable: false },
+  // The page loaded but the element the scrape waits for never appeared
+  SELECTOR_TIMEOUT: { status: 502, retryable: false },
+  // The page did not load in time
+  NAVIGATION_TIMEOUT: { status: 504, retryable: true },
+  // The page could not be loaded at all: connection refused, proxy error, DNS
+  NAVIGATION_FAILED: { status: 502, retryable: true },
+  // The listing does not offer the requested variant
+  VARIANT_NOT_FOUND: { status: 404, retryable: false },
+  // The link is not a product page of the platform it was sent to
+  INVALID_LINK: { status: 400, retryable: false },
+  // The caller stopped waiting (its time budget ran out) and the scrape was cut short
+  ABORTED: { status: 504, retryable: false },
+  // Anything else
+  SCRAPE_FAILED: { status: 500, retryable: false }
+};
+
+// Retries after the first attempt; SCRAPE_RETRIES=0 turns them off
+const configuredRetries = parseInt(process.env.SCRAPE_RETRIES, 10);
+export const SCRAPE_RETRIES = Number.isNaN(configuredRetries) ? 2 : configuredRetries;
+
+// First wait before a retry; doubles with every further attempt
+const RETRY_BASE_MS = {
+  BLOCKED: parseInt(process.env.SCRAPE_BLOCK_BACKOFF_MS, 10) || 5000,
+  CAPTCHA: parseInt(process.env.SCRAPE_BLOCK_BACKOFF_MS, 10) || 5000,
+  NAVIGATION_TIMEOUT: 1000,
+  NAVIGATION_FAILED: 1000
+};
+
+export class ScrapeError extends Error {
+  /**
+   * @param {string} code - Key of SCRAPE_ERRORS
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.code = SCRAPE_ERRORS[code] ? code : 'SCRAPE_FAILED';
+    this.status = SCRAPE_ERRORS[this.code].status;
+    this.retryable = SCRAPE_ERRORS[this.code].retryable;
+  }
+}
+
+/**
+ * Wrap any error as a ScrapeError; errors that are not one already become SCRAPE_FAILED
+ * @param {Error} error - Caught error
+ * @returns {ScrapeError}
+ */
+export function toScrapeError(error) {
+  return error instanceof ScrapeError ? error : new ScrapeError('SCRAPE_FAILED', error.message);
+}
+
+/**
+ * Did loading a page fail by running out of time? Covers Puppeteer and axios.
+ * @param {Error} error - Error thrown by page.goto
+ * @returns {boolean}
+ */
+export function isTimeout(error) {
+  return error.name === 'TimeoutError' || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+}
+
+/**
+ * How long to wait before retrying after an error, with ±20% jitter so parallel scrapes spread out
+ * @param {ScrapeError} error - The retryable error
+ * @param {number} attempt - Retries made so far (0 for the first)
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(error, attempt) {
+  const base = RETRY_BASE_MS[error.code] || 1000;
+  return Math.round(base * 2 ** attempt * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Controller output for a failed scrape
+ * @param {Error} error - Caught error
+ * @returns {{ success: false, error: string, code: string, retryable: boolean }}
+ */
+export function errorResult(error) {
+  const { message, code, retryable } = toScrapeError(error);
+  return { success: false, error: message, code, retryable };
+}
+
+/**
+ * HTTP status for a controller result
+ * @param {Object} result - { success, code? }
+ * @returns {number} 200 for successes, the code's status for failures
+ */
+export function statusForResult(result) {
+  if (result.success) return 200;
+  return SCRAPE_ERRORS[result.code]?.status || 500;
+}
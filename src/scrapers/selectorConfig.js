@@ -0,0 +1,462 @@
+import { watch } from 'node:fs';
+import { readdir, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import * as cheerio from 'cheerio';
+import { STRUCTURED_FIELDS, STRUCTURED_STRATEGIES } from './structuredData.js';
+
+/**
+ * Per-platform selector maps, one JSON file per platform in
+ * src/scrapers/selectors/ (or SELECTORS_DIR). Every map is validated when it
+ * is loaded; a map that fails validation is rejected and the last good
+ * version of that platform stays in use, so a typo can be fixed without
+ * restarting the server. See selectorEngine.js for how field rules are read.
+ * Optional page markers ({ selectors?, texts? }) recognize pages served in
+ * place of the one asked for: botWall.captcha, botWall.blocked and
+ * search.noResults (see scrapeError.js for the errors they raise).
+ * product.variants, also optional, reads the listing's variant options
+ * (see extractVariants in selectorEngine.js and variants.js), and the
+ * optional sellers section the page listing every seller's offer
+ * (see sellers.js).
+ */
+
+export const SELECTORS_DIR = process.env.SELECTORS_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'selectors');
+
+export const PARSE_RULES = ['text', 'price', 'number', 'integer', 'count', 'list', 'exists'];
+
+// Edits usually arrive as several change events in a row
+const RELOAD_DEBOUNCE_MS = 200;
+
+const maps = new Map();
+let watcher = null;
+let reloadTimer = null;
+
+// Only used to check that selectors parse
+const $ = cheerio.load('');
+
+/**
+ * Check that a string is a non-empty CSS selector cheerio can parse
+ * @param {*} selector - Candidate selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) return false;
+  try {
+    $(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that a string compiles as a regular expression
+ * @param {*} source - Candidate pattern
+ * @returns {boolean}
+ */
+function isValidRegex(source) {
+  if (typeof source !== 'string' || !source) return false;
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate one field rule
+ * @param {string} where - Path of the rule, for error messages
+ * @param {*} rule - Candidate rule
+ * @param {string[]} errors - Collects problems
+ */
+function validateFieldRule(where, rule, errors) {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (!PARSE_RULES.includes(rule.parse)) {
+    errors.push(`${where}.parse must be one of ${PARSE_RULES.join(', ')}`);
+  }
+  if (!Array.isArray(rule.selectors) || rule.selectors.length === 0) {
+    errors.push(`${where}.selectors must be a non-empty array`);
+    return;
+  }
+
+  rule.selectors.forEach((entry, index) => {
+    const at = `${where}.selectors[${index}]`;
+    const selector = typeof entry === 'string' ? entry : entry?.selector;
+    if (!isValidSelector(selector)) {
+      errors.push(`${at} is not a valid CSS selector`);
+    }
+    if (entry && typeof entry === 'object') {
+      if (entry.attribute !== undefined && (typeof entry.attribute !== 'string' || !entry.attribute)) {
+        errors.push(`${at}.attribute must be an attribute name`);
+      }
+      if (entry.match !== undefined && !isValidRegex(entry.match)) {
+        errors.push(`${at}.match must be a regular expression`);
+      }
+    }
+  });
+
+  for (const key of ['pattern', 'strip']) {
+    if (rule[key] !== undefined && !isValidRegex(rule[key])) {
+      errors.push(`${where}.${key} must be a regular expression`);
+    }
+  }
+  for (const key of ['limit', 'minLength', 'maxLength']) {
+    if (rule[key] !== undefined && (!Number.isInteger(rule[key]) || rule[key] < 1)) {
+      errors.push(`${where}.${key} must be a positive integer`);
+    }
+  }
+  if (rule.required !== undefined && typeof rule.required !== 'boolean') {
+    errors.push(`${where}.required must be true or false`);
+  }
+  if (rule.minSuccessRate !== undefined &&
+      (typeof rule.minSuccessRate !== 'number' || rule.minSuccessRate < 0 || rule.minSuccessRate > 1)) {
+    errors.push(`${where}.minSuccessRate must be a number between 0 and 1`);
+  }
+}
+
+/**
+ * Validate page markers: { selectors?, texts? } that recognize a kind of page
+ * @param {string} where - Path of the markers
+ * @param {*} markers - Candidate markers
+ * @param {string[]} errors - Collects problems
+ */
+function validateMarkers(where, markers, errors) {
+  if (!markers || typeof markers !== 'object') {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (markers.selectors !== undefined &&
+      (!Array.isArray(markers.selectors) || !markers.selectors.every(isValidSelector))) {
+    errors.push(`${where}.selectors must all be valid CSS selectors`);
+  }
+  if (markers.texts !== undefined &&
+      (!Array.isArray(markers.texts) || markers.texts.some(text => typeof text !== 'string' || !text.trim()))) {
+    errors.push(`${where}.texts must be an array of phrases`);
+  }
+}
+
+/**
+ * Validate a set of field rules that must include title and price
+ * @param {string} where - Path of the set
+ * @param {*} fields - Field name → rule
+ * @param {string[]} errors - Collects problems
+ */
+function validateFields(where, fields, errors) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push(`${where} must be an object of field rules`);
+    return;
+  }
+  for (const required of ['title', 'price']) {
+    if (!fields[required]) errors.push(`${where}.${required} is required`);
+  }
+  for (const [name, rule] of Object.entries(fields)) {
+    validateFieldRule(`${where}.${name}`, rule, errors);
+  }
+}
+
+/**
+ * Validate product.structured, the structured data sources read before the CSS rules
+ * @param {*} structured - Candidate settings
+ * @param {string[]} errors - Collects problems
+ */
+function validateStructured(structured, errors) {
+  if (!structured || typeof structured !== 'object') {
+    errors.push('product.structured must be an object');
+    return;
+  }
+
+  const { strategies, state, fields } = structured;
+  if (!Array.isArray(strategies) || strategies.length === 0 ||
+      strategies.some(strategy => !STRUCTURED_STRATEGIES.includes(strategy))) {
+    errors.push(`product.structured.strategies must list some of ${STRUCTURED_STRATEGIES.join(', ')}`);
+  } else if (strategies.includes('state') && !Array.isArray(state)) {
+    errors.push('product.structured.state is required by the state strategy');
+  }
+
+  (Array.isArray(state) ? state : []).forEach((blob, index) => {
+    const at = `product.structured.state[${index}]`;
+    if (!blob || typeof blob.variable !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(blob.variable)) {
+      errors.push(`${at}.variable must be a JavaScript identifier`);
+    }
+    if (!blob?.fields || typeof blob.fields !== 'object' || Object.keys(blob.fields).length === 0) {
+      errors.push(`${at}.fields must map field names to paths`);
+      return;
+    }
+    for (const [field, path] of Object.entries(blob.fields)) {
+      if (!STRUCTURED_FIELDS.includes(field)) errors.push(`${at}.fields.${field} is not a structured field`);
+      if (typeof path !== 'string' || !path) errors.push(`${at}.fields.${field} must be a dotted path`);
+    }
+  });
+
+  if (fields !== undefined &&
+      (!Array.isArray(fields) || fields.some(field => !STRUCTURED_FIELDS.includes(field)))) {
+    errors.push(`product.structured.fields must list some of ${STRUCTURED_FIELDS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a reader of product.variants: { closest?, selector?, attribute?, pattern? } or a list of them
+ * @param {string} where - Path of the reader
+ * @param {*} reader - Candidate reader
+ * @param {string[]} errors - Collects problems
+ */
+function validateVariantReader(where, reader, errors) {
+  if (Array.isArray(reader) && reader.length > 0) {
+    reader.forEach((entry, index) => validateVariantReader(`${where}[${index}]`, entry, errors));
+    return;
+  }
+  if (!reader || typeof reader !== 'object' || Array.isArray(reader)) {
+    errors.push(`${where} must be a reader object or a non-empty list of them`);
+    return;
+  }
+  for (const key of ['closest', 'selector']) {
+    if (reader[key] !== undefined && !isValidSelector(reader[key])) {
+      errors.push(`${where}.${key} must be a valid CSS selector`);
+    }
+  }
+  if (reader.attribute !== undefined && (typeof reader.attribute !== 'string' || !reader.attribute)) {
+    errors.push(`${where}.attribute must be an attribute name`);
+  }
+  if (reader.pattern !== undefined && !isValidRegex(reader.pattern)) {
+    errors.push(`${where}.pattern must be a regular expression`);
+  }
+}
+
+/**
+ * Validate product.variants, the variant options of a listing
+ * @param {*} variants - Candidate settings
+ * @param {string[]} errors - Collects problems
+ */
+function validateVariants(variants, errors) {
+  if (!variants || typeof variants !== 'object') {
+    errors.push('product.variants must be an object');
+    return;
+  }
+  if (!isValidSelector(variants.options)) errors.push('product.variants.options must be a valid CSS selector');
+  for (const key of ['dimension', 'label']) {
+    validateVariantReader(`product.variants.${key}`, variants[key], errors);
+  }
+  for (const key of ['price', 'link']) {
+    if (variants[key] !== undefined) validateVariantReader(`product.variants.${key}`, variants[key], errors);
+  }
+  for (const key of ['unavailable', 'selected']) {
+    if (variants[key] !== undefined && (!Array.isArray(variants[key]) || !variants[key].every(isValidSelector))) {
+      errors.push(`product.variants.${key} must be an array of CSS selectors`);
+    }
+  }
+  if (variants.linkTemplate !== undefined &&
+      (typeof variants.linkTemplate !== 'string' || !variants.linkTemplate.includes('{value}'))) {
+    errors.push('product.variants.linkTemplate must be a string containing {value}');
+  }
+}
+
+/**
+ * Validate the sellers section: { url, ready, rows, fields } with the url a
+ * template containing {productId} and fields read from each row
+ * @param {*} sellers - Candidate settings
+ * @param {string[]} errors - Collects problems
+ */
+function validateSellers(sellers, errors) {
+  if (!sellers || typeof sellers !== 'object') {
+    errors.push('sellers must be an object');
+    return;
+  }
+  if (typeof sellers.url !== 'string' || !sellers.url.includes('{productId}')) {
+    errors.push('sellers.url must be a string containing {productId}');
+  }
+  for (const key of ['ready', 'rows']) {
+    if (!isValidSelector(sellers[key])) errors.push(`sellers.${key} must be a valid CSS selector`);
+  }
+
+  const { fields } = sellers;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push('sellers.fields must be an object of field rules');
+    return;
+  }
+  for (const required of ['seller', 'price']) {
+    if (!fields[required]) errors.push(`sellers.fields.${required} is required`);
+  }
+  for (const [name, rule] of Object.entries(fields)) {
+    validateFieldRule(`sellers.fields.${name}`, rule, errors);
+  }
+}
+
+/**
+ * Check a selector map against the format
+ * @param {*} map - Parsed JSON
+ * @returns {string[]} Problems found; empty when the map is valid
+ */
+export function validateSelectorMap(map) {
+  const errors = [];
+
+  if (!map || typeof map !== 'object') {
+    return ['selector map must be a JSON object'];
+  }
+  if (typeof map.platform !== 'string' || !map.platform) {
+    errors.push('platform must be a platform id');
+  }
+  if (!Number.isInteger(map.version) || map.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+
+  const { search, product } = map;
+  if (!search || typeof search !== 'object') {
+    errors.push('search is required');
+  } else {
+    if (!isValidSelector(search.results)) errors.push('search.results must be a valid CSS selector');
+    if (search.ready !== undefined && !isValidSelector(search.ready)) {
+      errors.push('search.ready must be a valid CSS selector');
+    }
+
+    if (!search.link || !Array.isArray(search.link.selectors) || search.link.selectors.length === 0) {
+      errors.push('search.link.selectors must be a non-empty array');
+    } else if (!search.link.selectors.every(isValidSelector)) {
+      errors.push('search.link.selectors must all be valid CSS selectors');
+    }
+
+    if (search.noResults !== undefined) validateMarkers('search.noResults', search.noResults, errors);
+
+    const sponsored = search.sponsored;
+    if (sponsored !== undefined) {
+      if ((sponsored.selectors || []).some(selector => !isValidSelector(selector))) {
+        errors.push('search.sponsored.selectors must all be valid CSS selectors');
+      }
+      for (const key of ['classes', 'ancestorClasses']) {
+        if (sponsored[key] !== undefined && !Array.isArray(sponsored[key])) {
+          errors.push(`search.sponsored.${key} must be an array of class names`);
+        }
+      }
+      if (sponsored.labels !== undefined &&
+          (!isValidSelector(sponsored.labels.selector) || !Array.isArray(sponsored.labels.texts))) {
+        errors.push('search.sponsored.labels needs a selector and a texts array');
+      }
+    }
+
+    validateFields('search.tile', search.tile, errors);
+  }
+
+  if (!product || typeof product !== 'object') {
+    errors.push('product is required');
+  } else {
+    if (!isValidSelector(product.ready)) errors.push('product.ready must be a valid CSS selector');
+    validateFields('product.fields', product.fields, errors);
+    if (product.structured !== undefined) validateStructured(product.structured, errors);
+    if (product.variants !== undefined) validateVariants(product.variants, errors);
+  }
+
+  if (map.sellers !== undefined) validateSellers(map.sellers, errors);
+
+  const { botWall } = map;
+  if (botWall !== undefined) {
+    if (!botWall || typeof botWall !== 'object') {
+      errors.push('botWall must be an object');
+    } else {
+      for (const kind of Object.keys(botWall)) {
+        if (!['captcha', 'blocked'].includes(kind)) errors.push(`botWall.${kind} is not captcha or blocked`);
+        else validateMarkers(`botWall.${kind}`, botWall[kind], errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read, validate and install every selector map in SELECTORS_DIR. Invalid
+ * files are skipped and leave the previously loaded map in place.
+ * @returns {Promise<{ loaded: Object[], errors: Object[] }>} What was installed and what was rejected
+ */
+export async function loadSelectorMaps() {
+  const files = (await readdir(SELECTORS_DIR)).filter(file => file.endsWith('.json')).sort();
+  const report = { loaded: [], errors: [] };
+
+  for (const file of files) {
+    let map;
+    try {
+      map = JSON.parse(await readFile(path.join(SELECTORS_DIR, file), 'utf8'));
+    } catch (error) {
+      report.errors.push({ file, errors: [`invalid JSON: ${error.message}`] });
+      continue;
+    }
+
+    const errors = validateSelectorMap(map);
+    if (!errors.length && map.platform !== path.basename(file, '.json')) {
+      errors.push('platform must match the file name');
+    }
+    if (errors.length) {
+      report.errors.push({ file, errors });
+      continue;
+    }
+
+    maps.set(map.platform, { ...map, file, loadedAt: new Date().toISOString() });
+    report.loaded.push({ platform: map.platform, version: map.version });
+  }
+
+  for (const { file, errors } of report.errors) {
+    console.error(`❌ Rejected selector map ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return report;
+}
+
+/**
+ * Current selector map of a platform
+ * @param {string} platformId - Platform id, e.g. 'amazon'
+ * @returns {Object} The map, with file and loadedAt
+ */
+export function getSelectors(platformId) {
+  const map = maps.get(platformId);
+  if (!map) {
+    throw new Error(`No valid selector map for platform "${platformId}" in ${SELECTORS_DIR}`);
+  }
+  return map;
+}
+
+/**
+ * Summary of every loaded map
+ * @returns {Object[]} { platform, version, file, loadedAt }
+ */
+export function listSelectorMaps() {
+  return [...maps.values()].map(({ platform, version, file, loadedAt }) => ({ platform, version, file, loadedAt }));
+}
+
+/**
+ * Reload the maps whenever a file in SELECTORS_DIR changes
+ */
+export function watchSelectorMaps() {
+  if (watcher) return;
+
+  watcher = watch(SELECTORS_DIR, (eventType, filename) => {
+    if (filename && !filename.endsWith('.json')) return;
+
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(async () => {
+      try {
+        const { loaded } = await loadSelectorMaps();
+        console.log(`🔄 Reloaded selector maps: ${loaded.map(map => `${map.platform} v${map.version}`).join(', ')}`);
+      } catch (error) {
+        console.error('Could not reload selector maps:', error.message);
+      }
+    }, RELOAD_DEBOUNCE_MS);
+  });
+
+  // Watching alone should not keep the process alive
+  watcher.unref();
+  console.log(`👀 Watching ${SELECTORS_DIR} for selector changes`);
+}
+
+/**
+ * Stop watching SELECTORS_DIR
+ */
+export function unwatchSelectorMaps() {
+  clearTimeout(reloadTimer);
+  watcher?.close();
+  watcher = null;
+}
+
+await loadSelectorMaps();
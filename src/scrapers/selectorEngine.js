@@ -0,0 +1,244 @@
+/**
+ * In-page readers for the declarative selector maps in src/scrapers/selectors/.
+ * Like the adapter functions they are serialized by Puppeteer and run inside
+ * the browser, so each one is self-contained and gets its rules as an
+ * argument; the same functions run over static HTML through staticPage.js.
+ *
+ * A field rule is { selectors, parse, pattern?, strip?, limit?, minLength?, maxLength? }.
+ * Selectors are tried in order and the first one that yields a value wins.
+ * An entry is a CSS selector string or { selector, attribute?, match? }:
+ * attribute reads that attribute (falling back to the text when it is
+ * absent), match skips elements whose text does not match the regex.
+ * A rule may also carry required (an empty value marks the result degraded)
+ * and minSuccessRate (see scraperHealth.js); the readers ignore both.
+ */
+
+/**
+ * In-page: read every field of a rule set below root
+ * @param {Element} root - Result tile, or the product page's <html> element
+ * @param {Object<string, Object>} fields - Field name → field rule
+ * @returns {{ values: Object, matched: Object }} Field name → parsed value (null when nothing
+ *   matched, [] for lists), and field name → index of the selector entry it came from (or null)
+ */
+export function extractFields(root, fields) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+  const entriesOf = rule => rule.selectors.map(entry => (typeof entry === 'string' ? { selector: entry } : entry));
+
+  const readText = (element, entry) => {
+    const text = clean(entry.attribute ? element.getAttribute(entry.attribute) || element.textContent : element.textContent);
+    if (entry.match && !new RegExp(entry.match, 'i').test(text)) return null;
+    return text;
+  };
+
+  const toNumber = (text, integer) => {
+    const match = text.replace(/,/g, '').match(integer ? /\d+/ : /\d+(\.\d+)?/);
+    if (!match) return null;
+    return integer ? parseInt(match[0], 10) : parseFloat(match[0]);
+  };
+
+  // "1.2k", "3.4L" (lakh), "2M"
+  const toCount = text => {
+    const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([klm]?)/i);
+    if (!match) return null;
+    const multiplier = { k: 1e3, l: 1e5, m: 1e6 }[match[2].toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  };
+
+  const parseValue = (text, rule) => {
+    let value = rule.strip ? text.replace(new RegExp(rule.strip, 'i'), '').trim() : text;
+    if (rule.pattern) {
+      const match = value.match(new RegExp(rule.pattern, 'i'));
+      if (!match) return null;
+      value = (match[1] ?? match[0]).trim();
+    }
+    if (rule.maxLength) value = value.substring(0, rule.maxLength);
+    if (!value) return null;
+
+    switch (rule.parse) {
+      case 'price':
+      case 'number':
+        return toNumber(value, false);
+      case 'integer':
+        return toNumber(value, true);
+      case 'count':
+        return toCount(value);
+      default:
+        return value;
+    }
+  };
+
+  const values = {};
+  const matched = {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const entries = entriesOf(rule);
+    matched[name] = null;
+
+    if (rule.parse === 'exists') {
+      const index = entries.findIndex(entry => root.querySelector(entry.selector) !== null);
+      values[name] = index !== -1;
+      matched[name] = index !== -1 ? index : null;
+      continue;
+    }
+
+    if (rule.parse === 'list') {
+      const list = [];
+      entries.forEach((entry, index) => {
+        for (const element of root.querySelectorAll(entry.selector)) {
+          if (rule.limit && list.length >= rule.limit) break;
+          const text = readText(element, entry);
+          if (text === null || text.length < (rule.minLength || 1)) continue;
+          const value = parseValue(text, { ...rule, parse: 'text' });
+          if (value && !list.includes(value)) {
+            list.push(value);
+            if (matched[name] === null) matched[name] = index;
+          }
+        }
+      });
+      values[name] = list;
+      continue;
+    }
+
+    values[name] = null;
+    for (const [index, entry] of entries.entries()) {
+      const element = root.querySelector(entry.selector);
+      const text = element ? readText(element, entry) : null;
+      const value = text === null ? null : parseValue(text, rule);
+      if (value !== null) {
+        values[name] = value;
+        matched[name] = index;
+        break;
+      }
+    }
+  }
+
+  return { values, matched };
+}
+
+/**
+ * In-page: check whether a search result tile is an ad
+ * @param {Element} tile - Search result element
+ * @param {Object} rules - { selectors?, classes?, ancestorClasses?, labels?: { selector, texts } }
+ * @returns {boolean} True if any rule marks the tile as sponsored
+ */
+export function isSponsoredTile(tile, rules) {
+  if (!rules) return false;
+
+  // Badge elements inside the tile
+  if ((rules.selectors || []).some(selector => tile.querySelector(selector) !== null)) return true;
+
+  // Ad classes on the tile itself
+  if ((rules.classes || []).some(name => tile.classList.contains(name))) return true;
+
+  // Elements whose whole text is a label such as "Sponsored"
+  if (rules.labels) {
+    const texts = rules.labels.texts.map(text => text.toLowerCase());
+    for (const element of tile.querySelectorAll(rules.labels.selector)) {
+      if (texts.includes(element.textContent.toLowerCase().trim())) return true;
+    }
+  }
+
+  // Ad carousels wrap organic-looking tiles
+  if (rules.ancestorClasses) {
+    let parent = tile.parentElement;
+    while (parent && parent !== tile.ownerDocument.body) {
+      if (rules.ancestorClasses.some(name => parent.classList.contains(name))) return true;
+      parent = parent.parentElement;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * In-page: get the product link of a search result tile
+ * @param {Element} tile - Search result element
+ * @param {Object} rules - { selectors, mustContain? }
+ * @returns {string|null} Product href
+ */
+export function readResultLink(tile, rules) {
+  for (const selector of rules.selectors) {
+    const link = tile.querySelector(selector);
+    const href = link ? link.getAttribute('href') : null;
+    if (href && (!rules.mustContain || href.includes(rules.mustContain))) return href;
+  }
+  return null;
+}
+
+/**
+ * In-page: check whether a page is of a kind recognized by markers, e.g. a CAPTCHA or an empty search
+ * @param {Element} root - The page's <html> element
+ * @param {Object} markers - { selectors?, texts? }: elements only such a page has, and phrases in its title or body
+ * @returns {string|null} The marker that matched, or null
+ */
+export function findPageMarker(root, markers) {
+  if (!markers) return null;
+
+  const selector = (markers.selectors || []).find(candidate => root.querySelector(candidate) !== null);
+  if (selector) return selector;
+
+  const title = root.querySelector('title');
+  const body = root.querySelector('body');
+  const text = `${title ? title.textContent : ''} ${body ? body.textContent : ''}`.replace(/\s+/g, ' ').toLowerCase();
+  const phrase = (markers.texts || []).find(candidate => text.includes(candidate.toLowerCase()));
+  return phrase ? `"${phrase}"` : null;
+}
+
+/**
+ * In-page: read the variant options (storage, colour, size...) offered on a product page
+ * @param {Element} root - The product page's <html> element
+ * @param {Object} rules - product.variants of the selector map: { options, dimension, label, price?, link?,
+ *   unavailable?, selected? }. options selects every option element; dimension, label, price and link are
+ *   readers { closest?, selector?, attribute?, pattern? }, or lists of them tried in order, applied to an
+ *   option (closest climbs to an ancestor first, selector descends); unavailable and selected are
+ *   selectors matched against the option or its descendants.
+ * @returns {{ dimension: string, label: string, price: number|null, link: string|null,
+ *   available: boolean, selected: boolean }[]} Options in page order, prices as shown
+ */
+export function extractVariants(root, rules) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+  const readOne = (option, reader) => {
+    const base = reader.closest ? option.closest(reader.closest) : option;
+    const target = base && reader.selector ? base.querySelector(reader.selector) : base;
+    if (!target) return null;
+    let value = clean(reader.attribute ? target.getAttribute(reader.attribute) : target.textContent);
+    if (reader.pattern) {
+      const match = value.match(new RegExp(reader.pattern, 'i'));
+      value = match ? clean(match[1] ?? match[0]) : '';
+    }
+    return value || null;
+  };
+
+  const read = (option, readers) => {
+    for (const reader of [].concat(readers || [])) {
+      const value = readOne(option, reader);
+      if (value) return value;
+    }
+    return null;
+  };
+
+  const has = (option, selectors) =>
+    (selectors || []).some(selector => option.matches(selector) || option.querySelector(selector) !== null);
+
+  const options = [];
+  for (const option of root.querySelectorAll(rules.options)) {
+    const dimension = read(option, rules.dimension);
+    const label = read(option, rules.label);
+    if (!dimension || !label) continue;
+
+    const priceText = read(option, rules.price);
+    const price = priceText ? priceText.replace(/,/g, '').match(/\d+(\.\d+)?/) : null;
+
+    options.push({
+      dimension,
+      label,
+      price: price ? parseFloat(price[0]) : null,
+      link: read(option, rules.link),
+      available: !has(option, rules.unavailable),
+      selected: has(option, rules.selected)
+    });
+  }
+  return options;
+}
@@ -0,0 +1,91 @@
+import { toPaise } from './productSchema.js';
+
+/**
+ * Other sellers of a listing: Amazon's offer listing ("Other sellers on
+ * Amazon") and Flipkart's "See other sellers" page. A selector map's
+ * optional sellers section says where that page is and how to read its
+ * rows; the helpers here turn the rows into the same records on every
+ * platform and pick the buy-box and lowest offers out of them.
+ *
+ * @typedef {Object} Seller
+ * @property {string} name
+ * @property {number|null} price - Price from this seller, in paise
+ * @property {number|null} rating - Seller rating out of 5
+ * @property {string|null} fulfilledBy - The store's own fulfilment badge when the seller uses it, e.g. 'FBA', 'F-Assured'
+ * @property {string|null} delivery - Delivery estimate as the store words it
+ * @property {'new'|'renewed'|'used'} condition
+ * @property {boolean} buyBox - Whether this is the offer the product page sells by default
+ */
+
+/**
+ * Condition of an offer from how the store labels it; unlabelled offers are new
+ * @param {string|null} text - e.g. 'Used - Like New', 'Renewed'
+ * @returns {'new'|'renewed'|'used'}
+ */
+export function conditionOf(text) {
+  const lower = (text || '').toLowerCase();
+  if (/renewed|refurbished/.test(lower)) return 'renewed';
+  if (/used|pre-?owned|open box/.test(lower)) return 'used';
+  return 'new';
+}
+
+/**
+ * Address of a listing's sellers page
+ * @param {Object} section - The selector map's sellers section
+ * @param {string} origin - Site origin
+ * @param {string} productId - The platform's product id
+ * @returns {string} Absolute URL
+ */
+export function sellersUrl(section, origin, productId) {
+  return new URL(section.url.replace('{productId}', encodeURIComponent(productId)), origin + '/').href;
+}
+
+/**
+ * Turn the rows read off a sellers page into seller records, for adapters' normalize()
+ * @param {Object[]} rows - Values of the sellers section's fields, price in rupees
+ * @param {Object} context
+ * @param {string|null} [context.fulfilledBy] - Badge name for rows whose fulfilled field has a value
+ * @param {string|null} [context.buyBoxSeller] - Seller the product page sells from
+ * @returns {Seller[]} Rows without a seller name dropped, each seller once per condition
+ */
+export function toSellers(rows, { fulfilledBy = null, buyBoxSeller = null } = {}) {
+  const sellers = [];
+  for (const row of rows || []) {
+    const name = typeof row.seller === 'string' ? row.seller.trim() : '';
+    const condition = conditionOf(row.condition);
+    // Amazon repeats the pinned buy-box offer in the list below it
+    if (!name || sellers.some(seller => seller.name === name && seller.condition === condition)) continue;
+
+    sellers.push({
+      name,
+      price: toPaise(row.price),
+      rating: typeof row.rating === 'number' && row.rating <= 5 ? row.rating : null,
+      fulfilledBy: row.fulfilled ? fulfilledBy : null,
+      delivery: row.delivery || null,
+      condition,
+      buyBox: false
+    });
+  }
+
+  // The first new offer from the product page's seller is the buy box
+  const buyBox = buyBoxSeller && sellers.find(seller => seller.condition === 'new' && seller.name === buyBoxSeller.trim());
+  if (buyBox) buyBox.buyBox = true;
+  return sellers;
+}
+
+/**
+ * The cheapest new offer on a listing, counting the product page's own price
+ * @param {import('./productSchema.js').Product} product - Product with sellers
+ * @returns {{ price: number, seller: string|null }|null} null when nothing has a price
+ */
+export function lowestOffer(product) {
+  const candidates = [
+    { price: product.price, seller: product.seller },
+    ...(product.sellers || [])
+      .filter(seller => seller.condition === 'new')
+      .map(seller => ({ price: seller.price, seller: seller.name }))
+  ].filter(candidate => candidate.price !== null);
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((lowest, candidate) => (candidate.price < lowest.price ? candidate : lowest));
+}
@@ -0,0 +1,203 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Runs the in-page adapter functions outside a browser. Saved or fetched HTML
+ * is parsed with cheerio and exposed through the small part of the DOM the
+ * adapters use (querySelector/All, textContent, getAttribute, classList,
+ * parentElement, ownerDocument, disabled), and StaticPage mimics the
+ * Puppeteer page calls PlatformScraper makes to read a page.
+ *
+ * Scripts do not run, so only server-rendered markup is visible.
+ */
+
+// Elements whose disabled attribute means something
+const FORM_CONTROLS = new Set(['button', 'input', 'select', 'textarea', 'option', 'optgroup', 'fieldset']);
+
+class StaticElement {
+  /**
+   * @param {StaticDocument} ownerDocument - Document the element belongs to
+   * @param {Object} node - cheerio/domhandler element node
+   */
+  constructor(ownerDocument, node) {
+    this.ownerDocument = ownerDocument;
+    this.node = node;
+  }
+
+  get tagName() {
+    return this.node.name.toUpperCase();
+  }
+
+  get textContent() {
+    return this.ownerDocument.$(this.node).text();
+  }
+
+  get innerText() {
+    return this.textContent;
+  }
+
+  get parentElement() {
+    const { parent } = this.node;
+    return parent && parent.type === 'tag' ? this.ownerDocument.wrap(parent) : null;
+  }
+
+  get children() {
+    return this.ownerDocument.$(this.node).children().toArray().map(node => this.ownerDocument.wrap(node));
+  }
+
+  get classList() {
+    const classes = (this.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    return {
+      contains: name => classes.includes(name),
+      length: classes.length,
+      [Symbol.iterator]: () => classes[Symbol.iterator]()
+    };
+  }
+
+  get disabled() {
+    return FORM_CONTROLS.has(this.node.name) && this.hasAttribute('disabled');
+  }
+
+  getAttribute(name) {
+    const value = this.node.attribs[name.toLowerCase()];
+    return value === undefined ? null : value;
+  }
+
+  hasAttribute(name) {
+    return this.getAttribute(name) !== null;
+  }
+
+  querySelector(selector) {
+    const [node] = this.ownerDocument.$(this.node).find(selector).toArray();
+    return node ? this.ownerDocument.wrap(node) : null;
+  }
+
+  querySelectorAll(selector) {
+    return this.ownerDocument.$(this.node).find(selector).toArray().map(node => this.ownerDocument.wrap(node));
+  }
+
+  matches(selector) {
+    return this.ownerDocument.$(this.node).is(selector);
+  }
+
+  closest(selector) {
+    const [node] = this.ownerDocument.$(this.node).closest(selector).toArray();
+    return node ? this.ownerDocument.wrap(node) : null;
+  }
+}
+
+class StaticDocument {
+  /**
+   * @param {string} html - Page markup
+   */
+  constructor(html) {
+    this.$ = cheerio.load(html);
+    // One wrapper per node, so identity checks such as `el !== document.body` work
+    this.wrappers = new WeakMap();
+  }
+
+  wrap(node) {
+    if (!this.wrappers.has(node)) {
+      this.wrappers.set(node, new StaticElement(this, node));
+    }
+    return this.wrappers.get(node);
+  }
+
+  get documentElement() {
+    return this.querySelector('html');
+  }
+
+  get body() {
+    return this.querySelector('body');
+  }
+
+  get title() {
+    return this.$('title').first().text();
+  }
+
+  querySelector(selector) {
+    const [node] = this.$(selector).toArray();
+    return node ? this.wrap(node) : null;
+  }
+
+  querySelectorAll(selector) {
+    return this.$(selector).toArray().map(node => this.wrap(node));
+  }
+}
+
+/**
+ * Parse HTML into a document the in-page adapter functions can read
+ * @param {string} html - Page markup
+ * @returns {StaticDocument}
+ */
+export function parseHtml(html) {
+  return new StaticDocument(html);
+}
+
+/**
+ * Stand-in for a Puppeteer ElementHandle
+ */
+class StaticElementHandle {
+  constructor(element) {
+    this.element = element;
+  }
+
+  async evaluate(fn, ...args) {
+    return fn(this.element, ...args);
+  }
+}
+
+/**
+ * Stand-in for the read-only part of a Puppeteer Page, over static HTML
+ */
+export class StaticPage {
+  /**
+   * @param {string} html - Page markup
+   * @param {string} url - Address the markup came from
+   */
+  constructor(html, url = 'about:blank') {
+    this.document = parseHtml(html);
+    this.pageUrl = url;
+  }
+
+  url() {
+    return this.pageUrl;
+  }
+
+  async content() {
+    return this.document.$.html();
+  }
+
+  async title() {
+    return this.document.title;
+  }
+
+  async $(selector) {
+    const element = this.document.querySelector(selector);
+    return element ? new StaticElementHandle(element) : null;
+  }
+
+  async $$(selector) {
+    return this.document.querySelectorAll(selector).map(element => new StaticElementHandle(element));
+  }
+
+  async $eval(selector, fn, ...args) {
+    const element = this.document.querySelector(selector);
+    if (!element) {
+      throw new Error(`Error: failed to find element matching selector "${selector}"`);
+    }
+    return fn(element, ...args);
+  }
+
+  async $$eval(selector, fn, ...args) {
+    return fn(this.document.querySelectorAll(selector), ...args);
+  }
+
+  // Markup is already complete, so waiting only checks that the element exists
+  async waitForSelector(selector) {
+    const handle = await this.$(selector);
+    if (!handle) {
+      throw new Error(`Waiting for selector \`${selector}\` failed: not present in static HTML`);
+    }
+    return handle;
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Structured data on product pages: schema.org Product JSON-LD, Product
+ * microdata and the state blobs stores hydrate their pages from (Myntra's
+ * window.__myx, Flipkart's window.__INITIAL_STATE__). These change far less
+ * often than the obfuscated class names the CSS selectors depend on, so
+ * PlatformScraper reads them first and only falls back to the selector map's
+ * CSS rules for fields they do not provide.
+ *
+ * Which sources to try, in which order, is configured per platform under
+ * product.structured in the selector map:
+ *   { strategies: ['json-ld', 'microdata', 'state'],
+ *     state: [{ variable: '__myx', fields: { price: 'pdpData.price.discounted' } }],
+ *     fields?: ['price', 'rating'] }
+ * fields limits which structured fields are used; all of them by default.
+ * sizes and colors only come from state blobs: a list of size entries
+ * ({ label, available, price }) and of the other colours the product comes in
+ * ({ name, productLink }, links as the page has them).
+ */
+
+export const STRUCTURED_STRATEGIES = ['json-ld', 'microdata', 'state'];
+
+export const STRUCTURED_FIELDS = [
+  'title', 'brand', 'sku', 'price', 'mrp', 'currency', 'availability', 'rating', 'totalRatings', 'totalReviews',
+  'sizes', 'colors'
+];
+
+/**
+ * In-page: read product fields from the page's structured data
+ * @param {Element} root - The product page's <html> element
+ * @param {Object} rules - product.structured of the selector map
+ * @returns {{ values: Object, sources: Object }} Field → value (prices in rupees) for the
+ *   fields found, and field → strategy that supplied it
+ */
+export function extractStructuredData(root, rules) {
+  const textOf = value => {
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    return text || null;
+  };
+
+  const numberOf = value => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const match = (textOf(value) || '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  };
+
+  const integerOf = value => {
+    const number = numberOf(value);
+    return number === null ? null : Math.round(number);
+  };
+
+  // "https://schema.org/InStock", "InStock" or a boolean in-stock flag
+  const availabilityOf = value => {
+    if (typeof value === 'boolean') return value ? 'In Stock' : 'Out of Stock';
+    const key = (textOf(value) || '').split('/').pop().toLowerCase();
+    return {
+      instock: 'In Stock',
+      limitedavailability: 'In Stock',
+      onlineonly: 'In Stock',
+      instoreonly: 'In Store Only',
+      outofstock: 'Out of Stock',
+      soldout: 'Out of Stock',
+      discontinued: 'Discontinued',
+      preorder: 'Pre-order',
+      presale: 'Pre-order',
+      backorder: 'Back-order'
+    }[key] || null;
+  };
+
+  const currencyOf = value => {
+    const text = textOf(value);
+    return text && /^[A-Z]{3}$/.test(text) ? text : null;
+  };
+
+  // Myntra style: { label, available, sizeSellerData: [{ discountedPrice, availableCount }] }
+  const sizesOf = value => {
+    if (!Array.isArray(value)) return null;
+    const sizes = value.filter(entry => entry && typeof entry === 'object').map(entry => {
+      const seller = [].concat(entry.sizeSellerData || [])[0] || {};
+      let available = typeof entry.available === 'boolean' ? entry.available : null;
+      if (available === null && typeof seller.availableCount === 'number') available = seller.availableCount > 0;
+      return {
+        label: textOf(entry.label ?? entry.name),
+        available,
+        price: numberOf(seller.discountedPrice ?? entry.price)
+      };
+    }).filter(size => size.label);
+    return sizes.length ? sizes : null;
+  };
+
+  const colorsOf = value => {
+    if (!Array.isArray(value)) return null;
+    const colors = value.filter(entry => entry && typeof entry === 'object').map(entry => ({
+      name: textOf(entry.label ?? entry.name ?? entry.color),
+      productLink: textOf(entry.url ?? entry.link)
+    })).filter(color => color.name);
+    return colors.length ? colors : null;
+  };
+
+  const convert = {
+    title: textOf,
+    brand: textOf,
+    sku: textOf,
+    price: numberOf,
+    mrp: numberOf,
+    currency: currencyOf,
+    availability: availabilityOf,
+    rating: numberOf,
+    totalRatings: integerOf,
+    totalReviews: integerOf,
+    sizes: sizesOf,
+    colors: colorsOf
+  };
+
+  const fromJsonLd = () => {
+    const nodes = [];
+    const collect = node => {
+      if (Array.isArray(node)) {
+        node.forEach(collect);
+      } else if (node && typeof node === 'object') {
+        nodes.push(node);
+        if (node['@graph']) collect(node['@graph']);
+      }
+    };
+    for (const script of root.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        collect(JSON.parse(script.textContent));
+      } catch {
+        // One malformed block should not hide the others
+      }
+    }
+
+    const product = nodes.find(node => [].concat(node['@type'] || []).some(type => /Product$/.test(type)));
+    if (!product) return {};
+
+    const offers = [].concat(product.offers || []);
+    const offer = offers.find(entry => entry && (entry.price ?? entry.lowPrice) !== undefined) || offers[0] || {};
+    const specifications = [].concat(offer.priceSpecification || []);
+    const listPrice = specifications.find(spec => /ListPrice|StrikethroughPrice/.test(spec.priceType || '')) || {};
+    const rating = product.aggregateRating || {};
+
+    return {
+      title: product.name,
+      brand: product.brand && typeof product.brand === 'object' ? product.brand.name : product.brand,
+      sku: product.sku ?? product.productID,
+      price: offer.price ?? offer.lowPrice,
+      mrp: listPrice.price,
+      currency: offer.priceCurrency ?? listPrice.priceCurrency,
+      availability: offer.availability,
+      rating: rating.ratingValue,
+      totalRatings: rating.ratingCount,
+      totalReviews: rating.reviewCount
+    };
+  };
+
+  const fromMicrodata = () => {
+    const scope = root.querySelector('[itemscope][itemtype*="schema.org/Product"]');
+    if (!scope) return {};
+
+    const valueOf = element => (element
+      ? element.getAttribute('content') ?? element.getAttribute('href') ?? element.textContent
+      : undefined);
+    const all = name => Array.from(scope.querySelectorAll(`[itemprop~="${name}"]`));
+    // The product's own name and sku, not those of nested items such as the brand
+    const own = name => valueOf(all(name).find(element => element.parentElement.closest('[itemscope]') === scope));
+    const any = name => valueOf(all(name)[0]);
+
+    const brand = all('brand')[0];
+    return {
+      title: own('name'),
+      brand: brand && brand.hasAttribute('itemscope') ? valueOf(brand.querySelector('[itemprop~="name"]')) : valueOf(brand),
+      sku: own('sku') ?? own('productID'),
+      price: any('price') ?? any('lowPrice'),
+      currency: any('priceCurrency'),
+      availability: any('availability'),
+      rating: any('ratingValue'),
+      totalRatings: any('ratingCount'),
+      totalReviews: any('reviewCount')
+    };
+  };
+
+  const fromState = () => {
+    const values = {};
+    for (const blob of rules.state || []) {
+      const script = Array.from(root.querySelectorAll('script:not([src])'))
+        .find(element => element.textContent.includes(blob.variable));
+      if (!script) continue;
+
+      // window.__myx = {...}; — take the object literal after the assignment
+      let data;
+      try {
+        const text = script.textContent;
+        const start = text.indexOf('{', text.indexOf(blob.variable));
+        data = JSON.parse(text.slice(start, text.lastIndexOf('}') + 1));
+      } catch {
+        continue;
+      }
+
+      for (const [field, path] of Object.entries(blob.fields)) {
+        if (values[field] !== undefined) continue;
+        const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+        if (value !== undefined) values[field] = value;
+      }
+    }
+    return values;
+  };
+
+  const readers = { 'json-ld': fromJsonLd, microdata: fromMicrodata, state: fromState };
+  const values = {};
+  const sources = {};
+
+  for (const strategy of rules.strategies) {
+    let found;
+    try {
+      found = readers[strategy]();
+    } catch {
+      continue;
+    }
+
+    for (const [field, raw] of Object.entries(found)) {
+      if (field in values || !convert[field] || (rules.fields && !rules.fields.includes(field))) continue;
+      const value = convert[field](raw);
+      if (value !== null) {
+        values[field] = value;
+        sources[field] = strategy;
+      }
+    }
+  }
+
+  return { values, sources };
+}
@@ -0,0 +1,130 @@
+import { toPaise } from './productSchema.js';
+
+/**
+ * Variant options on product pages: the storage, colour and size choices one
+ * listing offers. extractVariants (selectorEngine.js) reads the options in the
+ * page; the helpers here group them by dimension under names that are the
+ * same on every platform, so that a request for { storage: "256GB" } finds
+ * Amazon's "256 GB" size swatch and Flipkart's "256 GB" storage swatch alike.
+ *
+ * @typedef {Object} VariantOption
+ * @property {string} label - As the store shows it, e.g. '256 GB'
+ * @property {number|null} price - Price of that option as shown next to it (rupees), when it is
+ * @property {boolean} available - False when the option is greyed out as sold out
+ * @property {boolean} selected - Whether this page is that option
+ * @property {string|null} productLink - Page of that option; null when it is picked on the same page
+ *
+ * @typedef {Object} VariantDimension
+ * @property {string} dimension - Canonical name, e.g. 'storage', 'color', 'size'
+ * @property {VariantOption[]} options
+ */
+
+// Store names for a dimension → canonical name
+const DIMENSION_ALIASES = {
+  colour: 'color',
+  'colour name': 'color',
+  'color name': 'color',
+  'size name': 'size',
+  'style name': 'style',
+  capacity: 'storage',
+  'internal storage': 'storage',
+  'storage capacity': 'storage',
+  rom: 'storage',
+  memory: 'ram'
+};
+
+// Amazon files phone storage under "size"; labels like these give it away
+const STORAGE_LABEL = /^\d+(\.\d+)?\s*(gb|tb)$/i;
+
+/**
+ * Canonical name of a variant dimension
+ * @param {string} name - Name as the page or a request has it, e.g. 'size_name', 'Colour'
+ * @param {string[]} [labels] - The dimension's option labels
+ * @returns {string} e.g. 'storage'
+ */
+export function canonicalDimension(name, labels = []) {
+  const key = name.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  const canonical = DIMENSION_ALIASES[key] || key.replace(/ /g, '_');
+  if (canonical === 'size' && labels.length > 0 && labels.every(label => STORAGE_LABEL.test(label))) {
+    return 'storage';
+  }
+  return canonical;
+}
+
+/**
+ * Compare option labels the way people write them: "256GB" is "256 GB", "Black" is "black"
+ * @param {string} label - Option label
+ * @returns {string}
+ */
+export function optionKey(label) {
+  return label.toLowerCase().replace(/[\s\-_()]+/g, '');
+}
+
+/**
+ * Group the options extractVariants read into dimensions
+ * @param {Object[]} options - Output of extractVariants
+ * @param {Object} context
+ * @param {string} context.origin - Site origin relative links are resolved against
+ * @param {string} [context.linkTemplate] - Turns a read value into a link, e.g. '/dp/{value}'
+ * @returns {VariantDimension[]} Dimensions in page order, each label once
+ */
+export function groupVariants(options, { origin, linkTemplate }) {
+  const groups = new Map();
+  for (const option of options) {
+    if (!groups.has(option.dimension)) groups.set(option.dimension, []);
+    const group = groups.get(option.dimension);
+    if (group.some(existing => optionKey(existing.label) === optionKey(option.label))) continue;
+
+    const link = option.link && linkTemplate ? linkTemplate.replace('{value}', encodeURIComponent(option.link)) : option.link;
+    group.push({
+      label: option.label,
+      price: option.price,
+      available: option.available,
+      selected: option.selected,
+      productLink: link ? new URL(link, origin + '/').href : null
+    });
+  }
+
+  return [...groups].map(([name, group]) => ({
+    dimension: canonicalDimension(name, group.map(option => option.label)),
+    options: group
+  }));
+}
+
+/**
+ * Find a requested option
+ * @param {VariantDimension[]} variants - The page's dimensions
+ * @param {string} dimension - Canonical dimension name
+ * @param {string} label - Requested label
+ * @returns {VariantOption|null}
+ */
+export function findOption(variants, dimension, label) {
+  const group = (variants || []).find(entry => entry.dimension === dimension);
+  return group ? group.options.find(option => optionKey(option.label) === optionKey(label)) || null : null;
+}
+
+/**
+ * The options the page has selected
+ * @param {VariantDimension[]} variants - The page's dimensions
+ * @returns {Object<string, string>} Dimension → selected label
+ */
+export function selectedVariant(variants) {
+  const selected = {};
+  for (const { dimension, options } of variants || []) {
+    const option = options.find(entry => entry.selected);
+    if (option) selected[dimension] = option.label;
+  }
+  return selected;
+}
+
+/**
+ * Variants with option prices in paise, for adapters' normalize()
+ * @param {VariantDimension[]} variants - Dimensions with prices in rupees
+ * @returns {VariantDimension[]}
+ */
+export function variantsInPaise(variants) {
+  return (variants || []).map(({ dimension, options }) => ({
+    dimension,
+    options: options.map(option => ({ ...option, price: toPaise(option.price) }))
+  }));
+}
@@ -0,0 +1,176 @@
+import { getPlatform, listPlatforms } from '../scrapers/registry.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { extractNameFromLink } from './linkNameExtractor.js';
+import { parseProductUrl } from '../scrapers/productUrl.js';
+import { getUnifiedProductName } from '../controllers/unifyname.js';
+import { isHttpUrl } from '../utils/url.js';
+import { errorResult } from '../scrapers/scrapeError.js';
+
+export const MAX_BATCH_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 500;
+export const DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+export const MAX_CONCURRENCY = 10;
+
+// One limiter per platform, shared by every batch so parallel batches cannot add up
+const limiters = new Map();
+
+// How long a platform gets no new batch tasks after it blocked one or asked for a CAPTCHA
+const BLOCK_COOLDOWN_MS = parseInt(process.env.BATCH_BLOCK_COOLDOWN_MS, 10) || 60000;
+
+/**
+ * Rate limiter for a platform, spaced by its adapter's minRequestInterval
+ * @param {Object} platform - Registered platform
+ * @returns {RateLimiter}
+ */
+function limiterFor(platform) {
+  if (!limiters.has(platform.id)) {
+    limiters.set(platform.id, new RateLimiter(platform.adapter.minRequestInterval));
+  }
+  return limiters.get(platform.id);
+}
+
+/**
+ * Turn a batch item into { productName, link, platform }. A string is a link
+ * when it is an http(s) URL and a product name otherwise.
+ * @param {string|Object} item - "name", "https://..." or { productName | link, platform? }
+ * @returns {Object|null} Normalized item, or null when it is unusable
+ */
+export function normalizeBatchItem(item) {
+  if (typeof item === 'string') {
+    const value = item.trim();
+    if (!value) return null;
+    return isHttpUrl(value)
+      ? { productName: null, link: value, platform: null }
+      : { productName: value, link: null, platform: null };
+  }
+
+  if (!item || typeof item !== 'object') return null;
+
+  const productName = typeof item.productName === 'string' && item.productName.trim() ? item.productName.trim() : null;
+  const link = typeof item.link === 'string' && isHttpUrl(item.link.trim()) ? item.link.trim() : null;
+  const platform = typeof item.platform === 'string' && item.platform.trim() ? item.platform.trim().toLowerCase() : null;
+
+  if (!productName && !link) return null;
+  if (platform && !getPlatform(platform)) return null;
+  return { productName, link, platform };
+}
+
+/**
+ * Expand items into one task per item and platform. A link is scraped on
+ * its own store (straight from the product page when it is one), a name on
+ * every requested platform.
+ * @param {Object[]} items - Normalized items
+ * @param {string[]} platformIds - Platforms for items that name none
+ * @returns {Object[]} Tasks: { index, input, platformId, error? }
+ */
+function planTasks(items, platformIds) {
+  const tasks = [];
+
+  items.forEach((input, index) => {
+    if (input.platform) {
+      tasks.push({ index, input, platformId: input.platform });
+      return;
+    }
+
+    if (input.link) {
+      const platform = parseProductUrl(input.link)?.platform || extractNameFromLink(input.link).platform;
+      tasks.push(platform && getPlatform(platform)
+        ? { index, input, platformId: platform }
+        : { index, input, platformId: null, error: 'Unsupported store link' });
+      return;
+    }
+
+    for (const platformId of platformIds) {
+      tasks.push({ index, input, platformId });
+    }
+  });
+
+  return tasks;
+}
+
+/**
+ * Scrape one task and shape the outcome as a batch entry. Every failure has
+ * a code: the scrape's (see SCRAPE_ERRORS), INVALID_LINK for links of no
+ * supported store, or SCRAPE_FAILED when the task broke before or outside the scrape.
+ * @param {Object} task - Planned task
+ * @param {Object} options - { display, fresh, mode, proxy, profile }
+ * @returns {Promise<Object>} { index, input, platform, success, data | error, code, retryable, meta? }
+ */
+async function runTask(task, options) {
+  const entry = { index: task.index, input: task.input, platform: task.platformId };
+
+  try {
+    if (task.error) {
+      return { ...entry, success: false, error: task.error, code: 'INVALID_LINK', retryable: false };
+    }
+
+    const platform = getPlatform(task.platformId);
+    const { link, productName } = task.input;
+
+    // Product page links of this platform skip the search altogether
+    const direct = link && parseProductUrl(link)?.platform === platform.id;
+    const query = direct ? null : productName || await getUnifiedProductName(link);
+
+    await limiterFor(platform).wait();
+    const result = direct
+      ? await platform.scrapeUrl(link, options)
+      : await platform.scrape(query, options);
+
+    // The scrape already retried; let the store cool down before the rest of the batch
+    if (result.code === 'BLOCKED' || result.code === 'CAPTCHA') {
+      console.log(`🧊 ${platform.name} answered ${result.code}, pausing its batch tasks for ${BLOCK_COOLDOWN_MS}ms`);
+      limiterFor(platform).pause(BLOCK_COOLDOWN_MS);
+    }
+
+    return { ...entry, ...result };
+  } catch (error) {
+    return { ...entry, ...errorResult(error) };
+  }
+}
+
+/**
+ * Scrape a list of products with bounded concurrency. Every platform is
+ * rate limited on its own, so a large batch does not hammer one store.
+ * @param {Object[]} items - Items from normalizeBatchItem
+ * @param {Object} options
+ * @param {string[]} options.platforms - Platform ids for items without a link or platform; defaults to all
+ * @param {number} options.concurrency - Tasks in flight at once
+ * @param {boolean} options.display - Add formatted amounts
+ * @param {boolean} options.fresh - Bypass cached results
+ * @param {string} options.mode - Scrape mode (auto, http or browser); each platform's own when absent
+ * @param {string} options.proxy - Proxy id (or "none") for every scrape instead of the rotation
+ * @param {string} options.profile - Browser profile id for every scrape
+ * @param {(entry: Object) => void} options.onResult - Receives each entry as soon as it finishes
+ * @param {AbortSignal} options.signal - Stops starting new tasks once aborted
+ * @returns {Promise<Object[]>} Entries in input order
+ */
+export async function runBatch(items, {
+  platforms = listPlatforms().map(platform => platform.id),
+  concurrency = DEFAULT_CONCURRENCY,
+  display = false,
+  fresh = false,
+  mode,
+  proxy,
+  profile,
+  onResult,
+  signal
+} = {}) {
+  const tasks = planTasks(items, platforms);
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  console.log(`\n📦 Running batch of ${items.length} items (${tasks.length} scrapes, concurrency ${concurrency})\n`);
+
+  const worker = async () => {
+    while (next < tasks.length && !signal?.aborted) {
+      const position = next++;
+      const entry = await runTask(tasks[position], { display, fresh, mode, proxy, profile });
+      results[position] = entry;
+      onResult?.(entry);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+
+  // Aborted batches leave holes for the tasks that never started
+  return results.filter(Boolean);
+}
@@ -0,0 +1,157 @@
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * In-memory registry of background scrape jobs. Every job keeps an ordered
+ * event log so a client can poll the job or subscribe to its events (and
+ * replay the ones it missed) while it runs.
+ *
+ * Event types: status, progress, partial, completed, failed.
+ */
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.retentionMs - How long finished jobs stay queryable
+   */
+  constructor({ retentionMs }) {
+    super();
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    // One listener per SSE subscriber
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Create a job and start running it in the background
+   * @param {string} type - Job type, e.g. 'scrape' or 'compare'
+   * @param {Object} params - Parameters the job was submitted with
+   * @param {(job: Object) => Promise<Object>} runner - Does the work; report through job.progress / job.partial
+   * @returns {Object} Public view of the new job
+   */
+  submit(type, params, runner) {
+    const job = {
+      id: randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      partialResults: {},
+      result: null,
+      error: null,
+      errorCode: null,
+      events: []
+    };
+
+    this.jobs.set(job.id, job);
+    this.addEvent(job, 'status', { status: 'queued' });
+
+    // Let the caller respond with the job id before any work starts
+    setImmediate(() => this.run(job, runner));
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Execute the runner and record its outcome
+   * @param {Object} job - Internal job record
+   * @param {Function} runner - Job body
+   */
+  async run(job, runner) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.addEvent(job, 'status', { status: 'running' });
+
+    const context = {
+      id: job.id,
+      progress: (stage, details = {}) => this.addEvent(job, 'progress', { stage, ...details }),
+      partial: (key, result) => {
+        job.partialResults[key] = result;
+        this.addEvent(job, 'partial', { key, result });
+      }
+    };
+
+    try {
+      job.result = await runner(context);
+      job.status = 'completed';
+      job.finishedAt = new Date().toISOString();
+      this.addEvent(job, 'completed', { stage: 'done', result: job.result });
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+      // Scrape failures carry a machine-readable code (see scrapeError.js)
+      job.errorCode = error.code || null;
+      job.finishedAt = new Date().toISOString();
+      this.addEvent(job, 'failed', { stage: 'done', error: error.message, code: job.errorCode });
+    }
+
+    // Forget finished jobs after a while; unref so the timer never keeps the process alive
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+  }
+
+  /**
+   * Append an event to the job's log and notify subscribers
+   * @param {Object} job - Internal job record
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   */
+  addEvent(job, type, data) {
+    const event = {
+      id: job.events.length + 1,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+    job.events.push(event);
+    this.emit(job.id, event);
+  }
+
+  /**
+   * Public view of a job
+   * @param {string} id - Job id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toPublic(job) : undefined;
+  }
+
+  /**
+   * Events recorded after a given event id
+   * @param {string} id - Job id
+   * @param {number} afterId - Last event id the client has seen
+   * @returns {Object[]}
+   */
+  eventsSince(id, afterId = 0) {
+    const job = this.jobs.get(id);
+    return job ? job.events.filter(event => event.id > afterId) : [];
+  }
+
+  /**
+   * Whether the job has finished
+   * @param {string} id - Job id
+   * @returns {boolean}
+   */
+  isFinished(id) {
+    const job = this.jobs.get(id);
+    return !job || job.status === 'completed' || job.status === 'failed';
+  }
+
+  /**
+   * Strip the event log from a job record
+   * @param {Object} job - Internal job record
+   * @returns {Object}
+   */
+  toPublic(job) {
+    const { events, ...rest } = job;
+    return { ...rest, eventCount: events.length };
+  }
+}
+
+const jobQueue = new JobQueue({
+  retentionMs: (parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 60) * 60000
+});
+
+export default jobQueue;
@@ -0,0 +1,148 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import networkIdentity from './networkIdentity.js';
+import { createProxyAgents } from '../utils/proxyAgent.js';
+import { parseProductUrl } from '../scrapers/productUrl.js';
+
+/**
+ * Deterministic product-name extraction from product links and page titles,
+ * used on its own when no name provider is configured and as the starting
+ * point handed to one when it is.
+ */
+
+// Words whose casing is fixed regardless of how the slug spells them
+const FIXED_CASE = {
+  gb: 'GB', tb: 'TB', mb: 'MB', ram: 'RAM', rom: 'ROM', ssd: 'SSD', hdd: 'HDD', '5g': '5G', '4g': '4G',
+  led: 'LED', hd: 'HD', fhd: 'FHD', uhd: 'UHD', usb: 'USB', iphone: 'iPhone', ipad: 'iPad', macbook: 'MacBook'
+};
+
+// Store boilerplate found in <title> tags
+const TITLE_NOISE = [
+  /^amazon\.in\s*:\s*/i,
+  /\s*:\s*amazon\.in\s*:.*$/i,
+  /\s*[|-]\s*(amazon\.in|flipkart\.com|myntra)\s*$/i,
+  /^buy\s+/i,
+  /\s+online\s+at\s+(best|low(est)?)\s+prices?\b.*$/i,
+  /\s+-\s+[\w\s]+\s+for\s+(men|women|boys|girls|kids|unisex)\b.*$/i,
+  /\s+online\s+(in|at)\s+india.*$/i,
+  /\s+-\s+buy\s+.*$/i
+];
+
+/**
+ * Turn a URL slug into readable words, e.g. "apple-iphone-15-128-gb" → "Apple iPhone 15 128 GB"
+ * @param {string} slug - Hyphenated path segment
+ * @returns {string} Product name
+ */
+export function slugToName(slug) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(slug);
+  } catch {
+    // A malformed escape such as "%E0-phone" is kept as written
+    decoded = slug;
+  }
+  return decoded
+    .replace(/[-_+]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => {
+      const lower = word.toLowerCase();
+      if (FIXED_CASE[lower]) return FIXED_CASE[lower];
+      return /^[a-z]/i.test(word) ? lower.charAt(0).toUpperCase() + lower.slice(1) : word;
+    })
+    .join(' ');
+}
+
+/**
+ * Strip store boilerplate from a page title
+ * @param {string} title - Contents of the page's <title> or heading
+ * @returns {string|null} Product name
+ */
+export function cleanPageTitle(title) {
+  if (!title) return null;
+  let name = title.replace(/\s+/g, ' ').trim();
+  for (const pattern of TITLE_NOISE) {
+    name = name.replace(pattern, '');
+  }
+  return name.trim() || null;
+}
+
+/**
+ * Work out the platform and product name from a product link alone
+ * @param {string} link - Product link
+ * @returns {{ platform: string|null, name: string|null }}
+ */
+export function extractNameFromLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return { platform: null, name: null };
+  }
+
+  const host = url.hostname.replace(/^www\./, '');
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  // amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=...
+  if (/(^|\.)amazon\./.test(host)) {
+    const dpIndex = segments.findIndex(segment => segment === 'dp' || segment === 'product');
+    const slug = dpIndex > 0 ? segments[dpIndex - 1] : null;
+    return { platform: 'amazon', name: slug && slug !== 'gp' ? slugToName(slug) : null };
+  }
+
+  // flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=...
+  if (/(^|\.)flipkart\.com$/.test(host)) {
+    const pIndex = segments.indexOf('p');
+    return { platform: 'flipkart', name: pIndex > 0 ? slugToName(segments[pIndex - 1]) : null };
+  }
+
+  // myntra.com/tshirts/roadster/roadster-men-black-printed-t-shirt/1234567/buy
+  if (/(^|\.)myntra\.com$/.test(host)) {
+    const idIndex = segments.findIndex(segment => /^\d+$/.test(segment));
+    const slug = idIndex > 0 ? segments[idIndex - 1] : segments[segments.length - 1];
+    return { platform: 'myntra', name: slug ? slugToName(slug) : null };
+  }
+
+  // Unknown store: the longest hyphenated segment is usually the product slug
+  const slug = segments
+    .filter(segment => segment.includes('-'))
+    .sort((a, b) => b.length - a.length)[0];
+  return { platform: null, name: slug ? slugToName(slug) : null };
+}
+
+/**
+ * Fetch a product page and read its title, preferring the product heading.
+ * Only product pages of the supported stores are fetched, at their canonical
+ * link, so a caller cannot point the server at any other host.
+ * @param {string} link - Product link
+ * @param {number} timeout - Request timeout (ms)
+ * @returns {Promise<string|null>} Cleaned title, or null when the page could not be read
+ */
+export async function fetchPageTitle(link, timeout = 10000) {
+  const parsed = parseProductUrl(link);
+  if (!parsed) {
+    console.warn(`Not fetching page title for ${link}: not a product page of a supported store`);
+    return null;
+  }
+
+  try {
+    // Same proxies and profiles as the scrapers
+    const { proxy, profile } = networkIdentity.assign('link-title');
+    const response = await axios.get(parsed.productLink, {
+      timeout,
+      headers: {
+        'User-Agent': profile.userAgent,
+        'Accept-Language': profile.acceptLanguage || 'en-IN,en;q=0.9'
+      },
+      ...(proxy && { proxy: false, ...createProxyAgents(proxy) })
+    });
+
+    const $ = cheerio.load(response.data);
+    const heading = $('#productTitle, span.VU-ZEz, span.B_NuCI').first().text();
+    const ogTitle = $('meta[property="og:title"]').attr('content');
+    return cleanPageTitle(heading || ogTitle || $('title').text());
+  } catch (error) {
+    console.warn(`Could not fetch page title for ${link}:`, error.message);
+    return null;
+  }
+}
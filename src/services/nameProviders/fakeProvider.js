@@ -0,0 +1,20 @@
+/**
+ * In-memory name provider for tests. Answers with a fixed name, or with
+ * whatever the responder function returns, and records every call.
+ * @param {string|Function|null} responder - Name to return, or ({ link, candidate, pageTitle }) => name
+ * @returns {import('./index.js').NameProvider & { calls: Object[] }}
+ */
+export default function createFakeProvider(responder = null) {
+  const calls = [];
+
+  return {
+    name: "fake",
+    calls,
+
+    async enhance(input) {
+      calls.push(input);
+      if (responder instanceof Error) throw responder;
+      return typeof responder === "function" ? responder(input) : responder;
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+/**
+ * Name provider backed by Gemini
+ * @param {Object} options
+ * @param {string} options.apiKey - Google API key
+ * @param {string} options.model - Gemini model name
+ * @returns {import('./index.js').NameProvider}
+ */
+export default function createGeminiProvider({ apiKey, model = "gemini-2.0-flash" }) {
+  // Initialize Gemini client properly
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: "gemini",
+
+    async enhance({ link, candidate, pageTitle }) {
+      // Create the prompt
+      const prompt = `
+      You are a product name extraction and normalization AI.
+      Given a product link from any e-commerce platform,
+      extract the main product name (brand + model + essential specs) and return 
+      a clean, unified product name suitable for searching across all platforms.
+      ${pageTitle ? `The page title is: ${pageTitle}` : ""}
+      ${candidate ? `A rule-based guess from the link is: ${candidate}` : ""}
+      Now process this link: ${link}
+      Return only the unified product name. No explanation.
+    `;
+
+      // Make the API call (same as curl)
+      const result = await generativeModel.generateContent({
+        contents: [{ parts: [{ text: prompt }] }],
+      });
+
+      return result.response.text().trim() || null;
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import createGeminiProvider from "./geminiProvider.js";
+import createFakeProvider from "./fakeProvider.js";
+
+/**
+ * Optional enhancer that turns a link (plus whatever was extracted
+ * deterministically) into a better unified product name.
+ *
+ * @typedef {Object} NameProvider
+ * @property {string} name - Provider id, reported as the name's source
+ * @property {(input: { link: string, candidate: string|null, pageTitle: string|null }) => Promise<string|null>} enhance
+ */
+
+let activeProvider;
+
+/**
+ * Build the provider selected by NAME_PROVIDER: "gemini", "fake" or "none".
+ * Without NAME_PROVIDER, Gemini is used when GOOGLE_API_KEY is set. A provider
+ * that cannot be built is only a warning, since names still come from the link.
+ * @returns {NameProvider|null} Provider, or null when switched off
+ */
+function createConfiguredProvider() {
+  const choice = (process.env.NAME_PROVIDER || (process.env.GOOGLE_API_KEY ? "gemini" : "none")).toLowerCase();
+
+  switch (choice) {
+    case "gemini":
+      if (!process.env.GOOGLE_API_KEY) {
+        console.warn("NAME_PROVIDER=gemini but GOOGLE_API_KEY is missing, using link extraction only");
+        return null;
+      }
+      return createGeminiProvider({ apiKey: process.env.GOOGLE_API_KEY, model: process.env.GEMINI_MODEL });
+    case "fake":
+      return createFakeProvider();
+    case "none":
+      return null;
+    default:
+      console.warn(`Unknown NAME_PROVIDER "${choice}", using link extraction only`);
+      return null;
+  }
+}
+
+/**
+ * Provider currently in use, created from the environment on first use
+ * @returns {NameProvider|null}
+ */
+export function getNameProvider() {
+  if (activeProvider === undefined) {
+    activeProvider = createConfiguredProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the provider, e.g. with a fake one in tests. Pass null to switch enhancement off.
+ * @param {NameProvider|null} provider - Provider to use
+ */
+export function setNameProvider(provider) {
+  activeProvider = provider;
+}
+
+export { createGeminiProvider, createFakeProvider };
@@ -0,0 +1,251 @@
+/**
+ * Offers as typed records, and the price a buyer actually pays with them.
+ * The offer texts the scrapers read ("10% Instant Discount on Kotak Credit
+ * and Debit Cards, Min Spend ₹3,500, Max Discount ₹1,000") are parsed into
+ * records; effectivePrice applies the ones a payment profile ("HDFC credit
+ * card, no exchange") qualifies for. Parsing is offline and deterministic,
+ * like productMatcher.js, so it runs over cached results as well.
+ *
+ * @typedef {Object} Offer
+ * @property {'bank'|'coupon'|'cashback'|'emi'|'exchange'|'other'} type
+ * @property {string} text - The offer as the store wrote it
+ * @property {string[]} banks - Banks whose cards qualify, e.g. ['HDFC']; empty when any bank does
+ * @property {string[]} cardTypes - 'credit' and/or 'debit'; empty when the text does not say
+ * @property {number|null} percent - Percentage off
+ * @property {number|null} amount - Flat amount off, in paise
+ * @property {number|null} maxDiscount - Cap on a percentage offer, in paise
+ * @property {number|null} minSpend - Smallest order the offer applies to, in paise
+ * @property {boolean} cashback - Paid back after the purchase rather than taken off at checkout
+ *
+ * @typedef {Object} PaymentProfile
+ * @property {string|null} bank - Canonical bank name (see BANKS), null to pay without a card offer
+ * @property {'credit'|'debit'|null} cardType
+ * @property {boolean} coupons - Apply coupons on the page (default true)
+ * @property {boolean} cashback - Count cashback offers that need no card, e.g. wallet or UPI (default false)
+ * @property {boolean|number} exchange - Trade in a device: true for the best advertised value, or what it is worth in rupees
+ */
+
+// Canonical name → ways stores write it
+const BANKS = {
+  HDFC: ['hdfc'],
+  ICICI: ['icici'],
+  SBI: ['sbi', 'state bank'],
+  Axis: ['axis'],
+  Kotak: ['kotak'],
+  'IDFC First': ['idfc'],
+  HSBC: ['hsbc'],
+  'Yes Bank': ['yes bank'],
+  IndusInd: ['indusind'],
+  RBL: ['rbl'],
+  AU: ['au bank', 'au small finance'],
+  'Bank of Baroda': ['bank of baroda', 'bobcard', 'bob card', 'bob financial'],
+  Federal: ['federal bank'],
+  Citi: ['citi', 'citibank'],
+  'American Express': ['american express', 'amex'],
+  'Standard Chartered': ['standard chartered'],
+  OneCard: ['onecard', 'one card']
+};
+
+export const BANK_NAMES = Object.keys(BANKS);
+
+const RUPEES = '(?:₹|rs\\.?|inr)\\s*([\\d,]+(?:\\.\\d+)?)';
+
+/**
+ * Rupee amount in the first capture group of a pattern, in paise
+ * @param {string} text - Offer text
+ * @param {string} pattern - Regex source with RUPEES in it
+ * @returns {number|null}
+ */
+function amountAfter(text, pattern) {
+  const match = text.match(new RegExp(pattern, 'i'));
+  return match ? Math.round(parseFloat(match[1].replace(/,/g, '')) * 100) : null;
+}
+
+/**
+ * Canonical bank name for a name as a caller or store writes it
+ * @param {string} name - e.g. 'hdfc bank'
+ * @returns {string|null}
+ */
+export function canonicalBank(name) {
+  const lower = ` ${name.toLowerCase()} `;
+  const found = Object.entries(BANKS).find(([, aliases]) => aliases.some(alias => new RegExp(`\\b${alias}\\b`).test(lower)));
+  return found ? found[0] : null;
+}
+
+/**
+ * Parse one offer text
+ * @param {string} text - Offer text as scraped
+ * @returns {Offer}
+ */
+export function parseOffer(text) {
+  const clean = text.replace(/\s+/g, ' ').replace(/\s*T&C.*$/i, '').trim();
+  const lower = clean.toLowerCase();
+
+  const banks = BANK_NAMES.filter(bank => BANKS[bank].some(alias => new RegExp(`\\b${alias}\\b`).test(lower)));
+  const cardTypes = ['credit', 'debit'].filter(kind => new RegExp(`\\b${kind}\\b`).test(lower));
+  const mentionsCard = banks.length > 0 || /\bcards?\b|bank offer/.test(lower);
+
+  let type;
+  if (/exchange/.test(lower)) type = 'exchange';
+  else if (/no[\s-]cost emi/.test(lower)) type = 'emi';
+  else if (/inclusive of|partner offer|special price/.test(lower)) type = 'other';
+  else if (/coupon/.test(lower)) type = 'coupon';
+  else if (mentionsCard) type = 'bank';
+  else if (/cashback/.test(lower)) type = 'cashback';
+  else type = 'other';
+
+  const percentMatch = clean.match(/(\d+(?:\.\d+)?)\s*%/);
+  const percent = percentMatch ? parseFloat(percentMatch[1]) : null;
+  const cap = amountAfter(clean, `(?:max(?:imum)?\\.?\\s*(?:discount|cashback|savings?)?(?:\\s*of)?|up\\s*to|upto)\\s*${RUPEES}`);
+  const minSpend = amountAfter(clean,
+    `(?:min(?:imum)?\\.?\\s*(?:spend|purchase|order|transaction|txn|cart)(?:\\s*value)?(?:\\s*of)?|orders?\\s*(?:value\\s*)?(?:of|above|over)|above|over)\\s*${RUPEES}`);
+
+  // Flat offers name their amount before "off"/"discount"/"cashback", or as the "up to" value
+  let amount = null;
+  if (percent === null) {
+    amount = amountAfter(clean, `(?:flat\\s*)?${RUPEES}\\s*(?:instant\\s*)?(?:off|discount|cashback|savings|interest|bonus)`) ??
+      amountAfter(clean, `(?:extra|flat|get|save)\\s*${RUPEES}`) ?? cap;
+  }
+
+  return {
+    type,
+    text: clean,
+    banks,
+    cardTypes,
+    percent,
+    amount,
+    maxDiscount: percent !== null ? cap : null,
+    minSpend: minSpend !== null && minSpend !== amount ? minSpend : null,
+    cashback: /cashback/.test(lower)
+  };
+}
+
+/**
+ * Parse scraped offer texts; ones that are not offers at all are dropped
+ * @param {string[]} texts - Offer texts
+ * @returns {Offer[]}
+ */
+export function parseOffers(texts) {
+  return (texts || []).map(parseOffer).filter(offer => offer.type !== 'other' || offer.percent !== null || offer.amount !== null);
+}
+
+/**
+ * Whether a profile phrase turns something down, either before it ("no exchange",
+ * "without an exchange", "not using cashback") or after it ("exchange: no")
+ * @param {string} lower - Lowercased phrase
+ * @param {string} term - Regex source for the thing, e.g. "exchange"
+ * @returns {boolean}
+ */
+function declines(lower, term) {
+  return new RegExp(`\\b(?:no|without|not|never)\\s+(?:(?:using|use|an?|any)\\s+)*(?:${term})\\b`).test(lower) ||
+    new RegExp(`\\b(?:${term})\\s*[:=-]?\\s*(?:no|none|false|off)\\b`).test(lower);
+}
+
+/**
+ * Read a payment profile: an object, or a phrase such as "HDFC credit card, no exchange"
+ * @param {Object|string} value - Raw profile
+ * @returns {PaymentProfile|null} null when it names an unknown bank or card type
+ */
+export function parsePaymentProfile(value) {
+  if (typeof value === 'string') {
+    const lower = value.toLowerCase();
+    const bank = canonicalBank(lower);
+    if (!bank && /\bbank\b/.test(lower)) return null;
+    const exchangeValue = lower.match(/exchange (?:worth |of |for )?(?:₹|rs\.?\s*)?([\d,]+)/);
+    return {
+      bank,
+      cardType: /\bdebit\b/.test(lower) ? 'debit' : /\bcredit\b/.test(lower) ? 'credit' : null,
+      coupons: !declines(lower, 'coupons?'),
+      cashback: /wallet|upi/.test(lower) || (/cashback/.test(lower) && !declines(lower, 'cashback')),
+      exchange: exchangeValue ? parseInt(exchangeValue[1].replace(/,/g, ''), 10) : /exchange/.test(lower) && !declines(lower, 'exchange')
+    };
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const bank = value.bank === undefined || value.bank === null ? null : canonicalBank(String(value.bank));
+  if (value.bank && !bank) return null;
+  if (value.cardType !== undefined && value.cardType !== null && !['credit', 'debit'].includes(value.cardType)) return null;
+  if (value.exchange !== undefined && typeof value.exchange !== 'boolean' &&
+      !(typeof value.exchange === 'number' && value.exchange >= 0)) return null;
+
+  return {
+    bank,
+    cardType: value.cardType || null,
+    coupons: value.coupons !== false,
+    cashback: value.cashback === true,
+    exchange: value.exchange ?? false
+  };
+}
+
+/**
+ * What an offer takes off a price, or 0 when it does not apply at that price
+ * @param {Offer} offer - Parsed offer
+ * @param {number} price - Price in paise
+ * @returns {number} Paise
+ */
+function discountOf(offer, price) {
+  if (offer.minSpend !== null && price < offer.minSpend) return 0;
+  if (offer.percent !== null) {
+    const discount = Math.round(price * offer.percent / 100);
+    return offer.maxDiscount !== null ? Math.min(discount, offer.maxDiscount) : discount;
+  }
+  return Math.min(offer.amount || 0, price);
+}
+
+/**
+ * The price after the offers a payment profile qualifies for: the best
+ * coupon, the best card offer for the profile's bank and card type, the best
+ * cashback offer when the profile counts them and the exchange bonus when it
+ * trades in. Offers of one kind do not stack; no-cost EMI only waives
+ * interest, so it is listed but takes nothing off.
+ * @param {number|null} price - Listed price in paise
+ * @param {Offer[]} offers - Parsed offers
+ * @param {PaymentProfile} profile - How the buyer pays
+ * @returns {{ price: number|null, effectivePrice: number|null, savings: number,
+ *   applied: { type: string, text: string, discount: number }[], emi: Offer[] }}
+ */
+export function effectivePrice(price, offers, profile) {
+  if (price === null) {
+    return { price, effectivePrice: null, savings: 0, applied: [], emi: [] };
+  }
+
+  const qualifies = offer => {
+    switch (offer.type) {
+      case 'coupon':
+        return profile.coupons;
+      case 'bank':
+        return profile.bank !== null &&
+          (offer.banks.length === 0 || offer.banks.includes(profile.bank)) &&
+          (offer.cardTypes.length === 0 || profile.cardType === null || offer.cardTypes.includes(profile.cardType));
+      case 'cashback':
+        return profile.cashback;
+      case 'exchange':
+        return profile.exchange !== false;
+      default:
+        return false;
+    }
+  };
+
+  const applied = [];
+  for (const type of ['coupon', 'bank', 'cashback', 'exchange']) {
+    const best = offers
+      .filter(offer => offer.type === type && qualifies(offer))
+      .map(offer => {
+        let discount = discountOf(offer, price);
+        // An old device is worth what it is worth, up to the advertised bonus
+        if (type === 'exchange' && typeof profile.exchange === 'number') {
+          discount = Math.min(discount, profile.exchange * 100);
+        }
+        return { type, text: offer.text, discount };
+      })
+      .sort((a, b) => b.discount - a.discount)[0];
+    if (best && best.discount > 0) applied.push(best);
+  }
+
+  const savings = Math.min(price, applied.reduce((sum, offer) => sum + offer.discount, 0));
+  const emi = offers.filter(offer => offer.type === 'emi' &&
+    (offer.banks.length === 0 || offer.banks.includes(profile.bank)));
+
+  return { price, effectivePrice: price - savings, savings, applied, emi };
+}
@@ -0,0 +1,122 @@
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { canonicalizeProductLink } from '../scrapers/productUrl.js';
+
+const store = new JsonFileStore(
+  process.env.PRICE_HISTORY_FILE || 'data/price-history.json',
+  () => ({ version: 1, products: {} })
+);
+
+/**
+ * Append a scraped product's current price to its history
+ * @param {import('../scrapers/productSchema.js').Product} product - Successful scrape result
+ * @returns {Promise<Object|null>} The stored point, or null when the product has no link to key it by
+ */
+export async function recordPrice(product) {
+  if (!product || !product.productLink) return null;
+
+  const key = canonicalizeProductLink(product.productLink);
+  const point = {
+    timestamp: new Date().toISOString(),
+    currency: product.currency,
+    price: product.price,
+    mrp: product.mrp,
+    discount: product.discount,
+    availability: product.availability
+  };
+
+  return store.update(data => {
+    const entry = data.products[key] || {
+      platform: product.platform,
+      productId: null,
+      productLink: key,
+      title: null,
+      points: []
+    };
+
+    entry.productId = product.productId || entry.productId || null;
+    entry.title = product.title || entry.title;
+    entry.points.push(point);
+    data.products[key] = entry;
+
+    return point;
+  });
+}
+
+/**
+ * Min, max and average price over a list of points, ignoring points without a price
+ * @param {Object[]} points - History points
+ * @returns {{ count: number, min: number|null, max: number|null, average: number|null }} Amounts in paise
+ */
+export function summarizePoints(points) {
+  const prices = points.map(point => point.price).filter(price => price !== null && price !== undefined);
+  if (prices.length === 0) {
+    return { count: 0, min: null, max: null, average: null };
+  }
+
+  return {
+    count: prices.length,
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    average: Math.round(prices.reduce((sum, price) => sum + price, 0) / prices.length)
+  };
+}
+
+/**
+ * Price history of one product over a date range
+ * @param {string} link - Any link to the product; it is canonicalized before lookup
+ * @param {Object} range
+ * @param {Date} [range.from] - Earliest point to include
+ * @param {Date} [range.to] - Latest point to include
+ * @returns {Promise<Object|null>} History with stats, or null when the product was never recorded
+ */
+export async function getPriceHistory(link, { from, to } = {}) {
+  const data = await store.read();
+  const entry = data.products[canonicalizeProductLink(link)];
+  if (!entry) return null;
+
+  const points = entry.points.filter(point => {
+    const time = new Date(point.timestamp).getTime();
+    return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+  });
+
+  // The all-time low looks at every point, not just the requested range
+  const allTimeLow = entry.points.reduce((lowest, point) => {
+    if (point.price === null || point.price === undefined) return lowest;
+    return !lowest || point.price < lowest.price ? { price: point.price, timestamp: point.timestamp } : lowest;
+  }, null);
+
+  return {
+    platform: entry.platform,
+    productId: entry.productId || null,
+    productLink: entry.productLink,
+    title: entry.title,
+    currency: points.length > 0 ? points[points.length - 1].currency : null,
+    range: {
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null
+    },
+    stats: summarizePoints(points),
+    allTimeLow,
+    points
+  };
+}
+
+/**
+ * Every product with recorded history and its latest point
+ * @returns {Promise<Object[]>} Tracked products
+ */
+export async function listTrackedProducts() {
+  const data = await store.read();
+
+  return Object.values(data.products).map(entry => {
+    const latest = entry.points[entry.points.length - 1] || null;
+    return {
+      platform: entry.platform,
+      productId: entry.productId || null,
+      productLink: entry.productLink,
+      title: entry.title,
+      pointCount: entry.points.length,
+      latest
+    };
+  });
+}
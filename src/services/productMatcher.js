@@ -0,0 +1,298 @@
+/**
+ * Deterministic, offline matching of product titles across platforms.
+ * Titles are reduced to brand, model tokens, storage/RAM, color and size,
+ * and two products are scored on how well those attributes agree.
+ */
+
+const KNOWN_BRANDS = [
+  'apple', 'samsung', 'oneplus', 'xiaomi', 'redmi', 'poco', 'realme', 'vivo', 'oppo', 'iqoo', 'motorola',
+  'nokia', 'google', 'nothing', 'sony', 'lg', 'hp', 'dell', 'lenovo', 'asus', 'acer', 'msi', 'boat', 'jbl',
+  'bose', 'noise', 'fire-boltt', 'philips', 'canon', 'nikon', 'nike', 'adidas', 'puma', 'reebok', 'levis',
+  'h&m', 'roadster', 'hrx', 'allen solly', 'van heusen', 'peter england', 'u.s. polo assn.', 'woodland'
+];
+
+// Product lines that give the brand away when the title omits it
+const PRODUCT_LINES = {
+  iphone: 'apple', ipad: 'apple', macbook: 'apple', airpods: 'apple',
+  galaxy: 'samsung', pixel: 'google', thinkpad: 'lenovo', ideapad: 'lenovo', vivobook: 'asus'
+};
+
+const COLORS = [
+  'black', 'white', 'blue', 'red', 'green', 'yellow', 'pink', 'purple', 'violet', 'grey', 'gray', 'silver',
+  'gold', 'rose gold', 'orange', 'brown', 'beige', 'navy', 'navy blue', 'maroon', 'olive', 'teal', 'cream',
+  'midnight', 'starlight', 'graphite', 'titanium', 'natural titanium', 'lavender', 'mint', 'charcoal'
+];
+
+// Words that turn one model into a different one: "iPhone 15" vs "iPhone 15 Plus"
+const VARIANT_WORDS = ['plus', 'pro', 'max', 'mini', 'ultra', 'lite', 'fe', 'neo', 'prime', 'air'];
+
+// Marketing and category words that say nothing about which product it is
+const STOP_WORDS = new Set([
+  'with', 'and', 'for', 'the', 'of', 'in', 'a', 'an', 'by', 'new', 'latest', 'edition', 'mobile', 'phone',
+  'smartphone', 'smart', 'dual', 'sim', '5g', '4g', 'lte', 'storage', 'ram', 'rom', 'gb', 'tb', 'inch',
+  'inches', 'cm', 'men', 'women', 'mens', 'womens', 'unisex', 'size', 'color', 'colour'
+]);
+
+const WEIGHTS = {
+  brand: 0.25,
+  model: 0.45,
+  storage: 0.15,
+  ram: 0.05,
+  color: 0.05,
+  size: 0.05
+};
+
+// Attributes that identify a different product when they disagree
+const CRITICAL = new Set(['brand', 'model', 'storage', 'size']);
+
+// Highest confidence a pair with a critical conflict can reach
+const CONFLICT_CAP = 0.3;
+
+export const DEFAULT_MATCH_THRESHOLD = 0.6;
+
+/**
+ * Normalize a capacity such as "1 TB" or "128gb" to gigabytes
+ * @param {string} value - Numeric part
+ * @param {string} unit - GB or TB
+ * @returns {number} Capacity in GB
+ */
+function toGigabytes(value, unit) {
+  const amount = parseFloat(value);
+  return unit.toLowerCase() === 'tb' ? amount * 1024 : amount;
+}
+
+/**
+ * Pull storage and RAM out of a title
+ * @param {string} text - Lowercased title
+ * @returns {{ storage: number|null, ram: number|null }} Capacities in GB
+ */
+function extractMemory(text) {
+  let ram = null;
+  let storage = null;
+
+  // "8GB+256GB" / "8 GB + 128 GB" list RAM first
+  const combined = text.match(/(\d+)\s*gb\s*\+\s*(\d+)\s*(gb|tb)/);
+  if (combined) {
+    return { ram: toGigabytes(combined[1], 'gb'), storage: toGigabytes(combined[2], combined[3]) };
+  }
+
+  const ramMatch = text.match(/(\d+)\s*gb\s*ram/);
+  if (ramMatch) ram = toGigabytes(ramMatch[1], 'gb');
+
+  const storageMatch = text.match(/(\d+)\s*(gb|tb)\s*(rom|storage|ssd)/);
+  if (storageMatch) storage = toGigabytes(storageMatch[1], storageMatch[2]);
+
+  if (storage === null) {
+    // Otherwise the largest capacity that is not the RAM figure
+    const capacities = [...text.matchAll(/(\d+)\s*(gb|tb)\b/g)]
+      .map(match => toGigabytes(match[1], match[2]))
+      .filter(capacity => capacity !== ram);
+    if (capacities.length > 0) {
+      const largest = Math.max(...capacities);
+      if (largest >= 16 || ram !== null) storage = largest;
+    }
+  }
+
+  return { ram, storage };
+}
+
+/**
+ * Pull a clothing or shoe size out of a title
+ * @param {string} text - Lowercased title
+ * @returns {string|null} Size such as "uk 9" or "xl"
+ */
+function extractSize(text) {
+  const shoe = text.match(/\b(uk|us|eu|ind)\s*-?\s*(\d{1,2}(\.\d)?)\b/);
+  if (shoe) return `${shoe[1]} ${shoe[2]}`;
+
+  // Letter sizes are only trusted when marked as such, "M" alone is too ambiguous
+  const apparel = text.match(/(?:size\s*:?\s*|\(\s*)(xxs|xs|s|m|l|xl|xxl|xxxl|\dxl)(?=\W|$)/);
+  return apparel ? apparel[1] : null;
+}
+
+/**
+ * Find the longest known color mentioned in a title
+ * @param {string} text - Lowercased title
+ * @returns {string|null} Color name
+ */
+function extractColor(text) {
+  const found = COLORS
+    .filter(color => new RegExp(`\\b${color}\\b`).test(text))
+    .sort((a, b) => b.length - a.length);
+  return found.length > 0 ? found[0].replace('gray', 'grey') : null;
+}
+
+/**
+ * Identify the brand, preferring an explicit brand field over the title
+ * @param {string} text - Lowercased title
+ * @param {string|null} brand - Brand reported by the platform
+ * @returns {string|null} Lowercased brand
+ */
+function extractBrand(text, brand) {
+  if (brand) return brand.toLowerCase().trim();
+  const padded = ` ${text} `;
+  const known = KNOWN_BRANDS.find(name => padded.includes(` ${name} `));
+  if (known) return known;
+  const line = Object.keys(PRODUCT_LINES).find(name => padded.includes(` ${name} `));
+  return line ? PRODUCT_LINES[line] : null;
+}
+
+/**
+ * Extract comparable attributes from a product title
+ * @param {string} title - Product title as shown by the platform
+ * @param {string|null} brand - Brand field, where the platform reports one separately
+ * @returns {Object} { brand, model, variants, storage, ram, color, size }
+ */
+export function extractAttributes(title, brand = null) {
+  const text = ` ${String(title || '').toLowerCase().replace(/[(),|/\-–]+/g, ' $& ')} `
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const { storage, ram } = extractMemory(text);
+  const color = extractColor(text);
+  const size = extractSize(text);
+  const brandName = extractBrand(text, brand);
+
+  // Only drop the brand from the model when the title actually spells it out
+  const ignored = new Set([
+    ...(brandName && text.includes(brandName) ? brandName.split(/\s+/) : []),
+    ...(color ? color.split(/\s+/) : []),
+    ...(size ? size.split(/\s+/) : [])
+  ]);
+
+  const model = text
+    .replace(/\d+\s*(gb|tb)\b/g, ' ')
+    .split(/[^a-z0-9.+&]+/)
+    .map(token => token.replace(/^[.+]+|[.+]+$/g, ''))
+    .filter(token => token && !STOP_WORDS.has(token) && !ignored.has(token));
+
+  return {
+    brand: brandName,
+    model: [...new Set(model)],
+    variants: model.filter(token => VARIANT_WORDS.includes(token)).sort(),
+    storage,
+    ram,
+    color,
+    size
+  };
+}
+
+/**
+ * Score how alike two model token lists are
+ * @param {Object} a - Attributes
+ * @param {Object} b - Attributes
+ * @returns {{ score: number, conflict: boolean }}
+ */
+function compareModels(a, b) {
+  const setA = new Set(a.model);
+  const setB = new Set(b.model);
+  const union = new Set([...setA, ...setB]);
+  if (union.size === 0) return { score: 1, conflict: false };
+
+  const shared = [...setA].filter(token => setB.has(token)).length;
+
+  // Model numbers ("15", "s23", "a54") and variant words must agree exactly
+  const numbersA = a.model.filter(token => /\d/.test(token)).sort().join(' ');
+  const numbersB = b.model.filter(token => /\d/.test(token)).sort().join(' ');
+  const numberConflict = numbersA !== '' && numbersB !== '' && numbersA !== numbersB;
+  const variantConflict = a.variants.join(' ') !== b.variants.join(' ');
+
+  return {
+    score: shared / union.size,
+    conflict: numberConflict || variantConflict
+  };
+}
+
+/**
+ * Compute a confidence score that two sets of attributes describe the same product.
+ * Attributes missing on either side are skipped rather than counted against.
+ * @param {Object} a - Attributes from extractAttributes
+ * @param {Object} b - Attributes from extractAttributes
+ * @returns {{ confidence: number, conflicts: string[] }} Confidence in [0, 1]
+ */
+export function scoreAttributes(a, b) {
+  let weighted = 0;
+  let total = 0;
+  const conflicts = [];
+
+  for (const [key, weight] of Object.entries(WEIGHTS)) {
+    let score;
+
+    if (key === 'model') {
+      const result = compareModels(a, b);
+      score = result.score;
+      if (result.conflict) conflicts.push('model');
+    } else {
+      if (a[key] === null || b[key] === null) continue;
+      score = a[key] === b[key] ? 1 : 0;
+      if (score === 0) conflicts.push(key);
+    }
+
+    weighted += weight * score;
+    total += weight;
+  }
+
+  let confidence = total > 0 ? weighted / total : 0;
+  if (conflicts.some(key => CRITICAL.has(key))) {
+    confidence = Math.min(confidence, CONFLICT_CAP);
+  }
+
+  return { confidence: Math.round(confidence * 100) / 100, conflicts };
+}
+
+/**
+ * Score two product titles against each other
+ * @param {{ title: string, brand?: string|null }} a - Product
+ * @param {{ title: string, brand?: string|null }} b - Product
+ * @returns {{ confidence: number, conflicts: string[] }}
+ */
+export function matchProducts(a, b) {
+  return scoreAttributes(
+    extractAttributes(a.title, a.brand || null),
+    extractAttributes(b.title, b.brand || null)
+  );
+}
+
+/**
+ * Annotate comparison entries with match information.
+ *
+ * Each successful entry gets `match` with its confidence against the query
+ * and `matched` = confidence >= threshold. Pairwise confidences between
+ * platforms are returned separately.
+ *
+ * @param {string} query - Product name that was searched
+ * @param {Object[]} entries - Comparison entries with { platform, success, data }
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum confidence for a match
+ * @returns {Object[]} Pairwise scores: { platforms: [a, b], confidence, conflicts }
+ */
+export function annotateMatches(query, entries, { threshold = DEFAULT_MATCH_THRESHOLD } = {}) {
+  const queryAttributes = extractAttributes(query);
+  const scored = entries.filter(entry => entry.success && entry.data && entry.data.title);
+
+  for (const entry of scored) {
+    const attributes = extractAttributes(entry.data.title, entry.data.brand);
+    const { confidence, conflicts } = scoreAttributes(queryAttributes, attributes);
+
+    entry.match = {
+      confidence,
+      matched: confidence >= threshold,
+      conflicts,
+      attributes
+    };
+  }
+
+  const pairs = [];
+  for (let i = 0; i < scored.length; i++) {
+    for (let j = i + 1; j < scored.length; j++) {
+      const { confidence, conflicts } = scoreAttributes(scored[i].match.attributes, scored[j].match.attributes);
+      pairs.push({
+        platforms: [scored[i].platform, scored[j].platform],
+        confidence,
+        conflicts
+      });
+    }
+  }
+
+  return pairs;
+}
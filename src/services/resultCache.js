@@ -0,0 +1,226 @@
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+
+/**
+ * Storage behind the result cache. Entries are { value, storedAt, expiresAt }
+ * with times in epoch milliseconds; backends only store and return them.
+ *
+ * @typedef {Object} CacheBackend
+ * @property {(key: string) => Promise<Object|undefined>} get
+ * @property {(key: string, entry: Object) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ */
+
+/**
+ * Process-local backend, lost on restart
+ * @implements {CacheBackend}
+ */
+export class MemoryCacheBackend {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Backend persisted to a JSON file, survives restarts
+ * @implements {CacheBackend}
+ */
+export class FileCacheBackend {
+  /**
+   * @param {string} filePath - Cache file location
+   */
+  constructor(filePath) {
+    this.store = new JsonFileStore(filePath, () => ({ version: 1, entries: {} }));
+  }
+
+  async get(key) {
+    const data = await this.store.read();
+    return data.entries[key];
+  }
+
+  async set(key, entry) {
+    await this.store.update(data => {
+      // Drop expired entries while we are writing anyway
+      const now = Date.now();
+      for (const [storedKey, stored] of Object.entries(data.entries)) {
+        if (stored.expiresAt <= now) delete data.entries[storedKey];
+      }
+      data.entries[key] = entry;
+    });
+  }
+
+  async delete(key) {
+    await this.store.update(data => {
+      delete data.entries[key];
+    });
+  }
+}
+
+/**
+ * TTL cache for scrape results. Concurrent lookups of the same key while
+ * it is being computed share one computation. Only successful results
+ * ({ success: true }) are stored.
+ */
+export class ResultCache {
+  /**
+   * @param {Object} options
+   * @param {CacheBackend} options.backend - Where entries are kept
+   * @param {number} options.ttlMs - How long an entry stays fresh
+   */
+  constructor({ backend, ttlMs }) {
+    this.backend = backend;
+    this.ttlMs = ttlMs;
+    // key → { promise, controller, waiters }
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Return the cached value for a key, or compute and cache it.
+   * A lookup whose signal aborts stops waiting and rejects with the abort reason;
+   * the shared computation's own signal only aborts once every lookup waiting
+   * on it has, so one caller giving up never cancels the others.
+   * @param {string} key - Cache key
+   * @param {(signal: AbortSignal) => Promise<Object>} compute - Produces the value on a miss
+   * @param {Object} options
+   * @param {boolean} options.fresh - Skip the cached entry (the new result is still stored)
+   * @param {AbortSignal} [options.signal] - Stop waiting when aborted
+   * @returns {Promise<{ value: Object, status: string, coalesced: boolean, storedAt: number, expiresAt: number }>}
+   *   status is HIT, MISS or BYPASS
+   */
+  async getOrCompute(key, compute, { fresh = false, signal } = {}) {
+    if (!fresh) {
+      const entry = await this.backend.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        return { value: entry.value, status: 'HIT', coalesced: false, storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+      }
+    }
+
+    const status = fresh ? 'BYPASS' : 'MISS';
+    if (signal?.aborted) throw signal.reason;
+
+    // Someone may already be computing this key: wait for their result
+    let flight = this.inFlight.get(key);
+    const coalesced = Boolean(flight);
+    if (!flight) {
+      const controller = new AbortController();
+      flight = { controller, waiters: 0 };
+      flight.promise = this.compute(key, () => compute(controller.signal)).finally(() => {
+        if (this.inFlight.get(key) === flight) this.inFlight.delete(key);
+      });
+      this.inFlight.set(key, flight);
+    }
+
+    const result = await this.wait(key, flight, signal);
+    return { ...result, status, coalesced };
+  }
+
+  /**
+   * Wait for a shared computation, leaving it when the signal aborts
+   * @param {string} key - Cache key
+   * @param {Object} flight - Entry of inFlight
+   * @param {AbortSignal} [signal] - Stop waiting when aborted; without one the lookup always waits
+   * @returns {Promise<{ value: Object, storedAt: number, expiresAt: number }>}
+   */
+  wait(key, flight, signal) {
+    flight.waiters += 1;
+    if (!signal) return flight.promise;
+
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        flight.waiters -= 1;
+        if (flight.waiters === 0) {
+          // Nobody wants the result any more: cancel it, and let the next lookup start afresh
+          if (this.inFlight.get(key) === flight) this.inFlight.delete(key);
+          flight.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', leave, { once: true });
+      flight.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', leave));
+    });
+  }
+
+  /**
+   * Run the computation and store a successful result
+   * @param {string} key - Cache key
+   * @param {() => Promise<Object>} compute - Produces the value
+   * @returns {Promise<{ value: Object, storedAt: number, expiresAt: number }>}
+   */
+  async compute(key, compute) {
+    const value = await compute();
+    const storedAt = Date.now();
+    const expiresAt = storedAt + this.ttlMs;
+
+    if (value && value.success) {
+      try {
+        await this.backend.set(key, { value, storedAt, expiresAt });
+      } catch (error) {
+        console.error('Could not write to result cache:', error.message);
+      }
+    }
+
+    return { value, storedAt, expiresAt };
+  }
+
+  /**
+   * Remove one key
+   * @param {string} key - Cache key
+   */
+  async invalidate(key) {
+    await this.backend.delete(key);
+  }
+}
+
+/**
+ * Cache key for a platform and query; the query is normalized so that
+ * "iPhone 15 " and "iphone   15" share an entry
+ * @param {string} platform - Platform id
+ * @param {string} query - Product name
+ * @param {Object} options - Scrape options that change the result
+ * @returns {string} Cache key
+ */
+export function buildCacheKey(platform, query, options = {}) {
+  const normalizedQuery = query.toLowerCase().replace(/\s+/g, ' ').trim();
+  const optionPart = Object.keys(options)
+    .filter(name => options[name] !== undefined && options[name] !== false && options[name] !== 0)
+    .sort()
+    .map(name => `${name}=${JSON.stringify(options[name])}`)
+    .join('&');
+
+  return `${platform}:${normalizedQuery}${optionPart ? `?${optionPart}` : ''}`;
+}
+
+/**
+ * Backend selected by CACHE_BACKEND ("memory" or "file")
+ * @returns {CacheBackend}
+ */
+function createConfiguredBackend() {
+  const choice = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  if (choice === 'file') {
+    return new FileCacheBackend(process.env.CACHE_FILE || 'data/result-cache.json');
+  }
+  if (choice !== 'memory') {
+    throw new Error(`Unknown CACHE_BACKEND "${choice}"`);
+  }
+  return new MemoryCacheBackend();
+}
+
+const resultCache = new ResultCache({
+  backend: createConfiguredBackend(),
+  ttlMs: (parseInt(process.env.CACHE_TTL_SECONDS, 10) || 600) * 1000
+});
+
+export default resultCache;
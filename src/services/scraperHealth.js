@@ -0,0 +1,234 @@
+import { EventEmitter } from 'node:events';
+import { postWebhook } from '../utils/webhook.js';
+
+export const HEALTH_WINDOW = parseInt(process.env.SCRAPER_HEALTH_WINDOW, 10) || 50;
+export const HEALTH_THRESHOLD = parseFloat(process.env.SCRAPER_HEALTH_THRESHOLD) || 0.8;
+export const HEALTH_MIN_SAMPLES = parseInt(process.env.SCRAPER_HEALTH_MIN_SAMPLES, 10) || 10;
+
+/**
+ * Did an extracted field come back with something?
+ * @param {*} value - Parsed field value
+ * @returns {boolean}
+ */
+export function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== false;
+}
+
+/**
+ * Did an extraction find a field? An exists field is found whenever it was
+ * read: false means the element is not on this page (no cart button on an
+ * out-of-stock product), not that the selector failed.
+ * @param {Object} rule - Field rule from the selector map
+ * @param {*} value - Parsed field value
+ * @returns {boolean}
+ */
+export function isFound(rule, value) {
+  if (rule.parse === 'exists') return value !== null && value !== undefined;
+  return hasValue(value);
+}
+
+/**
+ * Tracks, per platform and field, how often the selector map finds a value
+ * over the last HEALTH_WINDOW extractions and which fallback selector did.
+ * A field whose success rate drops below its threshold emits 'alert' once,
+ * and 'recovered' once it climbs back; both carry
+ * { platform, field, successRate, threshold, samples, selectorVersion, at }.
+ *
+ * A field counts as found whichever strategy supplied it (structured data or
+ * CSS); selectorHits only count the CSS fallbacks, strategyHits the sources.
+ *
+ * Required fields use HEALTH_THRESHOLD, any field can set its own
+ * minSuccessRate in the selector map, and other fields are only reported.
+ * Stats for a platform start over when its selector map version changes.
+ */
+export class ScraperHealth extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.window - Extractions kept per field
+   * @param {number} options.threshold - Success rate required fields must keep
+   * @param {number} options.minSamples - Extractions needed before a field can alert
+   */
+  constructor({ window = HEALTH_WINDOW, threshold = HEALTH_THRESHOLD, minSamples = HEALTH_MIN_SAMPLES } = {}) {
+    super();
+    this.window = window;
+    this.threshold = threshold;
+    this.minSamples = minSamples;
+    this.platforms = new Map();
+  }
+
+  /**
+   * Stats of a platform, reset when its selector map version changes
+   * @param {string} platform - Platform id
+   * @param {number} selectorVersion - Version of the map the extraction used
+   * @returns {Object}
+   */
+  platformStats(platform, selectorVersion) {
+    const current = this.platforms.get(platform);
+    if (current && current.selectorVersion === selectorVersion) return current;
+
+    const stats = { selectorVersion, extractions: 0, degraded: 0, fields: new Map() };
+    this.platforms.set(platform, stats);
+    return stats;
+  }
+
+  /**
+   * Record one extraction of a tile or product page
+   * @param {string} platform - Platform id
+   * @param {number} selectorVersion - Version of the map the extraction used
+   * @param {string} section - 'tile' or 'product'
+   * @param {Object<string, Object>} rules - Field rules that were applied
+   * @param {{ values: Object, matched: Object, strategies?: Object }} extraction - Field values,
+   *   index of the CSS selector that matched and the strategy that supplied each value
+   */
+  record(platform, selectorVersion, section, rules, { values, matched, strategies = {} }) {
+    const stats = this.platformStats(platform, selectorVersion);
+    const now = new Date().toISOString();
+    let degraded = false;
+
+    stats.extractions += 1;
+
+    for (const [name, rule] of Object.entries(rules)) {
+      const field = `${section}.${name}`;
+      if (!stats.fields.has(field)) {
+        stats.fields.set(field, {
+          outcomes: [],
+          selectorHits: new Array(rule.selectors.length).fill(0),
+          strategyHits: {},
+          lastSuccessAt: null,
+          lastFailureAt: null,
+          alerting: false
+        });
+      }
+
+      const entry = stats.fields.get(field);
+      const found = isFound(rule, values[name]);
+
+      entry.outcomes.push(found);
+      if (entry.outcomes.length > this.window) entry.outcomes.shift();
+      if (found) {
+        const strategy = strategies[name] || 'css';
+        entry.lastSuccessAt = now;
+        entry.strategyHits[strategy] = (entry.strategyHits[strategy] || 0) + 1;
+        if (strategy === 'css' && matched[name] !== null) entry.selectorHits[matched[name]] += 1;
+      } else {
+        entry.lastFailureAt = now;
+        if (rule.required) degraded = true;
+      }
+
+      this.checkThreshold(platform, stats, field, entry, rule);
+    }
+
+    if (degraded) stats.degraded += 1;
+  }
+
+  /**
+   * Success rate a field has to keep, or null when it never alerts
+   * @param {Object} rule - Field rule
+   * @returns {number|null}
+   */
+  thresholdFor(rule) {
+    if (typeof rule.minSuccessRate === 'number') return rule.minSuccessRate;
+    return rule.required ? this.threshold : null;
+  }
+
+  /**
+   * Emit 'alert' when a field drops below its threshold and 'recovered' when it is back
+   * @param {string} platform - Platform id
+   * @param {Object} stats - Platform stats
+   * @param {string} field - '<section>.<name>'
+   * @param {Object} entry - Field stats
+   * @param {Object} rule - Field rule
+   */
+  checkThreshold(platform, stats, field, entry, rule) {
+    const threshold = this.thresholdFor(rule);
+    if (threshold === null || entry.outcomes.length < this.minSamples) return;
+
+    const successRate = entry.outcomes.filter(Boolean).length / entry.outcomes.length;
+    const failing = successRate < threshold;
+    if (failing === entry.alerting) return;
+
+    entry.alerting = failing;
+    this.emit(failing ? 'alert' : 'recovered', {
+      platform,
+      field,
+      successRate,
+      threshold,
+      samples: entry.outcomes.length,
+      selectorVersion: stats.selectorVersion,
+      at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Health of every platform seen so far
+   * @returns {Object} Settings plus, per platform, extraction counts and per-field stats
+   */
+  report() {
+    const platforms = {};
+
+    for (const [platform, stats] of this.platforms) {
+      const fields = {};
+      for (const [field, entry] of stats.fields) {
+        const samples = entry.outcomes.length;
+        fields[field] = {
+          successRate: samples ? entry.outcomes.filter(Boolean).length / samples : null,
+          samples,
+          status: entry.alerting ? 'alerting' : samples < this.minSamples ? 'warming-up' : 'ok',
+          // How often each source, and each CSS selector in the fallback list, supplied the value
+          strategyHits: entry.strategyHits,
+          selectorHits: entry.selectorHits,
+          lastSuccessAt: entry.lastSuccessAt,
+          lastFailureAt: entry.lastFailureAt
+        };
+      }
+
+      platforms[platform] = {
+        selectorVersion: stats.selectorVersion,
+        status: Object.values(fields).some(field => field.status === 'alerting') ? 'degraded' : 'ok',
+        extractions: stats.extractions,
+        degraded: stats.degraded,
+        fields
+      };
+    }
+
+    return {
+      window: this.window,
+      threshold: this.threshold,
+      minSamples: this.minSamples,
+      platforms
+    };
+  }
+
+  /**
+   * Forget all stats
+   */
+  reset() {
+    this.platforms.clear();
+  }
+}
+
+const scraperHealth = new ScraperHealth();
+
+// POST alerts to a webhook when one is configured; other listeners can subscribe to the events
+if (process.env.SCRAPER_ALERT_WEBHOOK_URL) {
+  for (const type of ['alert', 'recovered']) {
+    scraperHealth.on(type, async event => {
+      try {
+        await postWebhook(process.env.SCRAPER_ALERT_WEBHOOK_URL, { type: `selector-${type}`, ...event });
+      } catch (error) {
+        console.error(`Could not deliver selector ${type} for ${event.platform} ${event.field}:`, error.message);
+      }
+    });
+  }
+}
+
+scraperHealth.on('alert', ({ platform, field, successRate, threshold }) => {
+  console.warn(`🚨 ${platform} ${field} found on ${Math.round(successRate * 100)}% of pages (threshold ${Math.round(threshold * 100)}%)`);
+});
+
+scraperHealth.on('recovered', ({ platform, field, successRate }) => {
+  console.log(`💚 ${platform} ${field} recovered (${Math.round(successRate * 100)}%)`);
+});
+
+export default scraperHealth;
@@ -0,0 +1,80 @@
+import { checkWatch, listWatches } from './watchlist.js';
+
+/**
+ * Periodically re-checks every watch. Each round is followed by a pause of
+ * intervalMs ± jitter so that checks do not hit the stores on a fixed beat.
+ */
+export class WatchScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.intervalMs - Time between rounds
+   * @param {number} options.jitterRatio - Random spread as a fraction of the interval (0.1 = ±10%)
+   */
+  constructor({ intervalMs, jitterRatio = 0.1 }) {
+    this.intervalMs = intervalMs;
+    this.jitterRatio = jitterRatio;
+    this.timer = null;
+    this.running = false;
+    this.stopped = true;
+  }
+
+  /**
+   * Delay until the next round, with jitter applied
+   * @returns {number} Milliseconds
+   */
+  nextDelay() {
+    const spread = this.intervalMs * this.jitterRatio;
+    return Math.max(0, Math.round(this.intervalMs + (Math.random() * 2 - 1) * spread));
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    console.log(`⏰ Watch scheduler started (every ~${Math.round(this.intervalMs / 60000)} min)`);
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.stopped) return;
+    this.timer = setTimeout(() => this.runRound(), this.nextDelay());
+  }
+
+  /**
+   * Check every watch once; watches are checked one after another so a
+   * long watchlist does not flood the browser pool
+   */
+  async runRound() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const watches = await listWatches();
+      for (const watch of watches) {
+        if (this.stopped) break;
+        try {
+          await checkWatch(watch.id);
+        } catch (error) {
+          console.error(`Watch ${watch.id} check failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Watch scheduler round failed:', error.message);
+    } finally {
+      this.running = false;
+      this.schedule();
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+const watchScheduler = new WatchScheduler({
+  intervalMs: (parseFloat(process.env.WATCH_INTERVAL_MINUTES) || 60) * 60000,
+  jitterRatio: process.env.WATCH_JITTER_RATIO !== undefined ? parseFloat(process.env.WATCH_JITTER_RATIO) : 0.1
+});
+
+export default watchScheduler;
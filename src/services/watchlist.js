@@ -0,0 +1,270 @@
+import { randomUUID } from 'node:crypto';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { postWebhook } from '../utils/webhook.js';
+import { getPlatform, listPlatforms } from '../scrapers/registry.js';
+import { extractNameFromLink } from './linkNameExtractor.js';
+import { getUnifiedProductName } from '../controllers/unifyname.js';
+import { parseProductUrl } from '../scrapers/productUrl.js';
+
+const store = new JsonFileStore(
+  process.env.WATCHLIST_FILE || 'data/watchlist.json',
+  () => ({ version: 1, watches: [] })
+);
+
+/**
+ * A price watch. Amounts are paise, like everywhere else in the API.
+ *
+ * @typedef {Object} Watch
+ * @property {string} id
+ * @property {string|null} productLink
+ * @property {string|null} productName
+ * @property {string[]} platforms - Platform ids to re-scrape
+ * @property {number|null} targetPrice - Alert at or below this price
+ * @property {number|null} dropPercent - Alert when the price falls this far below the baseline
+ * @property {string|null} webhookUrl - Falls back to WATCHLIST_WEBHOOK_URL
+ * @property {string} createdAt
+ * @property {string|null} lastCheckedAt
+ * @property {Object<string, Object>} state - Per platform: baseline, lastPrice, alertedPrice, lastError
+ */
+
+/**
+ * Create and store a watch
+ * @param {Object} input - Validated watch fields
+ * @returns {Promise<Watch>} The stored watch
+ */
+export async function createWatch({ productLink = null, productName = null, platforms, targetPrice = null, dropPercent = null, webhookUrl = null }) {
+  // A link points at one store; default to that store, or to every store for a name
+  const linkPlatform = productLink ? extractNameFromLink(productLink).platform : null;
+  const watchPlatforms = platforms && platforms.length > 0
+    ? platforms
+    : linkPlatform ? [linkPlatform] : listPlatforms().map(platform => platform.id);
+
+  const watch = {
+    id: randomUUID(),
+    productLink,
+    productName,
+    platforms: watchPlatforms,
+    targetPrice,
+    dropPercent,
+    webhookUrl,
+    createdAt: new Date().toISOString(),
+    lastCheckedAt: null,
+    state: {}
+  };
+
+  await store.update(data => {
+    data.watches.push(watch);
+  });
+
+  return watch;
+}
+
+/**
+ * All watches
+ * @returns {Promise<Watch[]>}
+ */
+export async function listWatches() {
+  const data = await store.read();
+  return data.watches;
+}
+
+/**
+ * One watch by id
+ * @param {string} id - Watch id
+ * @returns {Promise<Watch|undefined>}
+ */
+export async function getWatch(id) {
+  const data = await store.read();
+  return data.watches.find(watch => watch.id === id);
+}
+
+/**
+ * Delete a watch
+ * @param {string} id - Watch id
+ * @returns {Promise<boolean>} True if a watch was removed
+ */
+export async function deleteWatch(id) {
+  return store.update(data => {
+    const before = data.watches.length;
+    data.watches = data.watches.filter(watch => watch.id !== id);
+    return data.watches.length < before;
+  });
+}
+
+/**
+ * Does a price cross the watch's threshold?
+ * @param {Watch} watch - Watch
+ * @param {number} price - Current price in paise
+ * @param {number|null} baseline - First price seen for this platform
+ * @returns {boolean}
+ */
+export function crossesThreshold(watch, price, baseline) {
+  if (watch.targetPrice !== null && price <= watch.targetPrice) return true;
+  if (watch.dropPercent !== null && baseline) {
+    return price <= baseline * (1 - watch.dropPercent / 100);
+  }
+  return false;
+}
+
+/**
+ * Decide whether a crossing should alert. The same drop is alerted once:
+ * only a lower price re-alerts, and leaving the threshold re-arms the watch.
+ * @param {Object} state - Platform state of the watch (mutated)
+ * @param {boolean} crossed - Result of crossesThreshold
+ * @param {number} price - Current price in paise
+ * @returns {boolean} True if an alert should be sent
+ */
+export function shouldAlert(state, crossed, price) {
+  if (!crossed) {
+    state.alertedPrice = null;
+    return false;
+  }
+  return state.alertedPrice === null || state.alertedPrice === undefined || price < state.alertedPrice;
+}
+
+/**
+ * Work out what to search for on a platform
+ * @param {Watch} watch - Watch
+ * @returns {Promise<string>} Product name
+ */
+async function resolveQuery(watch) {
+  if (watch.productName) return watch.productName;
+  return getUnifiedProductName(watch.productLink);
+}
+
+/**
+ * Re-scrape every platform of a watch, update its state and send alerts
+ * @param {string} id - Watch id
+ * @returns {Promise<Object[]|null>} Per-platform outcome, or null if the watch no longer exists
+ */
+export async function checkWatch(id) {
+  const watch = await getWatch(id);
+  if (!watch) return null;
+
+  const linked = watch.productLink ? parseProductUrl(watch.productLink) : null;
+  // Only stores that are searched need a name; a link without a name slug can still be re-read
+  let query;
+  const outcomes = [];
+
+  for (const platformId of watch.platforms) {
+    const platform = getPlatform(platformId);
+    if (!platform) {
+      outcomes.push({ platform: platformId, success: false, error: 'Unknown platform' });
+      continue;
+    }
+
+    // Re-read the watched page itself on its own store, search the others. A check is
+    // about the price now, so it never takes a cached result.
+    let result;
+    try {
+      if (linked?.platform === platformId) {
+        result = await platform.scrapeUrl(watch.productLink, { fresh: true });
+      } else {
+        query = query || resolveQuery(watch);
+        result = await platform.scrape(await query, { fresh: true });
+      }
+    } catch (error) {
+      outcomes.push({ platform: platformId, success: false, error: error.message });
+      continue;
+    }
+    if (!result.success || result.data.price === null) {
+      outcomes.push({ platform: platformId, success: false, error: result.error || 'No price found' });
+      continue;
+    }
+
+    outcomes.push({ platform: platformId, success: true, product: result.data });
+  }
+
+  const alerts = await store.update(data => {
+    const current = data.watches.find(entry => entry.id === id);
+    if (!current) return [];
+
+    const pending = [];
+    current.lastCheckedAt = new Date().toISOString();
+
+    for (const outcome of outcomes) {
+      const state = current.state[outcome.platform] || { baseline: null, lastPrice: null, alertedPrice: null };
+      current.state[outcome.platform] = state;
+
+      if (!outcome.success) {
+        state.lastError = outcome.error;
+        continue;
+      }
+
+      const { price } = outcome.product;
+      state.lastError = null;
+      state.baseline = state.baseline ?? price;
+      state.lastPrice = price;
+
+      const crossed = crossesThreshold(current, price, state.baseline);
+      if (shouldAlert(state, crossed, price)) {
+        // Recorded before sending so a slow webhook cannot cause a duplicate
+        pending.push({
+          watch: { ...current },
+          product: outcome.product,
+          baseline: state.baseline,
+          previousAlertedPrice: state.alertedPrice ?? null
+        });
+        state.alertedPrice = price;
+      }
+    }
+
+    return pending;
+  });
+
+  for (const alert of alerts) {
+    if (!(await sendAlert(alert))) {
+      // Undelivered: forget it so the next check tries again
+      await store.update(data => {
+        const current = data.watches.find(entry => entry.id === id);
+        if (current && current.state[alert.product.platform]) {
+          current.state[alert.product.platform].alertedPrice = alert.previousAlertedPrice;
+        }
+      });
+    }
+  }
+
+  return outcomes.map(outcome => ({
+    ...outcome,
+    alerted: alerts.some(alert => alert.product.platform === outcome.platform)
+  }));
+}
+
+/**
+ * POST a price-drop alert to the watch's webhook
+ * @param {Object} alert - { watch, product, baseline }
+ * @returns {Promise<boolean>} False if the alert could not be delivered
+ */
+async function sendAlert({ watch, product, baseline }) {
+  const url = watch.webhookUrl || process.env.WATCHLIST_WEBHOOK_URL;
+  if (!url) {
+    console.warn(`Watch ${watch.id} crossed its threshold but has no webhook URL`);
+    return true;
+  }
+
+  const payload = {
+    type: 'price-drop',
+    watchId: watch.id,
+    platform: product.platform,
+    title: product.title,
+    productLink: product.productLink,
+    currency: product.currency,
+    price: product.price,
+    baseline,
+    targetPrice: watch.targetPrice,
+    dropPercent: watch.dropPercent,
+    detectedAt: new Date().toISOString()
+  };
+
+  try {
+    await postWebhook(url, payload, {
+      // Lets the receiver drop a repeat delivery of the same drop
+      headers: { 'Idempotency-Key': `${watch.id}:${product.platform}:${product.price}` }
+    });
+    console.log(`🔔 Alert sent for watch ${watch.id} (${product.platform} at ${product.price} paise)`);
+    return true;
+  } catch (error) {
+    console.error(`Could not deliver alert for watch ${watch.id}:`, error.message);
+    return false;
+  }
+}
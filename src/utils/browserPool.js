@@ -0,0 +1,228 @@
+import puppeteer from 'puppeteer';
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: 'new', // Run in background
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920x1080'
+  ]
+};
+
+/**
+ * Shares one Chromium process between all scrapers and hands out pages,
+ * never more than maxPages at a time. Callers that arrive while the pool
+ * is full wait in a FIFO queue.
+ */
+export class BrowserPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxPages - Maximum number of concurrently open pages
+   * @param {Object} options.launchOptions - Options passed to puppeteer.launch
+   * @param {number} options.acquireTimeout - How long a caller may wait for a free page (ms)
+   */
+  constructor({ maxPages = 3, launchOptions = DEFAULT_LAUNCH_OPTIONS, acquireTimeout = 120000 } = {}) {
+    this.maxPages = maxPages;
+    this.launchOptions = launchOptions;
+    this.acquireTimeout = acquireTimeout;
+
+    this.browser = null;
+    this.launching = null;
+    this.activePages = new Set();
+    // Pages opened behind a proxy live in their own browser context: page → context
+    this.contexts = new Map();
+    this.slotsInUse = 0;
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Return the shared browser, launching (or relaunching after a crash) if needed
+   * @returns {Promise<Browser>} Puppeteer browser
+   */
+  async getBrowser() {
+    if (this.closed) {
+      throw new Error('Browser pool is shut down');
+    }
+    if (this.browser && this.browser.connected) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      console.log('🚀 Launching shared browser');
+      this.launching = puppeteer.launch(this.launchOptions)
+        .then(browser => {
+          browser.on('disconnected', () => {
+            // Crashed or killed: drop it so the next page gets a fresh browser
+            if (this.browser === browser) {
+              console.warn('⚠️  Shared browser disconnected, it will be relaunched on next use');
+              this.browser = null;
+            }
+          });
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Reserve a slot, waiting in the queue while the pool is full
+   * @param {AbortSignal} [signal] - Leave the queue when aborted
+   * @returns {Promise<void>}
+   */
+  reserveSlot(signal) {
+    if (this.closed) {
+      return Promise.reject(new Error('Browser pool is shut down'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Stopped waiting for a free browser page'));
+    }
+
+    if (this.slotsInUse < this.maxPages) {
+      this.slotsInUse += 1;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const leave = error => {
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', waiter.onAbort);
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        reject(error);
+      };
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', waiter.onAbort);
+          resolve();
+        },
+        reject: leave,
+        onAbort: () => leave(new Error('Stopped waiting for a free browser page'))
+      };
+      waiter.timer = setTimeout(() => {
+        leave(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a free browser page`));
+      }, this.acquireTimeout);
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Give a slot back, handing it straight to the next caller in the queue
+   */
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.slotsInUse -= 1;
+    }
+  }
+
+  /**
+   * Open a new page in the shared browser
+   * @param {Object} options
+   * @param {Object} options.proxy - Proxy to send the page's traffic through (see networkIdentity.js);
+   *   the page then gets a browser context of its own
+   * @param {AbortSignal} [options.signal] - Stop waiting for a free page when aborted
+   * @returns {Promise<Page>} Puppeteer page; hand it back with release()
+   */
+  async acquire({ proxy, signal } = {}) {
+    await this.reserveSlot(signal);
+
+    let context = null;
+    try {
+      const browser = await this.getBrowser();
+      if (proxy) {
+        context = await browser.createBrowserContext({ proxyServer: `${proxy.protocol}//${proxy.host}:${proxy.port}` });
+      }
+
+      const page = await (context || browser).newPage();
+      if (proxy?.username) {
+        await page.authenticate({ username: proxy.username, password: proxy.password || '' });
+      }
+
+      this.activePages.add(page);
+      if (context) this.contexts.set(page, context);
+      return page;
+    } catch (error) {
+      await context?.close().catch(() => {});
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * Close a page obtained from acquire() and free its slot
+   * @param {Page} page - Puppeteer page
+   */
+  async release(page) {
+    if (!this.activePages.delete(page)) return;
+
+    const context = this.contexts.get(page);
+    this.contexts.delete(page);
+
+    try {
+      if (!page.isClosed()) {
+        await page.close();
+      }
+      await context?.close();
+    } catch (error) {
+      // Page died with its browser; nothing left to close
+      console.warn('Could not close page:', error.message);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Run a task with a pooled page, always returning the page afterwards
+   * @param {Function} task - async (page) => result
+   * @returns {Promise<*>} Whatever the task returns
+   */
+  async withPage(task) {
+    const page = await this.acquire();
+    try {
+      return await task(page);
+    } finally {
+      await this.release(page);
+    }
+  }
+
+  /**
+   * Reject queued callers, close open pages and the browser
+   */
+  async shutdown() {
+    this.closed = true;
+
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shut down'));
+    }
+
+    const browser = this.browser || (this.launching ? await this.launching.catch(() => null) : null);
+    this.browser = null;
+    this.activePages.clear();
+    this.contexts.clear();
+
+    if (browser) {
+      console.log('🛑 Closing shared browser');
+      await browser.close().catch(error => console.warn('Could not close browser:', error.message));
+    }
+  }
+}
+
+const browserPool = new BrowserPool({
+  maxPages: parseInt(process.env.BROWSER_MAX_PAGES, 10) || 3,
+  acquireTimeout: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS, 10) || 120000
+});
+
+export default browserPool;
@@ -0,0 +1,28 @@
+/**
+ * Set X-Cache and Cache-Control from the cache info of one or more scrape results.
+ * Several results (a comparison) report HIT only when every one was a hit,
+ * and may be cached only as long as the entry expiring first.
+ * @param {import('express').Response} res - Express response
+ * @param {Object[]} results - Scrape outputs with meta.cache
+ */
+export function setCacheHeaders(res, results) {
+  const caches = results.map(result => result?.meta?.cache).filter(Boolean);
+  const allSucceeded = results.length > 0 && results.every(result => result && result.success);
+
+  if (caches.length === 0) {
+    res.set("Cache-Control", "no-store");
+    return;
+  }
+
+  const statuses = new Set(caches.map(cache => cache.status));
+  res.set("X-Cache", statuses.size === 1 ? [...statuses][0] : "PARTIAL");
+
+  if (!allSucceeded) {
+    res.set("Cache-Control", "no-store");
+    return;
+  }
+
+  const expiresAt = Math.min(...caches.map(cache => new Date(cache.expiresAt).getTime()));
+  const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+  res.set("Cache-Control", `public, max-age=${maxAge}`);
+}
@@ -0,0 +1,52 @@
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with commas,
+ * escaped quotes ("") and line breaks; blank lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of trimmed cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
@@ -0,0 +1,68 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Small embedded store that keeps one JSON document in memory and on disk.
+ * Updates are applied one at a time and written atomically (temp file +
+ * rename), so a crash mid-write never leaves a truncated file behind.
+ */
+export class JsonFileStore {
+  /**
+   * @param {string} filePath - Where the document lives
+   * @param {() => Object} createEmpty - Builds the document used when the file does not exist yet
+   */
+  constructor(filePath, createEmpty) {
+    this.filePath = path.resolve(filePath);
+    this.createEmpty = createEmpty;
+    this.data = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Load the document, from memory after the first call
+   * @returns {Promise<Object>} The document; treat as read-only outside update()
+   */
+  async read() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read ${this.filePath}: ${error.message}`);
+      }
+      this.data = this.createEmpty();
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Apply a change to the document and persist it
+   * @param {(data: Object) => *} mutator - Modifies the document in place; its return value is passed through
+   * @returns {Promise<*>} Whatever the mutator returned
+   */
+  update(mutator) {
+    const run = this.queue.then(async () => {
+      const data = await this.read();
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    });
+
+    // Keep the chain alive after a failed update
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write the document to disk atomically
+   * @param {Object} data - Document to write
+   */
+  async write(data) {
+    await mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    await writeFile(tempFile, JSON.stringify(data, null, 2));
+    await rename(tempFile, this.filePath);
+  }
+}
@@ -0,0 +1,83 @@
+import http from 'node:http';
+import https from 'node:https';
+import tls from 'node:tls';
+
+/**
+ * Route axios requests through an HTTP(S) forward proxy. Every target goes
+ * through a CONNECT tunnel, as Chromium does for HTTPS, so the proxy never
+ * sees the request itself and credentials stay in the Proxy-Authorization
+ * header of the CONNECT.
+ *
+ * A proxy is { id, protocol: 'http:'|'https:', host, port, username?, password? }
+ * (see networkIdentity.js).
+ */
+
+// Connecting to the proxy and opening the tunnel
+const TUNNEL_TIMEOUT_MS = 15000;
+
+/**
+ * Proxy-Authorization header value for a proxy with credentials
+ * @param {Object} proxy - Proxy
+ * @returns {string|null} Basic credentials, or null without a username
+ */
+export function proxyAuthorization(proxy) {
+  if (!proxy.username) return null;
+  return `Basic ${Buffer.from(`${proxy.username}:${proxy.password || ''}`).toString('base64')}`;
+}
+
+/**
+ * Open a CONNECT tunnel through the proxy to host:port
+ * @param {Object} proxy - Proxy
+ * @param {string} host - Target host
+ * @param {number} port - Target port
+ * @returns {Promise<import('node:net').Socket>} Socket connected to the target
+ */
+export function openTunnel(proxy, host, port) {
+  return new Promise((resolve, reject) => {
+    const authorization = proxyAuthorization(proxy);
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.host,
+      port: proxy.port,
+      method: 'CONNECT',
+      path: `${host}:${port}`,
+      headers: { Host: `${host}:${port}`, ...(authorization && { 'Proxy-Authorization': authorization }) },
+      agent: false,
+      timeout: TUNNEL_TIMEOUT_MS
+    });
+
+    request.once('connect', (response, socket) => {
+      if (response.statusCode === 200) {
+        resolve(socket);
+        return;
+      }
+      socket.destroy();
+      const error = new Error(`Proxy ${proxy.id} refused the tunnel to ${host}:${port} (HTTP ${response.statusCode})`);
+      error.code = response.statusCode === 407 ? 'EPROXYAUTH' : 'EPROXYREFUSED';
+      reject(error);
+    });
+    request.once('timeout', () => request.destroy(new Error(`Proxy ${proxy.id} did not answer within ${TUNNEL_TIMEOUT_MS}ms`)));
+    request.once('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Agents for plain and TLS targets that connect through the proxy
+ * @param {Object} proxy - Proxy
+ * @returns {{ httpAgent: http.Agent, httpsAgent: https.Agent }} Pass both to axios with proxy: false
+ */
+export function createProxyAgents(proxy) {
+  // Agents accept a callback instead of a returned socket, which lets the tunnel open first
+  const httpAgent = new http.Agent();
+  httpAgent.createConnection = (options, callback) => {
+    openTunnel(proxy, options.host, options.port).then(socket => callback(null, socket), callback);
+  };
+
+  const httpsAgent = new https.Agent();
+  httpsAgent.createConnection = (options, callback) => {
+    openTunnel(proxy, options.host, options.port)
+      .then(socket => callback(null, tls.connect({ ...options, socket })), callback);
+  };
+
+  return { httpAgent, httpsAgent };
+}
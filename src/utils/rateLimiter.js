@@ -0,0 +1,37 @@
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Spaces out work so that consecutive starts are at least intervalMs apart.
+ * Callers are given slots in the order they ask for them.
+ */
+export class RateLimiter {
+  /**
+   * @param {number} intervalMs - Minimum gap between two starts
+   */
+  constructor(intervalMs) {
+    this.intervalMs = intervalMs;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Resolve once the caller may start
+   * @returns {Promise<void>}
+   */
+  async wait() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+
+    if (slot > now) {
+      await delay(slot - now);
+    }
+  }
+
+  /**
+   * Hold back every caller that has not got a slot yet for a while
+   * @param {number} ms - How long from now to hand out no slots
+   */
+  pause(ms) {
+    this.nextSlot = Math.max(this.nextSlot, Date.now() + ms);
+  }
+}
@@ -0,0 +1,274 @@
+import { SCRAPE_MODES } from "../scrapers/adapter.js";
+import networkIdentity from "../services/networkIdentity.js";
+import { canonicalDimension } from "../scrapers/variants.js";
+import { BANK_NAMES, parsePaymentProfile } from "../services/offers.js";
+
+// Upper bound for limit, each detail page adds several seconds
+export const MAX_RESULTS = 20;
+
+/**
+ * Read an optional positive integer from a JSON body or query string value
+ * @param {*} value - Raw value
+ * @returns {number|null|undefined} The integer, undefined when absent, null when invalid
+ */
+function parseCount(value) {
+  if (value === undefined || value === "") return undefined;
+  const count = typeof value === "string" ? Number(value) : value;
+  return Number.isInteger(count) && count >= 0 && count <= MAX_RESULTS ? count : null;
+}
+
+/**
+ * Read a boolean flag from a JSON body (true) or query string ("true")
+ * @param {*} value - Raw value
+ * @returns {boolean}
+ */
+function parseFlag(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Read an optional scrape mode (auto, http or browser)
+ * @param {*} value - Raw value
+ * @returns {string|null|undefined} The mode, undefined when absent, null when invalid
+ */
+export function parseMode(value) {
+  if (value === undefined || value === "") return undefined;
+  return SCRAPE_MODES.includes(value) ? value : null;
+}
+
+export const MODE_ERROR = `mode must be one of ${SCRAPE_MODES.join(", ")}`;
+
+/**
+ * Read optional proxy and profile overrides; both must be configured ids, and proxy may be "none"
+ * @param {Object} params - Query string or JSON body
+ * @returns {{ error: string }|{ proxy?: string, profile?: string }}
+ */
+export function parseIdentityParams(params) {
+  const proxy = params.proxy === "" ? undefined : params.proxy;
+  const profile = params.profile === "" ? undefined : params.profile;
+
+  if (proxy !== undefined && proxy !== "none" && !networkIdentity.hasProxy(proxy)) {
+    return { error: "proxy must be a configured proxy id or \"none\"" };
+  }
+  if (profile !== undefined && !networkIdentity.hasProfile(profile)) {
+    return { error: "profile must be a configured profile id" };
+  }
+  return { proxy, profile };
+}
+
+export const VARIANT_ERROR = "variant must map dimensions to options, e.g. { \"storage\": \"256GB\" }";
+
+/**
+ * Read an optional variant: an object, or its JSON in a query string, of
+ * dimension → option label. Dimension names are made canonical ("Colour" → "color").
+ * @param {*} value - Raw value
+ * @returns {Object<string, string>|null|undefined} The variant, undefined when absent, null when invalid
+ */
+export function parseVariant(value) {
+  if (value === undefined || value === "") return undefined;
+
+  let variant = value;
+  if (typeof value === "string") {
+    try {
+      variant = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!variant || typeof variant !== "object" || Array.isArray(variant)) return null;
+
+  const entries = Object.entries(variant);
+  if (entries.length === 0 || entries.some(([name, label]) => !name.trim() || typeof label !== "string" || !label.trim())) {
+    return null;
+  }
+  // Sorted so that the same variant always makes the same cache key
+  return Object.fromEntries(entries
+    .map(([name, label]) => [canonicalDimension(name), label.trim()])
+    .sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export const PAYMENT_ERROR = "payment must be a phrase such as \"HDFC credit card, no exchange\" or " +
+  `{ bank, cardType, coupons, cashback, exchange } with bank one of ${BANK_NAMES.join(", ")}`;
+
+/**
+ * Read an optional payment profile: an object, its JSON in a query string,
+ * or a phrase such as "HDFC credit card, no exchange"
+ * @param {*} value - Raw value
+ * @returns {Object|null|undefined} The profile, undefined when absent, null when invalid
+ */
+export function parsePayment(value) {
+  if (value === undefined || value === "") return undefined;
+
+  let payment = value;
+  if (typeof value === "string" && value.trim().startsWith("{")) {
+    try {
+      payment = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return parsePaymentProfile(payment);
+}
+
+export const PINCODE_ERROR = "pincode must be a six-digit Indian pincode";
+
+/**
+ * Read an optional delivery pincode, a string or a number in a JSON body
+ * @param {*} value - Raw value
+ * @returns {string|null|undefined} The pincode, undefined when absent, null when invalid
+ */
+export function parsePincode(value) {
+  if (value === undefined || value === "") return undefined;
+  const pincode = typeof value === "number" ? String(value) : value;
+  return typeof pincode === "string" && /^[1-9]\d{5}$/.test(pincode.trim()) ? pincode.trim() : null;
+}
+
+/**
+ * Validate the parameters of a single-platform scrape: a productName to
+ * search for, or the link of a product page to open directly
+ * @param {Object} params - Query string or JSON body
+ * @returns {{ error: string }|{ productName?: string, link?: string, options: Object }}
+ */
+export function parseScrapeParams(params) {
+  const { productName, link } = params;
+  const mode = parseMode(params.mode);
+  if (mode === null) {
+    return { error: MODE_ERROR };
+  }
+  const identity = parseIdentityParams(params);
+  if (identity.error) {
+    return identity;
+  }
+  const { proxy, profile } = identity;
+  const variant = parseVariant(params.variant);
+  if (variant === null) {
+    return { error: VARIANT_ERROR };
+  }
+  const payment = parsePayment(params.payment);
+  if (payment === null) {
+    return { error: PAYMENT_ERROR };
+  }
+  const pincode = parsePincode(params.pincode);
+  if (pincode === null) {
+    return { error: PINCODE_ERROR };
+  }
+
+  if (link !== undefined) {
+    if (!link || typeof link !== "string") {
+      return { error: "link must be a product URL" };
+    }
+    if (params.limit !== undefined && params.limit !== "") {
+      return { error: "limit cannot be combined with link" };
+    }
+    return {
+      link,
+      options: {
+        display: parseFlag(params.display),
+        fresh: parseFlag(params.fresh),
+        mode,
+        proxy,
+        profile,
+        variant,
+        payment,
+        sellers: parseFlag(params.sellers),
+        pincode
+      }
+    };
+  }
+
+  if (productName !== undefined && typeof productName !== "string") {
+    return { error: "productName must be a string" };
+  }
+  if (!productName || !productName.trim()) {
+    return { error: "productName or link is required" };
+  }
+
+  const limit = parseCount(params.limit);
+  const detailLimit = parseCount(params.detailLimit);
+  if (limit === null || limit === 0) {
+    return { error: `limit must be an integer between 1 and ${MAX_RESULTS}` };
+  }
+  if (detailLimit === null || (detailLimit !== undefined && (!limit || detailLimit > limit))) {
+    return { error: "detailLimit must be an integer no greater than limit" };
+  }
+
+  return {
+    productName,
+    options: {
+      display: parseFlag(params.display),
+      limit,
+      detailLimit,
+      fresh: parseFlag(params.fresh),
+      mode,
+      proxy,
+      profile,
+      variant,
+      payment,
+      sellers: parseFlag(params.sellers),
+      pincode
+    }
+  };
+}
+
+/**
+ * Validate the parameters of a cross-platform comparison
+ * @param {Object} body - JSON body
+ * @returns {{ error: string }|{ options: Object }} Options ready for compareProducts
+ */
+export function parseCompareParams(body) {
+  const { productName, link, timeoutMs, display, fresh, matchThreshold, excludeMismatches, sellers } = body;
+  const mode = parseMode(body.mode);
+  if (productName !== undefined && typeof productName !== "string") {
+    return { error: "productName must be a string" };
+  }
+  if (link !== undefined && typeof link !== "string") {
+    return { error: "link must be a string" };
+  }
+  if (!productName && !link) {
+    return { error: "productName or link is required" };
+  }
+  if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs <= 0)) {
+    return { error: "timeoutMs must be a positive integer" };
+  }
+  if (matchThreshold !== undefined && (typeof matchThreshold !== "number" || matchThreshold < 0 || matchThreshold > 1)) {
+    return { error: "matchThreshold must be a number between 0 and 1" };
+  }
+  if (mode === null) {
+    return { error: MODE_ERROR };
+  }
+  const identity = parseIdentityParams(body);
+  if (identity.error) {
+    return identity;
+  }
+  const variant = parseVariant(body.variant);
+  if (variant === null) {
+    return { error: VARIANT_ERROR };
+  }
+  const payment = parsePayment(body.payment);
+  if (payment === null) {
+    return { error: PAYMENT_ERROR };
+  }
+  const pincode = parsePincode(body.pincode);
+  if (pincode === null) {
+    return { error: PINCODE_ERROR };
+  }
+
+  return {
+    options: {
+      productName,
+      link,
+      timeoutMs,
+      display: display === true,
+      fresh: fresh === true,
+      mode,
+      proxy: identity.proxy,
+      profile: identity.profile,
+      variant,
+      payment,
+      sellers: sellers === true,
+      pincode,
+      matchThreshold,
+      excludeMismatches: excludeMismatches === true
+    }
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean}
+ */
+export function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
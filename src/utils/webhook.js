@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST a JSON payload to a webhook, retrying with exponential backoff on
+ * network errors, 429 and 5xx responses
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ * @param {Object} options
+ * @param {number} options.retries - Attempts after the first one
+ * @param {number} options.backoffMs - Delay before the first retry, doubled each time
+ * @param {number} options.timeout - Per-attempt timeout (ms)
+ * @param {Object} options.headers - Extra request headers, e.g. an idempotency key
+ * @returns {Promise<{ status: number, attempts: number }>}
+ */
+export async function postWebhook(url, payload, { retries = 3, backoffMs = 1000, timeout = 10000, headers = {} } = {}) {
+  let attempt = 0;
+
+  for (;;) {
+    attempt += 1;
+    try {
+      const response = await axios.post(url, payload, {
+        timeout,
+        headers: { 'Content-Type': 'application/json', ...headers }
+      });
+      return { status: response.status, attempts: attempt };
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = !status || status === 429 || status >= 500;
+
+      if (!retryable || attempt > retries) {
+        throw new Error(`Webhook ${url} failed after ${attempt} attempt(s): ${error.message}`);
+      }
+
+      console.warn(`Webhook attempt ${attempt} failed (${status || error.code}), retrying`);
+      await delay(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+}
@@ -0,0 +1,119 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import compareProducts from '../../src/controllers/compareController.js';
+import { getPlatform } from '../../src/scrapers/registry.js';
+import { setNameProvider } from '../../src/services/nameProviders/index.js';
+
+// Names come from the link alone
+setNameProvider(null);
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const TITLE = 'Apple iPhone 15 (Black, 128 GB)';
+
+/**
+ * Answer a platform's scrapes without opening the store
+ * @param {string} id - Platform id
+ * @param {(kind: string, input: string, options: Object) => Object|Promise<Object>} answer - Result for a search or link scrape
+ * @returns {Object[]} The calls made: [kind, input]
+ */
+function fakeScrapes(id, answer) {
+  const platform = getPlatform(id);
+  const calls = [];
+  platform.scrape = async (query, options) => {
+    calls.push(['search', query]);
+    return answer('search', query, options);
+  };
+  platform.scrapeUrl = async (link, options) => {
+    calls.push(['link', link]);
+    return answer('link', link, options);
+  };
+  return calls;
+}
+
+/**
+ * A successful scrape of the phone at a price
+ * @param {string} id - Platform id
+ * @param {number} price - Paise
+ * @param {Object} data - Extra product fields
+ * @returns {Object} Controller result
+ */
+function found(id, price, data = {}) {
+  return { success: true, data: { platform: id, title: TITLE, price, currency: 'INR', productLink: `https://${id}.example/p`, ...data } };
+}
+
+test('results are ranked by price, the cheapest is flagged and a failing store gets an error entry', async () => {
+  fakeScrapes('amazon', () => found('amazon', 7000000));
+  fakeScrapes('flipkart', () => found('flipkart', 6500000));
+  fakeScrapes('myntra', () => ({ success: false, error: 'Myntra answered HTTP 503', code: 'BLOCKED', retryable: true }));
+
+  const streamed = [];
+  const comparison = await compareProducts({ productName: 'iPhone 15 128GB', onPlatformResult: entry => streamed.push(entry.platform) });
+
+  assert.equal(comparison.success, true);
+  assert.deepEqual(comparison.results.map(({ platform, success, effectivePrice, isCheapest }) => [platform, success, effectivePrice, isCheapest]), [
+    ['Flipkart', true, 6500000, true],
+    ['Amazon', true, 7000000, false],
+    ['Myntra', false, undefined, undefined]
+  ]);
+  assert.deepEqual(comparison.cheapest, { platform: 'Flipkart', price: 6500000, currency: 'INR', productLink: 'https://flipkart.example/p' });
+  assert.deepEqual(comparison.results[2], {
+    platform: 'Myntra', success: false, error: 'Myntra answered HTTP 503', code: 'BLOCKED', retryable: true, meta: undefined
+  });
+  assert.deepEqual(streamed.sort(), ['Amazon', 'Flipkart', 'Myntra']);
+});
+
+test('a store that throws or runs out of time fails alone; without a price nothing is cheapest', async () => {
+  fakeScrapes('amazon', () => {
+    throw new Error('Browser crashed');
+  });
+  let signal;
+  fakeScrapes('flipkart', (kind, input, options) => {
+    signal = options.signal;
+    return new Promise(() => {});
+  });
+  fakeScrapes('myntra', () => found('myntra', null));
+
+  const comparison = await compareProducts({ productName: 'iPhone 15 128GB', timeoutMs: 50 });
+  assert.deepEqual(comparison.results.map(({ platform, success, error, code }) => [platform, success, error, code]), [
+    ['Myntra', true, undefined, undefined],
+    ['Amazon', false, 'Browser crashed', 'SCRAPE_FAILED'],
+    ['Flipkart', false, 'Flipkart timed out after 50ms', 'SCRAPE_FAILED']
+  ]);
+  // The scrape is told to stop rather than left running
+  assert.equal(signal.aborted, true);
+  assert.equal(comparison.cheapest, null);
+});
+
+test('a store that cannot deliver or sells something else is not the cheapest', async () => {
+  fakeScrapes('amazon', () => found('amazon', 6000000, { shipping: { serviceable: false } }));
+  fakeScrapes('flipkart', () => found('flipkart', 5000000, { title: 'Apple iPhone 14 (Black, 128 GB)' }));
+  fakeScrapes('myntra', () => found('myntra', 6900000));
+
+  const comparison = await compareProducts({ productName: 'iPhone 15 128GB', pincode: '560001' });
+  assert.deepEqual(comparison.results.map(entry => [entry.platform, entry.isCheapest, entry.match.matched]), [
+    ['Flipkart', false, false],
+    ['Amazon', false, true],
+    ['Myntra', true, true]
+  ]);
+  assert.equal(comparison.cheapest.platform, 'Myntra');
+
+  const strict = await compareProducts({ productName: 'iPhone 15 128GB', excludeMismatches: true });
+  assert.deepEqual(strict.results.map(entry => entry.platform), ['Amazon', 'Myntra']);
+  assert.deepEqual(strict.excluded.map(entry => entry.platform), ['Flipkart']);
+});
+
+test('a link opens its own store\'s page and searches the others for its name', async () => {
+  const link = 'https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY';
+  const amazon = fakeScrapes('amazon', () => found('amazon', 7000000));
+  const flipkart = fakeScrapes('flipkart', () => found('flipkart', 6500000));
+  fakeScrapes('myntra', () => found('myntra', 6600000));
+
+  const comparison = await compareProducts({ link });
+  assert.equal(comparison.query, 'Apple iPhone 15 128 GB');
+  assert.deepEqual(amazon, [['link', link]]);
+  assert.deepEqual(flipkart, [['search', 'Apple iPhone 15 128 GB']]);
+
+  const unnamed = await compareProducts({ link: 'https://www.amazon.in/gp/product/B0CHX1W1XY' });
+  assert.deepEqual(unnamed, { success: false, error: 'Could not derive a product name from the link' });
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import jobsRoutes from '../../src/routes/jobsRoutes.js';
+import jobQueue from '../../src/services/jobQueue.js';
+
+let server;
+let origin;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', jobsRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Open a job's event stream and collect events until the server ends it
+ * @param {string} id - Job id, plus a query string if any
+ * @param {Object} headers - Request headers, e.g. Last-Event-ID
+ * @param {(event: Object) => void} [onEvent] - Called with each event as it arrives
+ * @returns {Promise<{ status: number, events: Object[] }>} Events as { id, type, data }
+ */
+function readEvents(id, headers = {}, onEvent) {
+  return new Promise((resolve, reject) => {
+    http.get(`${origin}/api/jobs/${id.replace(/(\?|$)/, '/events$1')}`, { headers }, res => {
+      const events = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+          if (!fields.id) continue;
+          const event = { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+          events.push(event);
+          onEvent?.(event);
+        }
+      });
+      res.on('end', () => resolve({ status: res.statusCode, events }));
+    }).on('error', reject);
+  });
+}
+
+test('the stream replays missed events after Last-Event-ID, then follows the job until it ends', async () => {
+  let finish;
+  const job = jobQueue.submit('scrape', {}, async context => {
+    context.progress('navigating', { url: 'https://www.amazon.in/s?k=phone' });
+    return new Promise(resolve => { finish = resolve; });
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  // Events 1-3 are queued, running and navigating; the client has seen the first
+  const { status, events } = await readEvents(job.id, { 'Last-Event-ID': '1' }, event => {
+    if (event.id === 3) {
+      jobQueue.addEvent(jobQueue.jobs.get(job.id), 'progress', { stage: 'extracting' });
+      finish({ success: true });
+    }
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(events.map(event => [event.id, event.type, event.data.stage ?? event.data.status]), [
+    [2, 'status', 'running'],
+    [3, 'progress', 'navigating'],
+    [4, 'progress', 'extracting'],
+    [5, 'completed', 'done']
+  ]);
+  assert.equal(jobQueue.listenerCount(job.id), 0);
+});
+
+test('a finished job replays its log and closes; unknown jobs are 404', async () => {
+  const job = jobQueue.submit('compare', {}, async () => {
+    throw new Error('Comparison failed');
+  });
+  await new Promise(resolve => jobQueue.on(job.id, event => event.type === 'failed' && resolve()));
+
+  const all = await readEvents(job.id);
+  assert.deepEqual(all.events.map(event => event.type), ['status', 'status', 'failed']);
+
+  assert.deepEqual((await readEvents(job.id, { 'Last-Event-ID': '2' })).events.map(event => event.id), [3]);
+  // For clients that cannot set headers
+  assert.deepEqual((await readEvents(`${job.id}?lastEventId=3`)).events, []);
+
+  assert.equal((await readEvents('no-such-job')).status, 404);
+
+  const polled = await (await fetch(`${origin}/api/jobs/${job.id}?events=true`)).json();
+  assert.equal(polled.data.status, 'failed');
+  assert.equal(polled.data.events.length, 3);
+  assert.equal(polled.data.links.events, `/api/jobs/${job.id}/events`);
+});
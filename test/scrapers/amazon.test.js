@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import amazonAdapter from '../../src/scrapers/adapters/amazon.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { PlatformScraper } from '../../src/scrapers/platformScraper.js';
+import { StaticPage } from '../../src/scrapers/staticPage.js';
+import { createProduct } from '../../src/scrapers/productSchema.js';
+import scraperHealth from '../../src/services/scraperHealth.js';
+
+const adapter = validateAdapter(amazonAdapter);
+const scraper = new PlatformScraper(adapter);
+
+const loadPage = async name =>
+  new StaticPage(await readFile(new URL(`../fixtures/amazon/${name}.html`, import.meta.url), 'utf8'));
+
+test('search: skips sponsored and link-less tiles and picks the first organic product', async () => {
+  const page = await loadPage('search');
+
+  assert.equal(
+    await scraper.findFirstNonSponsoredProduct(page),
+    'https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=sr_1_2?keywords=iphone+15'
+  );
+});
+
+test('search: reads organic tiles in page order', async () => {
+  const results = await scraper.findOrganicResults(await loadPage('search'), 5);
+
+  assert.deepEqual(results.map(result => result.title), [
+    'Apple iPhone 15 (128 GB) - Black',
+    'Apple iPhone 15 (256 GB) - Blue'
+  ]);
+  assert.deepEqual(
+    { price: results[0].price, rating: results[0].rating, totalRatings: results[0].totalRatings },
+    { price: 65999, rating: 4.5, totalRatings: 2143 }
+  );
+});
+
+test('product: extracts price, MRP, rating, offers, seller and availability', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product'));
+
+  assert.equal(details.title, 'Apple iPhone 15 (128 GB) - Black');
+  assert.equal(details.price, 65999);
+  assert.equal(details.mrp, 79900);
+  assert.equal(details.discount, 17);
+  assert.equal(details.rating, 4.5);
+  assert.equal(details.totalRatings, 2143);
+  assert.equal(details.offers.length, 2);
+  assert.match(details.offers[0], /^Bank Offer: Upto ₹4,000\.00 discount/);
+  assert.equal(details.seller, 'Appario Retail Private Ltd');
+  assert.equal(details.availability, 'In stock');
+});
+
+test('product: normalizes into a schema product in paise', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product'));
+  const product = createProduct('amazon', adapter.normalize({
+    ...details,
+    productLink: 'https://www.amazon.in/dp/B0CHX1W1XY'
+  }));
+
+  assert.equal(product.productId, 'B0CHX1W1XY');
+  assert.equal(product.price, 6599900);
+  assert.equal(product.mrp, 7990000);
+  assert.deepEqual(product.rating, { stars: 4.5, totalRatings: 2143, totalReviews: null });
+});
+
+test('product: out of stock page has no price and reports the unavailability', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product-out-of-stock'));
+
+  assert.equal(details.title, 'Apple iPhone 15 Plus (512 GB) - Pink');
+  assert.equal(details.price, null);
+  assert.equal(details.mrp, null);
+  assert.equal(details.discount, null);
+  assert.equal(details.availability, 'Currently unavailable.');
+});
+
+test('product: missing MRP leaves MRP and discount empty', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product-no-mrp'));
+
+  assert.equal(details.price, 1099);
+  assert.equal(details.mrp, null);
+  assert.equal(details.discount, null);
+  assert.equal(details.totalRatings, 312456);
+});
+
+test('extraction: a page without a price is flagged degraded unless it is out of stock', async () => {
+  const html = await readFile(new URL('../fixtures/amazon/product-out-of-stock.html', import.meta.url), 'utf8');
+  const pageScraper = new PlatformScraper(adapter);
+  await pageScraper.extractProductDetails(new StaticPage(html.replace('Currently unavailable.', 'In stock')));
+
+  const meta = pageScraper.extractionMeta();
+  assert.equal(meta.degraded, true);
+  assert.deepEqual(meta.missing, ['product.price']);
+  assert.equal(meta.selectors.title, 0);
+  assert.equal(meta.selectors.price, null);
+
+  // No price is what an out-of-stock page says, not a broken selector
+  const outOfStock = new PlatformScraper(adapter);
+  await outOfStock.extractProductDetails(await loadPage('product-out-of-stock'));
+  assert.equal(outOfStock.extractionMeta().degraded, false);
+  scraperHealth.reset();
+  outOfStock.reportHealth();
+  const { fields } = scraperHealth.report().platforms.amazon;
+  assert.equal(fields['product.title'].samples, 1);
+  assert.equal(fields['product.price'], undefined);
+});
+
+test('extraction: records which fallback selector supplied each field', async () => {
+  const pageScraper = new PlatformScraper(adapter);
+  await pageScraper.extractProductDetails(await loadPage('product'));
+
+  const meta = pageScraper.extractionMeta();
+  assert.equal(meta.degraded, false);
+  assert.deepEqual(meta.missing, []);
+  assert.equal(typeof meta.selectors.price, 'number');
+  assert.ok(Number.isInteger(meta.selectorVersion));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import amazonAdapter from '../../src/scrapers/adapters/amazon.js';
+import flipkartAdapter from '../../src/scrapers/adapters/flipkart.js';
+import myntraAdapter from '../../src/scrapers/adapters/myntra.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { PlatformScraper } from '../../src/scrapers/platformScraper.js';
+import { StaticPage } from '../../src/scrapers/staticPage.js';
+import { createProduct } from '../../src/scrapers/productSchema.js';
+import { parseDeliveryCharge, parseDeliveryDate, parseShipping } from '../../src/scrapers/delivery.js';
+import { parsePincode } from '../../src/utils/requestParams.js';
+
+const loadPage = async name => new StaticPage(await readFile(new URL(`../fixtures/${name}.html`, import.meta.url), 'utf8'));
+
+// The fixtures were saved on a Sunday in October 2024
+const now = new Date(2024, 9, 20);
+
+const shippingOf = async (adapter, fixture) => {
+  const details = await new PlatformScraper(validateAdapter(adapter)).extractProductDetails(await loadPage(fixture));
+  return parseShipping(details, now);
+};
+
+test('delivery dates in the ways stores write them', () => {
+  assert.equal(parseDeliveryDate('FREE delivery Thursday, 24 October', now), '2024-10-24');
+  assert.equal(parseDeliveryDate('Delivery by 24 Oct, Thursday', now), '2024-10-24');
+  assert.equal(parseDeliveryDate('Get it by Thu, Oct 24', now), '2024-10-24');
+  assert.equal(parseDeliveryDate('Delivery Tomorrow', now), '2024-10-21');
+  // No year on the page: early January is next year's
+  assert.equal(parseDeliveryDate('Delivery by 3 Jan', new Date(2024, 11, 28)), '2025-01-03');
+  assert.equal(parseDeliveryDate('Delivery in 2 days', now), null);
+
+  assert.equal(parseDeliveryCharge('FREE delivery Thursday, 24 October'), 0);
+  assert.equal(parseDeliveryCharge('₹40 delivery charge'), 4000);
+  assert.equal(parseDeliveryCharge('Delivery charges ₹99 for orders below ₹499'), 9900);
+});
+
+test('amazon, flipkart and myntra pages: serviceable, date, charge, COD and return window', async () => {
+  assert.deepEqual(await shippingOf(amazonAdapter, 'amazon/product'), {
+    pincode: null, serviceable: true, estimatedDate: '2024-10-24', charge: 0, cod: true, returnDays: 10
+  });
+  assert.deepEqual(await shippingOf(flipkartAdapter, 'flipkart/product'), {
+    pincode: null, serviceable: true, estimatedDate: '2024-10-24', charge: null, cod: true, returnDays: 7
+  });
+  assert.deepEqual(await shippingOf(myntraAdapter, 'myntra/product'), {
+    pincode: null, serviceable: true, estimatedDate: '2024-10-24', charge: null, cod: true, returnDays: 14
+  });
+});
+
+test('a location the store does not deliver to', () => {
+  const shipping = parseShipping({
+    delivery: null,
+    availability: 'This item cannot be shipped to your selected delivery location. Please choose a different delivery location.',
+    deliveryNotes: ['Cash on Delivery not available', 'No returns'],
+    pincode: '744101'
+  }, now);
+  assert.deepEqual(shipping, { pincode: '744101', serviceable: false, estimatedDate: null, charge: null, cod: false, returnDays: 0 });
+
+  const product = createProduct('amazon', amazonAdapter.normalize({ title: 'Phone', price: 100, pincode: '744101', availability: 'Not deliverable' }));
+  assert.equal(product.shipping.serviceable, false);
+  assert.equal(product.shipping.pincode, '744101');
+});
+
+test('pincodes are six digits and are set in the page, which needs a browser', async () => {
+  assert.equal(parsePincode('560001'), '560001');
+  assert.equal(parsePincode(110001), '110001');
+  assert.equal(parsePincode(undefined), undefined);
+  for (const invalid of ['56001', '056001', 'ABCDEF', true]) {
+    assert.equal(parsePincode(invalid), null);
+  }
+
+  const scraper = new PlatformScraper(validateAdapter(flipkartAdapter), { transport: 'http', pincode: '560001' });
+  await assert.rejects(scraper.setDeliveryLocation(await loadPage('flipkart/product')), { code: 'SCRAPE_FAILED', message: /needs a browser/ });
+});
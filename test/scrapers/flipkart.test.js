@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import flipkartAdapter from '../../src/scrapers/adapters/flipkart.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { PlatformScraper } from '../../src/scrapers/platformScraper.js';
+import { StaticPage } from '../../src/scrapers/staticPage.js';
+import { createProduct } from '../../src/scrapers/productSchema.js';
+
+const adapter = validateAdapter(flipkartAdapter);
+const scraper = new PlatformScraper(adapter);
+
+const loadPage = async name =>
+  new StaticPage(await readFile(new URL(`../fixtures/flipkart/${name}.html`, import.meta.url), 'utf8'));
+
+test('search: skips the "Ad" listing and picks the first organic product', async () => {
+  const link = await scraper.findFirstNonSponsoredProduct(await loadPage('search'));
+
+  assert.equal(
+    link,
+    'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4' +
+      '?pid=MOBGTAGPTB3VS24W&lid=LSTMOBGTAGPTB3VS24WKFODHL&marketplace=FLIPKART&q=iphone+15'
+  );
+});
+
+test('search: nested result containers are returned once', async () => {
+  const results = await scraper.findOrganicResults(await loadPage('search'), 5);
+
+  assert.deepEqual(results.map(result => result.title), [
+    'Apple iPhone 15 (Black, 128 GB)',
+    'Apple iPhone 15 (Blue, 256 GB)'
+  ]);
+  assert.equal(results[0].price, 65999);
+  assert.equal(results[0].rating, 4.6);
+  assert.equal(results[0].totalRatings, 123456);
+});
+
+test('product: extracts price, MRP, ratings, offers, seller, availability and delivery', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product'));
+
+  assert.equal(details.title, 'Apple iPhone 15 (Black, 128 GB)');
+  assert.equal(details.price, 65999);
+  assert.equal(details.mrp, 69900);
+  assert.equal(details.discount, 6);
+  assert.equal(details.rating, 4.6);
+  assert.equal(details.totalRatings, 123456);
+  assert.equal(details.totalReviews, 5432);
+  assert.deepEqual(details.offers, [
+    'Bank Offer5% Unlimited Cashback on Flipkart Axis Bank Credit Card',
+    'Bank Offer₹4000 Off On HDFC Bank Credit Card Transactions',
+    'Special PriceGet extra ₹3901 off (price inclusive of cashback/coupon)',
+    'Partner OfferSign-up for Flipkart Pay Later & get free Times Prime Benefits worth ₹20,000*'
+  ]);
+  assert.equal(details.seller, 'SuperComNet');
+  assert.equal(details.availability, 'In Stock');
+  assert.equal(details.delivery, 'Delivery by 24 Oct, Thursday');
+});
+
+test('product: normalizes into a schema product keyed by pid', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product'));
+  const product = createProduct('flipkart', adapter.normalize({
+    ...details,
+    productLink: 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W'
+  }));
+
+  assert.equal(product.productId, 'MOBGTAGPTB3VS24W');
+  assert.equal(product.price, 6599900);
+  assert.equal(product.mrp, 6990000);
+  assert.equal(product.topOffers.length, 3);
+  // The partner sign-up names no saving, so it is not a parsed offer
+  assert.deepEqual(product.offers.map(offer => [offer.type, offer.banks]), [['bank', ['Axis']], ['bank', ['HDFC']], ['other', []]]);
+});
+
+test('product: sold out page is reported out of stock', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product-out-of-stock'));
+
+  assert.equal(details.title, 'Apple iPhone 15 Plus (Pink, 512 GB)');
+  assert.equal(details.price, 109900);
+  assert.equal(details.availability, 'Out of Stock');
+});
+
+test('product: missing MRP leaves MRP and discount empty', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product-no-mrp'));
+
+  assert.equal(details.price, 1499);
+  assert.equal(details.mrp, null);
+  assert.equal(details.discount, null);
+  assert.equal(details.availability, 'In Stock');
+});
+
+test('structured data: JSON-LD covers the fields whose selectors no longer match', async () => {
+  const pageScraper = new PlatformScraper(adapter);
+  const details = await pageScraper.extractProductDetails(await loadPage('product-json-ld'));
+
+  assert.equal(details.title, 'Apple iPhone 15 (Green, 128 GB)');
+  assert.equal(details.brand, 'Apple');
+  assert.equal(details.sku, 'MOBGTAGPNMZA5PU5');
+  assert.equal(details.currency, 'INR');
+  assert.equal(details.price, 64999);
+  assert.equal(details.mrp, 69900);
+  assert.equal(details.discount, 7);
+  assert.equal(details.rating, 4.6);
+  assert.equal(details.totalRatings, 123456);
+  assert.equal(details.totalReviews, 5432);
+  assert.equal(details.availability, 'In Stock');
+
+  const { degraded, strategies } = pageScraper.extractionMeta();
+  assert.equal(degraded, false);
+  assert.equal(strategies.title, 'json-ld');
+  assert.equal(strategies.price, 'json-ld');
+  assert.equal(strategies.mrp, 'css');
+  assert.equal(strategies.delivery, 'css');
+  assert.equal(strategies.discount, 'derived');
+});
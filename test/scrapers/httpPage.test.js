@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import amazonAdapter from '../../src/scrapers/adapters/amazon.js';
+import flipkartAdapter from '../../src/scrapers/adapters/flipkart.js';
+import myntraAdapter from '../../src/scrapers/adapters/myntra.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { PlatformScraper } from '../../src/scrapers/platformScraper.js';
+import { HttpPage } from '../../src/scrapers/httpPage.js';
+import { StaticPage } from '../../src/scrapers/staticPage.js';
+import { getSelectors } from '../../src/scrapers/selectorConfig.js';
+import { findPageMarker } from '../../src/scrapers/selectorEngine.js';
+
+const fixture = name => readFile(new URL(`../fixtures/${name}.html`, import.meta.url), 'utf8');
+
+const CAPTCHA_PAGE = `<html><head><title>Amazon.in</title></head><body>
+  <h4>Enter the characters you see below</h4>
+  <form method="get" action="/errors/validateCaptcha"><input id="captchacharacters" name="field-keywords"></form>
+</body></html>`;
+
+const NO_RESULTS_PAGE = `<html><head><title>Flipkart</title></head><body>
+  <div class="_2Yq2hL">Sorry, no results found!</div><div>Please check the spelling or try searching for something else</div>
+</body></html>`;
+
+let server;
+let origin;
+
+before(async () => {
+  const pages = {
+    '/flipkart/product': await fixture('flipkart/product'),
+    '/flipkart/search': await fixture('flipkart/search'),
+    '/amazon/captcha': CAPTCHA_PAGE,
+    '/flipkart/empty': NO_RESULTS_PAGE
+  };
+
+  server = http.createServer((req, res) => {
+    if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/flipkart/product' }).end();
+    } else if (req.url === '/unavailable') {
+      res.writeHead(503, { 'Content-Type': 'text/html' }).end('<html><body>Service Unavailable</body></html>');
+    } else if (pages[req.url]) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(pages[req.url]);
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('HttpPage: loads a page over HTTP, follows redirects and reports the status', async () => {
+  const page = new HttpPage();
+  const response = await page.goto(`${origin}/moved`);
+
+  assert.equal(response.status(), 200);
+  assert.equal(page.url(), `${origin}/flipkart/product`);
+  assert.ok(await page.$('title'));
+  await assert.rejects(page.type('input', 'iphone'), /needs a browser/);
+});
+
+test('http transport: reads a product page without a browser', async () => {
+  const scraper = new PlatformScraper(validateAdapter(flipkartAdapter), { transport: 'http' });
+  const details = await scraper.scrapeProductUrl(`${origin}/flipkart/product`);
+
+  assert.equal(details.title, 'Apple iPhone 15 (Black, 128 GB)');
+  assert.equal(details.price, 65999);
+  assert.equal(details.productLink, `${origin}/flipkart/product`);
+  assert.equal(scraper.extractionMeta().degraded, false);
+});
+
+test('http transport: search results come from the fetched grid', async () => {
+  const scraper = new PlatformScraper(validateAdapter(flipkartAdapter), { transport: 'http' });
+  const page = new HttpPage();
+  await scraper.navigate(page, `${origin}/flipkart/search`);
+
+  const results = await scraper.findOrganicResults(page, 5);
+  assert.deepEqual(results.map(result => result.price), [65999, 75999]);
+});
+
+test('http transport: a CAPTCHA page fails with the CAPTCHA code', async () => {
+  const scraper = new PlatformScraper(validateAdapter(amazonAdapter), { transport: 'http' });
+
+  await assert.rejects(scraper.scrapeProductUrl(`${origin}/amazon/captcha`), { code: 'CAPTCHA', status: 503, retryable: true });
+  assert.equal(scraper.extractions.length, 0);
+});
+
+test('http transport: blocking statuses fail as BLOCKED before any extraction', async () => {
+  const scraper = new PlatformScraper(validateAdapter(flipkartAdapter), { transport: 'http' });
+
+  await assert.rejects(scraper.scrapeProductUrl(`${origin}/unavailable`), { code: 'BLOCKED', message: /HTTP 503/ });
+});
+
+test('http transport: an empty search is NO_RESULTS, markup that never shows up is SELECTOR_TIMEOUT', async () => {
+  const scraper = new PlatformScraper(validateAdapter(flipkartAdapter), { transport: 'http' });
+  const page = new HttpPage();
+  await scraper.navigate(page, `${origin}/flipkart/empty`);
+
+  await assert.rejects(scraper.checkNoResults(page, 'zzxq'), { code: 'NO_RESULTS', status: 404 });
+  await assert.rejects(scraper.scrapeProductUrl(`${origin}/flipkart/search`), { code: 'SELECTOR_TIMEOUT', retryable: false });
+});
+
+test('http transport: unreachable pages fail as NAVIGATION_FAILED', async () => {
+  const scraper = new PlatformScraper(validateAdapter(flipkartAdapter), { transport: 'http' });
+
+  await assert.rejects(scraper.scrapeProductUrl('http://127.0.0.1:9/p/itm1'), { code: 'NAVIGATION_FAILED', retryable: true });
+});
+
+test('http transport: a search that has to be typed in needs the browser', async () => {
+  const scraper = new PlatformScraper(validateAdapter(myntraAdapter), { transport: 'http' });
+
+  await assert.rejects(scraper.scrapeProduct('kurta'), /needs a browser/);
+});
+
+test('bot wall and no-results markers do not match real product and search pages', async () => {
+  for (const platform of ['amazon', 'flipkart', 'myntra']) {
+    const { botWall, search } = getSelectors(platform);
+    for (const name of ['product', 'search']) {
+      const page = new StaticPage(await fixture(`${platform}/${name}`));
+      for (const markers of [botWall.captcha, botWall.blocked, search.noResults]) {
+        assert.equal(await page.$eval('html', findPageMarker, markers), null, `${platform}/${name}`);
+      }
+    }
+  }
+
+  const captcha = new StaticPage(CAPTCHA_PAGE);
+  assert.notEqual(await captcha.$eval('html', findPageMarker, getSelectors('amazon').botWall.captcha), null);
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import myntraAdapter from '../../src/scrapers/adapters/myntra.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { PlatformScraper, createScraperController, createUrlScraperController } from '../../src/scrapers/platformScraper.js';
+import browserPool from '../../src/utils/browserPool.js';
+import { StaticPage } from '../../src/scrapers/staticPage.js';
+import { createProduct } from '../../src/scrapers/productSchema.js';
+
+const adapter = validateAdapter(myntraAdapter);
+const scraper = new PlatformScraper(adapter);
+
+const loadPage = async name =>
+  new StaticPage(await readFile(new URL(`../fixtures/myntra/${name}.html`, import.meta.url), 'utf8'));
+
+test('search: skips the promoted tile and resolves the relative product link', async () => {
+  assert.equal(
+    await scraper.findFirstNonSponsoredProduct(await loadPage('search')),
+    'https://www.myntra.com/tshirts/roadster/roadster-men-black-printed-round-neck-t-shirt/2314563/buy'
+  );
+});
+
+test('search: reads brand, price and "1.2k" rating counts from tiles', async () => {
+  const results = await scraper.findOrganicResults(await loadPage('search'), 5);
+
+  assert.equal(results.length, 2);
+  assert.deepEqual(
+    { brand: results[0].brand, title: results[0].title, price: results[0].price, totalRatings: results[0].totalRatings },
+    { brand: 'Roadster', title: 'Men Black Printed Round Neck T-shirt', price: 599, totalRatings: 1200 }
+  );
+  // Undiscounted tiles show a single price
+  assert.equal(results[1].price, 799);
+});
+
+const labels = sizes => sizes.map(size => size.label);
+
+test('product: extracts brand, prices, rating, offers, seller and sizes', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product'));
+
+  assert.equal(details.brand, 'Roadster');
+  assert.equal(details.title, 'Men Black Printed Round Neck T-shirt');
+  assert.equal(details.price, 599);
+  assert.equal(details.mrp, 1299);
+  assert.equal(details.discount, 54);
+  assert.equal(details.rating, 4.2);
+  assert.equal(details.totalRatings, 1200);
+  assert.equal(details.offers.length, 2);
+  assert.equal(details.seller, 'Bigfoot Retail Solutions Pvt Ltd');
+  assert.deepEqual(labels(details.sizes), ['S', 'M', 'L', 'XL']);
+});
+
+test('product: struck-out sizes are sold out; availability, delivery and colours are read', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product'));
+
+  assert.deepEqual(details.sizes.map(size => size.available), [true, true, true, false]);
+  assert.equal(details.availability, 'In Stock');
+  assert.equal(details.delivery, 'Get it by Thu, Oct 24');
+  assert.deepEqual(details.colors, [
+    { name: 'White', productLink: 'https://www.myntra.com/tshirts/roadster/roadster-men-white-printed-round-neck-t-shirt/2314565/buy' },
+    { name: 'Olive', productLink: 'https://www.myntra.com/tshirts/roadster/roadster-men-olive-printed-round-neck-t-shirt/2314567/buy' }
+  ]);
+});
+
+test('product: normalizes into a schema product with its link', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product'));
+  const productLink = 'https://www.myntra.com/tshirts/roadster/roadster-men-black-printed-round-neck-t-shirt/2314563/buy';
+  const product = createProduct('myntra', adapter.normalize({ ...details, productLink }));
+
+  assert.equal(product.brand, 'Roadster');
+  assert.equal(product.price, 59900);
+  assert.equal(product.mrp, 129900);
+  assert.equal(product.rating.totalRatings, 1200);
+  assert.equal(product.productLink, productLink);
+  assert.equal(product.productId, '2314563');
+  assert.equal(product.availability, 'In Stock');
+  assert.deepEqual(product.sizes[3], { label: 'XL', available: false, price: null });
+  assert.equal(product.colors.length, 2);
+});
+
+test('product: sold out page still reads prices but lists no sizes', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product-out-of-stock'));
+
+  assert.equal(details.title, 'Men Navy Blue Slim Fit Mid-Rise Clean Look Jeans');
+  assert.equal(details.price, 1119);
+  assert.equal(details.mrp, 2799);
+  assert.deepEqual(details.sizes, []);
+  assert.equal(details.availability, 'Out of Stock');
+});
+
+test('product: missing MRP and ratings leave those fields empty', async () => {
+  const details = await scraper.extractProductDetails(await loadPage('product-no-mrp'));
+
+  assert.equal(details.price, 3695);
+  assert.equal(details.mrp, null);
+  assert.equal(details.discount, null);
+  assert.equal(details.rating, null);
+  assert.equal(details.totalRatings, null);
+  assert.deepEqual(labels(details.sizes), ['UK7', 'UK8', 'UK9']);
+  assert.deepEqual(details.colors, []);
+});
+
+test('structured data: the __myx state blob comes first, JSON-LD fills the gaps', async () => {
+  const pageScraper = new PlatformScraper(adapter);
+  const details = await pageScraper.extractProductDetails(await loadPage('product-state'));
+
+  assert.equal(details.brand, 'Roadster');
+  // JSON-LD names include the brand, so the map keeps the title from the page
+  assert.equal(details.title, 'Men Black Printed Round Neck T-shirt');
+  assert.equal(details.sku, '2414120');
+  assert.equal(details.price, 599);
+  assert.equal(details.mrp, 1299);
+  assert.equal(details.totalRatings, 1187);
+  assert.equal(details.availability, 'In Stock');
+  // Stock and seller price per size come from the state; only M sells above the shown price
+  assert.deepEqual(details.sizes, [
+    { label: 'S', available: true, price: null },
+    { label: 'M', available: true, price: 649 },
+    { label: 'XXL', available: false, price: null }
+  ]);
+  assert.deepEqual(details.colors, [
+    { name: 'Navy Blue', productLink: 'https://www.myntra.com/tshirts/roadster/roadster-men-navy-blue-printed-round-neck-t-shirt/2414122/buy' }
+  ]);
+  assert.equal(createProduct('myntra', adapter.normalize(details)).sizes[1].price, 64900);
+
+  const { strategies } = pageScraper.extractionMeta();
+  assert.deepEqual(
+    [strategies.price, strategies.currency, strategies.title, strategies.availability],
+    ['state', 'json-ld', 'css', 'json-ld']
+  );
+});
+
+test('auto mode searches in the browser straight away, since the query is typed into the page', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(browserPool, 'acquire', async () => {
+    throw new Error('No browser in tests');
+  });
+  const fetched = [];
+  t.mock.method(PlatformScraper.prototype, 'navigate', async function (page, url) {
+    fetched.push([this.transport, url]);
+    throw new Error('Offline');
+  });
+  assert.equal(adapter.scrapeMode, 'auto');
+
+  const stages = [];
+  const search = await createScraperController(adapter)('auto mode search shirt', {
+    fresh: true,
+    onProgress: stage => stages.push(stage)
+  });
+  assert.deepEqual([search.code, search.error], ['SCRAPE_FAILED', 'No browser in tests']);
+  // No HTTP attempt to fail and escalate from
+  assert.deepEqual(stages, []);
+
+  // Product pages still try the cheaper HTTP fetch first
+  await createUrlScraperController(adapter)('https://www.myntra.com/tshirts/roadster/roadster-men-tshirt/2152424/buy', {
+    fresh: true,
+    onProgress: stage => stages.push(stage)
+  });
+  assert.deepEqual(fetched, [['http', 'https://www.myntra.com/2152424']]);
+  assert.deepEqual(stages, ['navigating', 'escalating']);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCHEMA_VERSION, createProduct, createSearchResult, formatAmount, parseAmount, percentOff, toPaise, validateProduct, withDisplay
+} from '../../src/scrapers/productSchema.js';
+
+test('amounts become integer paise; anything not a positive amount is null', () => {
+  assert.equal(toPaise(1299), 129900);
+  assert.equal(toPaise(1299.5), 129950);
+  // Float noise is rounded away
+  assert.equal(toPaise(19.99), 1999);
+  for (const invalid of [0, -5, NaN, Infinity, '1299', null, undefined]) {
+    assert.equal(toPaise(invalid), null, String(invalid));
+  }
+
+  assert.equal(parseAmount('₹1,29,999.50'), 12999950);
+  assert.equal(parseAmount('MRP ₹ 2,999'), 299900);
+  assert.equal(parseAmount('Currently unavailable'), null);
+  assert.equal(parseAmount(null), null);
+
+  assert.equal(percentOff(74900, 99900), 25);
+  assert.equal(percentOff(74900, null), null);
+  assert.equal(formatAmount(12999950), '₹1,29,999.50');
+  assert.equal(formatAmount(129900), '₹1,299');
+  assert.equal(formatAmount(129900, 'USD'), 'USD 1,299');
+  assert.equal(formatAmount(null), null);
+});
+
+test('products fill every field, with nulls and empty lists for what the page lacked', () => {
+  const product = createProduct('amazon', {
+    title: '  Apple iPhone 15 (128 GB) - Black ',
+    price: 6990000,
+    mrp: 7990000,
+    discount: 13,
+    rating: { stars: 4.5, totalRatings: NaN },
+    topOffers: ['10% off with HDFC', ''],
+    sizes: [{ label: ' M ', available: 'yes' }, { label: '' }],
+    productLink: 'https://www.amazon.in/Apple-iPhone-15/dp/B0CHX1W1XY'
+  });
+
+  // Clients key off the version: a change to this field list needs a bump here too
+  assert.equal(SCHEMA_VERSION, 3);
+  assert.equal(product.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(Object.keys(product), [
+    'schemaVersion', 'platform', 'productId', 'title', 'brand', 'sku', 'currency', 'price', 'mrp', 'discount', 'rating',
+    'topOffers', 'offers', 'seller', 'sellers', 'availability', 'delivery', 'shipping', 'sizes', 'colors', 'variants',
+    'variant', 'productLink'
+  ]);
+  assert.equal(product.productId, 'B0CHX1W1XY');
+  assert.equal(product.title, 'Apple iPhone 15 (128 GB) - Black');
+  assert.equal(product.currency, 'INR');
+  assert.deepEqual(product.rating, { stars: 4.5, totalRatings: null, totalReviews: null });
+  assert.deepEqual(product.topOffers, ['10% off with HDFC']);
+  assert.deepEqual(product.sizes, [{ label: 'M', available: null, price: null }]);
+  assert.deepEqual(product.shipping, { pincode: null, serviceable: null, estimatedDate: null, charge: null, cod: null, returnDays: null });
+  assert.deepEqual([product.brand, product.availability, product.offers, product.variant], [null, null, [], {}]);
+  assert.deepEqual(validateProduct(product), []);
+
+  assert.deepEqual(withDisplay(product).display, { price: '₹69,900', mrp: '₹79,900', discount: '13%' });
+});
+
+test('a field that breaks the schema fails the whole product', () => {
+  assert.throws(() => createProduct('flipkart', { price: 699.5 }), {
+    message: 'Invalid flipkart product: price must be integer paise or null'
+  });
+  assert.throws(() => createProduct('myntra', { currency: 'rupees', sellers: [{ name: 'Omnitech', condition: 'refurbished' }] }),
+    /currency must be an ISO 4217 code; sellers must be an array of/);
+  assert.throws(() => createProduct('', {}), /platform is required/);
+});
+
+test('validation names each problem; products of another schema version are rejected', () => {
+  const valid = createProduct('amazon', { price: 100 });
+
+  assert.deepEqual(validateProduct({ ...valid, schemaVersion: SCHEMA_VERSION - 1 }), ['schemaVersion is not current']);
+  assert.deepEqual(validateProduct({ ...valid, mrp: -100, discount: '10%', rating: { ...valid.rating, totalRatings: 1.5 } }), [
+    'mrp must be integer paise or null',
+    'discount must be a number or null',
+    'rating.totalRatings must be an integer or null'
+  ]);
+  assert.deepEqual(validateProduct({ ...valid, shipping: { ...valid.shipping, estimatedDate: 'tomorrow' } }),
+    ['shipping must be { pincode, serviceable, estimatedDate, charge, cod, returnDays }']);
+  assert.deepEqual(validateProduct({ ...valid, variant: { storage: 256 } }), ['variant must map dimensions to option labels']);
+  assert.deepEqual(validateProduct({ ...valid, offers: [{ type: 'bank', text: '10% off', percent: 10, amount: 1.5, maxDiscount: null, minSpend: null }] }),
+    ['offers must be an array of { type, text, percent, amount, maxDiscount, minSpend }']);
+});
+
+test('search results carry the schema version and tile prices in paise', () => {
+  assert.deepEqual(createSearchResult('flipkart', {
+    title: 'Apple iPhone 15 (Black, 128 GB)',
+    price: 65999,
+    rating: 4.6,
+    totalRatings: 12000,
+    productLink: 'https://www.flipkart.com/apple-iphone-15/p/itm123?pid=MOBGTAGPTB3VS24W'
+  }, 2), {
+    schemaVersion: SCHEMA_VERSION,
+    platform: 'flipkart',
+    position: 2,
+    productId: 'MOBGTAGPTB3VS24W',
+    title: 'Apple iPhone 15 (Black, 128 GB)',
+    brand: null,
+    currency: 'INR',
+    price: 6599900,
+    rating: { stars: 4.6, totalRatings: 12000 },
+    productLink: 'https://www.flipkart.com/apple-iphone-15/p/itm123?pid=MOBGTAGPTB3VS24W'
+  });
+});
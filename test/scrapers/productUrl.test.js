@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeProductLink, parseProductUrl, productIdFromLink } from '../../src/scrapers/productUrl.js';
+
+test('product links of each store give the platform, product id and canonical link', () => {
+  assert.deepEqual(parseProductUrl('https://www.amazon.in/Apple-iPhone-15-128-GB/dp/b0chx1w1xy/ref=sr_1_1?crid=X'), {
+    platform: 'amazon', productId: 'B0CHX1W1XY', productLink: 'https://www.amazon.in/dp/B0CHX1W1XY'
+  });
+  assert.deepEqual(parseProductUrl('https://amazon.in/gp/product/B0CHX1W1XY'), {
+    platform: 'amazon', productId: 'B0CHX1W1XY', productLink: 'https://www.amazon.in/dp/B0CHX1W1XY'
+  });
+  assert.deepEqual(parseProductUrl('https://dl.flipkart.com/apple-iphone-15/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W&lid=LST1'), {
+    platform: 'flipkart',
+    productId: 'MOBGTAGPTB3VS24W',
+    productLink: 'https://www.flipkart.com/apple-iphone-15/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W'
+  });
+  assert.equal(parseProductUrl('https://www.flipkart.com/apple-iphone-15/p/itm6ac6485515ae4').productId, 'itm6ac6485515ae4');
+  assert.deepEqual(parseProductUrl('https://www.myntra.com/tshirts/roadster/roadster-men-tshirt/2152424/buy'), {
+    platform: 'myntra', productId: '2152424', productLink: 'https://www.myntra.com/2152424'
+  });
+
+  assert.equal(productIdFromLink('https://www.myntra.com/2152424'), '2152424');
+  assert.equal(productIdFromLink(null), null);
+});
+
+test('links that are not product pages, or not on the supported stores, are not recognized', () => {
+  for (const link of [
+    'not a url',
+    'https://www.amazon.in/s?k=iphone',
+    'https://www.flipkart.com/search?q=iphone',
+    // Other Amazon stores price in other currencies
+    'https://www.amazon.com/dp/B0CHX1W1XY',
+    'https://www.amazon.de/dp/B0CHX1W1XY',
+    'https://amazon.co.uk/dp/B0CHX1W1XY',
+    // Hosts that only look like the stores
+    'https://amazon.evil.com/dp/B0CHX1W1XY',
+    'https://www.amazon.in.evil.com/dp/B0CHX1W1XY',
+    'https://evilamazon.in/dp/B0CHX1W1XY',
+    'https://flipkart.com.evil.com/x/p/itm6ac6485515ae4',
+    'https://notflipkart.com/x/p/itm6ac6485515ae4',
+    'https://myntra.com.127.0.0.1.nip.io/2152424',
+    'http://169.254.169.254/dp/B0CHX1W1XY'
+  ]) {
+    assert.equal(parseProductUrl(link), null, link);
+  }
+});
+
+test('canonical links never move a product to another host', () => {
+  assert.equal(canonicalizeProductLink('https://amazon.in/x/dp/B0CHX1W1XY?tag=aff'), 'https://www.amazon.in/dp/B0CHX1W1XY');
+  assert.equal(canonicalizeProductLink('https://www.myntra.com/shoes/nike/air/123456/buy?src=ads'), 'https://www.myntra.com/123456');
+
+  // Anything else keeps its own origin and path, without the query
+  assert.equal(canonicalizeProductLink('https://amazon.evil.com/x/dp/B0CHX1W1XY?tag=aff'), 'https://amazon.evil.com/x/dp/B0CHX1W1XY');
+  assert.equal(canonicalizeProductLink('https://www.amazon.com/dp/B0CHX1W1XY/ref=x'), 'https://www.amazon.com/dp/B0CHX1W1XY/ref=x');
+  assert.equal(canonicalizeProductLink('not a url'), 'not a url');
+});
+
+test('a pid with reserved characters survives canonicalization', () => {
+  for (const pid of ['MOB&lid=LST1', 'MOB#frag', 'MOB%20X', 'MOB 1+2']) {
+    const link = `https://www.flipkart.com/apple-iphone-15/p/itm6ac6485515ae4?pid=${encodeURIComponent(pid)}&lid=LST9`;
+    const canonical = canonicalizeProductLink(link);
+    assert.equal(new URL(canonical).searchParams.get('pid'), pid, pid);
+    assert.deepEqual([...new URL(canonical).searchParams.keys()], ['pid'], pid);
+    assert.equal(canonicalizeProductLink(canonical), canonical, pid);
+  }
+});
@@ -0,0 +1,115 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ScrapeError, errorResult, isTimeout, retryDelay, statusForResult } from '../../src/scrapers/scrapeError.js';
+import flipkartAdapter from '../../src/scrapers/adapters/flipkart.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { createScraperController } from '../../src/scrapers/platformScraper.js';
+import { BrowserPool } from '../../src/utils/browserPool.js';
+
+// Scrape logs on stdout can land in the runner's message stream and garble it
+mock.method(console, 'log', () => {});
+
+test('scrape errors carry their status and retryability; unknown errors become SCRAPE_FAILED', () => {
+  assert.deepEqual(errorResult(new ScrapeError('CAPTCHA', 'Amazon served a CAPTCHA')),
+    { success: false, error: 'Amazon served a CAPTCHA', code: 'CAPTCHA', retryable: true });
+  assert.deepEqual(errorResult(new Error('boom')), { success: false, error: 'boom', code: 'SCRAPE_FAILED', retryable: false });
+  assert.equal(new ScrapeError('NOPE', 'x').code, 'SCRAPE_FAILED');
+
+  assert.equal(statusForResult({ success: true }), 200);
+  assert.equal(statusForResult({ success: false, code: 'NO_RESULTS' }), 404);
+  assert.equal(statusForResult({ success: false, code: 'NAVIGATION_TIMEOUT' }), 504);
+  assert.equal(statusForResult({ success: false }), 500);
+});
+
+test('retries back off exponentially, longer after blocks', () => {
+  const blocked = new ScrapeError('BLOCKED', 'HTTP 503');
+  const failed = new ScrapeError('NAVIGATION_FAILED', 'ECONNRESET');
+
+  assert.ok(retryDelay(blocked, 0) >= 4000 && retryDelay(blocked, 0) <= 6000);
+  assert.ok(retryDelay(blocked, 2) >= 16000 && retryDelay(blocked, 2) <= 24000);
+  assert.ok(retryDelay(failed, 1) >= 1600 && retryDelay(failed, 1) <= 2400);
+
+  assert.equal(isTimeout(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' })), true);
+  assert.equal(isTimeout(Object.assign(new Error('x'), { name: 'TimeoutError' })), true);
+  assert.equal(isTimeout(new Error('socket hang up')), false);
+});
+
+test('an aborted scrape stops retrying at once and is not cached', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    res.writeHead(503).end('Service Unavailable');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const adapter = validateAdapter({ ...flipkartAdapter, buildSearchUrl: query => `http://127.0.0.1:${port}/search?q=${query}` });
+    const scrape = createScraperController(adapter);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('Flipkart timed out after 200ms')), 200);
+
+    // A 503 is BLOCKED, which is retried after 5s and then 10s
+    const started = Date.now();
+    const result = await scrape('abort test phone', { mode: 'http', signal: controller.signal });
+    assert.ok(Date.now() - started < 2000);
+    assert.deepEqual(result, {
+      success: false,
+      error: 'Flipkart scrape stopped: Flipkart timed out after 200ms',
+      code: 'ABORTED',
+      retryable: false,
+      meta: { cache: result.meta.cache }
+    });
+    assert.equal(requests, 1);
+
+    // Nothing was stored, and the signal is not part of the cache key
+    assert.equal((await scrape('abort test phone', { mode: 'http', signal: AbortSignal.abort() })).meta.cache.status, 'MISS');
+    assert.equal(requests, 1);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('one of two coalesced scrapes aborting leaves the other to finish', async () => {
+  const server = http.createServer((req, res) => {
+    setTimeout(() => res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html><body>Nothing here</body></html>'), 400);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const adapter = validateAdapter({ ...flipkartAdapter, buildSearchUrl: query => `http://127.0.0.1:${port}/search?q=${query}` });
+    const scrape = createScraperController(adapter);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('Flipkart timed out after 100ms')), 100);
+
+    const [aborted, finished] = await Promise.all([
+      scrape('coalesced abort phone', { mode: 'http', signal: controller.signal }),
+      scrape('coalesced abort phone', { mode: 'http' })
+    ]);
+    assert.deepEqual([aborted.code, aborted.error], ['ABORTED', 'Flipkart scrape stopped: Flipkart timed out after 100ms']);
+    // The page loaded without results rather than being cut short
+    assert.equal(finished.code, 'SELECTOR_TIMEOUT');
+    assert.equal(finished.meta.cache.coalesced, true);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('a caller waiting for a browser page leaves the queue when aborted', async () => {
+  const pool = new BrowserPool({ maxPages: 1 });
+  await pool.reserveSlot();
+
+  const controller = new AbortController();
+  const waiting = pool.reserveSlot(controller.signal);
+  assert.equal(pool.waiting.length, 1);
+  controller.abort();
+  await assert.rejects(waiting, /Stopped waiting/);
+  assert.equal(pool.waiting.length, 0);
+  await assert.rejects(pool.reserveSlot(controller.signal), /Stopped waiting/);
+
+  // The slot goes back to the pool rather than to the caller that left
+  pool.releaseSlot();
+  assert.equal(pool.slotsInUse, 0);
+});
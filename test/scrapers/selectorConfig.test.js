@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSelectors, listSelectorMaps, validateSelectorMap } from '../../src/scrapers/selectorConfig.js';
+
+const validMap = () => structuredClone(getSelectors('amazon'));
+
+test('the bundled maps load for every platform', () => {
+  const maps = listSelectorMaps();
+
+  assert.deepEqual(maps.map(map => map.platform).sort(), ['amazon', 'flipkart', 'myntra']);
+  for (const map of maps) {
+    assert.ok(Number.isInteger(map.version) && map.version >= 1);
+    assert.deepEqual(validateSelectorMap(getSelectors(map.platform)), []);
+  }
+});
+
+test('unknown platforms have no map', () => {
+  assert.throws(() => getSelectors('ebay'), /No valid selector map for platform "ebay"/);
+});
+
+test('validation: unknown parse rules and empty selector lists are rejected', () => {
+  const map = validMap();
+  map.product.fields.price.parse = 'money';
+  map.product.fields.mrp.selectors = [];
+
+  assert.deepEqual(validateSelectorMap(map), [
+    'product.fields.price.parse must be one of text, price, number, integer, count, list, exists',
+    'product.fields.mrp.selectors must be a non-empty array'
+  ]);
+});
+
+test('validation: selectors must parse as CSS and patterns as regular expressions', () => {
+  const map = validMap();
+  map.search.results = 'div[data-component-type=';
+  map.product.fields.title.selectors = ['#productTitle', { selector: 'h1', match: '(' }];
+  map.product.fields.rating.pattern = '[';
+
+  assert.deepEqual(validateSelectorMap(map), [
+    'search.results must be a valid CSS selector',
+    'product.fields.title.selectors[1].match must be a regular expression',
+    'product.fields.rating.pattern must be a regular expression'
+  ]);
+});
+
+test('validation: version, title and price are required', () => {
+  const map = validMap();
+  delete map.version;
+  delete map.search.tile.title;
+  delete map.product.fields.price;
+
+  assert.deepEqual(validateSelectorMap(map), [
+    'version must be a positive integer',
+    'search.tile.title is required',
+    'product.fields.price is required'
+  ]);
+  assert.deepEqual(validateSelectorMap(null), ['selector map must be a JSON object']);
+});
+
+test('validation: structured data strategies, state blobs and fields are checked', () => {
+  const map = validMap();
+  map.product.structured = {
+    strategies: ['json-ld', 'opengraph'],
+    state: [{ variable: 'window.__myx', fields: { price: 'pdpData.price', colour: 'pdpData.colour' } }],
+    fields: ['price', 'seller']
+  };
+
+  assert.deepEqual(validateSelectorMap(map), [
+    'product.structured.strategies must list some of json-ld, microdata, state',
+    'product.structured.state[0].variable must be a JavaScript identifier',
+    'product.structured.state[0].fields.colour is not a structured field',
+    'product.structured.fields must list some of title, brand, sku, price, mrp, currency, availability, rating, totalRatings, totalReviews, sizes, colors'
+  ]);
+});
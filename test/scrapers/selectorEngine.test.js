@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHtml } from '../../src/scrapers/staticPage.js';
+import { extractFields, isSponsoredTile, readResultLink } from '../../src/scrapers/selectorEngine.js';
+
+const root = html => parseHtml(`<html><body>${html}</body></html>`).documentElement;
+
+test('fields: falls back through selectors until one yields a value', () => {
+  const { values: fields, matched } = extractFields(root('<span class="price">Price on request</span><b class="deal">₹1,299.50</b>'), {
+    price: { selectors: ['.missing', '.price', '.deal'], parse: 'price' },
+    title: { selectors: ['h1'], parse: 'text' }
+  });
+
+  assert.equal(fields.price, 1299.5);
+  assert.equal(fields.title, null);
+  // .price matched but held no number, so the value came from the third selector
+  assert.deepEqual(matched, { price: 2, title: null });
+});
+
+test('fields: parses integers, numbers and abbreviated counts', () => {
+  const { values: fields } = extractFields(root(`
+    <span id="ratings">3,12,456 ratings</span>
+    <span id="stars">4.3 out of 5 stars</span>
+    <span id="k">| 1.2k</span>
+    <span id="lakh">2.5L Ratings</span>
+  `), {
+    ratings: { selectors: ['#ratings'], parse: 'integer' },
+    stars: { selectors: ['#stars'], parse: 'number' },
+    thousands: { selectors: ['#k'], parse: 'count' },
+    lakhs: { selectors: ['#lakh'], parse: 'count' }
+  });
+
+  assert.deepEqual(fields, { ratings: 312456, stars: 4.3, thousands: 1200, lakhs: 250000 });
+});
+
+test('fields: pattern picks a capture group and attribute falls back to text', () => {
+  const { values: fields } = extractFields(root(`
+    <span class="count">1,234 Ratings &amp; 56 Reviews</span>
+    <a class="name" title="Full product name">Full prod...</a>
+    <a class="plain">Plain name</a>
+  `), {
+    reviews: { selectors: ['.count'], parse: 'integer', pattern: '([\\d,]+)\\s*Reviews' },
+    missing: { selectors: ['.count'], parse: 'integer', pattern: 'Answers' },
+    name: { selectors: [{ selector: '.name', attribute: 'title' }], parse: 'text' },
+    plain: { selectors: [{ selector: '.plain', attribute: 'title' }], parse: 'text' }
+  });
+
+  assert.equal(fields.reviews, 56);
+  assert.equal(fields.missing, null);
+  assert.equal(fields.name, 'Full product name');
+  assert.equal(fields.plain, 'Plain name');
+});
+
+test('lists: apply limit, minLength, strip, match and de-duplication', () => {
+  const { values: fields, matched } = extractFields(root(`
+    <li>Short</li>
+    <li>Bank Offer 10% off   T&amp;C apply</li>
+    <li>Bank Offer 10% off T&amp;C</li>
+    <p>Free delivery on this order</p>
+    <p>Cashback of 5% with Pay</p>
+    <p>Exchange offer up to 3000</p>
+  `), {
+    offers: {
+      selectors: ['li', { selector: 'p', match: 'offer|cashback' }],
+      parse: 'list',
+      limit: 2,
+      minLength: 11,
+      strip: 'T&C.*$'
+    },
+    none: { selectors: ['dl'], parse: 'list' },
+    hasList: { selectors: ['ul', 'li'], parse: 'exists' }
+  });
+
+  assert.deepEqual(fields.offers, ['Bank Offer 10% off', 'Cashback of 5% with Pay']);
+  assert.deepEqual(fields.none, []);
+  assert.equal(fields.hasList, true);
+  assert.deepEqual(matched, { offers: 0, none: null, hasList: 1 });
+});
+
+test('sponsored: badges, tile classes, labels and ancestor classes', () => {
+  const doc = parseHtml(`<html><body>
+    <div id="badge"><span class="ad-badge"></span></div>
+    <div id="class" class="AdHolder"></div>
+    <div id="label"><span> Sponsored </span></div>
+    <div class="carousel"><div id="nested"></div></div>
+    <div id="organic"><span>Sponsored by nobody</span></div>
+  </body></html>`);
+  const rules = {
+    selectors: ['.ad-badge'],
+    classes: ['AdHolder'],
+    labels: { selector: 'span', texts: ['sponsored'] },
+    ancestorClasses: ['carousel']
+  };
+
+  for (const id of ['badge', 'class', 'label', 'nested']) {
+    assert.equal(isSponsoredTile(doc.querySelector(`#${id}`), rules), true, id);
+  }
+  assert.equal(isSponsoredTile(doc.querySelector('#organic'), rules), false);
+  assert.equal(isSponsoredTile(doc.querySelector('#badge'), undefined), false);
+});
+
+test('links: only hrefs containing mustContain are returned', () => {
+  const tile = root('<a class="ad" href="/sspa/click">Ad</a><a class="item" href="/iphone/dp/B0CHX1W1XY">iPhone</a>');
+
+  assert.equal(readResultLink(tile, { selectors: ['a.ad', 'a.item'], mustContain: '/dp/' }), '/iphone/dp/B0CHX1W1XY');
+  assert.equal(readResultLink(tile, { selectors: ['a.ad'], mustContain: '/dp/' }), null);
+  assert.equal(readResultLink(tile, { selectors: ['a.ad'] }), '/sspa/click');
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import amazonAdapter from '../../src/scrapers/adapters/amazon.js';
+import flipkartAdapter from '../../src/scrapers/adapters/flipkart.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { PlatformScraper } from '../../src/scrapers/platformScraper.js';
+import { HttpPage } from '../../src/scrapers/httpPage.js';
+import { createProduct } from '../../src/scrapers/productSchema.js';
+import { conditionOf, lowestOffer } from '../../src/scrapers/sellers.js';
+
+const fixture = name => readFile(new URL(`../fixtures/${name}.html`, import.meta.url), 'utf8');
+
+let server;
+let origin;
+const requested = [];
+
+before(async () => {
+  const pages = {
+    '/gp/aod/ajax': await fixture('amazon/sellers'),
+    '/sellers': await fixture('flipkart/sellers')
+  };
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const html = pages[new URL(req.url, 'http://localhost').pathname];
+    res.writeHead(html ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' }).end(html || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Reads the sellers page through the fixture server and normalizes the rows with the product's own fields
+async function scrapeSellers(adapter, details) {
+  const scraper = new PlatformScraper(validateAdapter({ ...adapter, origin }), { transport: 'http', sellers: true });
+  const rows = await scraper.scrapeSellers(new HttpPage(), details);
+  return createProduct(adapter.id, adapter.normalize({ ...details, sellers: rows }));
+}
+
+test('amazon: every offer with rating, FBA, delivery and condition; the buy box is marked', async () => {
+  const product = await scrapeSellers(amazonAdapter, {
+    title: 'Apple iPhone 15 (128 GB) - Black',
+    price: 65999,
+    seller: 'Appario Retail Private Ltd',
+    productLink: 'https://www.amazon.in/dp/B0CHX1W1XY'
+  });
+
+  assert.ok(requested.includes('/gp/aod/ajax?asin=B0CHX1W1XY&pc=dp'));
+  assert.deepEqual(product.sellers[0], {
+    name: 'Appario Retail Private Ltd',
+    price: 6599900,
+    rating: 4.5,
+    fulfilledBy: 'FBA',
+    delivery: 'FREE delivery Thursday, 24 October',
+    condition: 'new',
+    buyBox: true
+  });
+  assert.deepEqual(product.sellers.slice(1).map(seller => [seller.name, seller.price, seller.fulfilledBy, seller.condition, seller.buyBox]), [
+    ['Darshita Etel', 6449900, null, 'new', false],
+    ['Renewed Store 2.0', 5299000, 'FBA', 'renewed', false]
+  ]);
+
+  // The renewed offer is cheaper but not the same thing
+  assert.deepEqual(lowestOffer(product), { price: 6449900, seller: 'Darshita Etel' });
+});
+
+test('flipkart: sellers page keyed by pid, F-Assured badge', async () => {
+  const product = await scrapeSellers(flipkartAdapter, {
+    title: 'Apple iPhone 15 (Black, 128 GB)',
+    price: 65999,
+    seller: 'SuperComNet',
+    productLink: 'https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W'
+  });
+
+  assert.ok(requested.includes('/sellers?pid=MOBGTAGPTB3VS24W'));
+  assert.deepEqual(product.sellers.map(seller => [seller.name, seller.price, seller.rating, seller.fulfilledBy, seller.buyBox]), [
+    ['SuperComNet', 6599900, 4.7, 'F-Assured', true],
+    ['TBL Online', 6490000, 4.1, null, false]
+  ]);
+  assert.equal(product.sellers[1].delivery, 'Delivery by 27 Oct, Sunday');
+});
+
+test('products read without sellers list none, and the buy box is the lowest', () => {
+  const product = createProduct('flipkart', flipkartAdapter.normalize({ title: 'Cable', price: 499, seller: 'RetailNet' }));
+  assert.deepEqual(product.sellers, []);
+  assert.deepEqual(lowestOffer(product), { price: 49900, seller: 'RetailNet' });
+
+  assert.equal(conditionOf('Used - Like New'), 'used');
+  assert.equal(conditionOf('Refurbished'), 'renewed');
+  assert.equal(conditionOf(null), 'new');
+});
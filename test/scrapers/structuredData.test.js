@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHtml } from '../../src/scrapers/staticPage.js';
+import { extractStructuredData } from '../../src/scrapers/structuredData.js';
+
+const root = (head, body = '') => parseHtml(`<html><head>${head}</head><body>${body}</body></html>`).documentElement;
+const jsonLd = data => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+test('json-ld: finds the Product in a @graph and skips malformed blocks', () => {
+  const { values, sources } = extractStructuredData(root(
+    '<script type="application/ld+json">{ not json </script>' +
+    jsonLd({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'WebPage', name: 'Page' },
+        {
+          '@type': ['Product', 'Thing'],
+          name: 'Noise Buds',
+          productID: 'NB-1',
+          brand: 'Noise',
+          offers: [{
+            '@type': 'Offer',
+            price: '1,299.00',
+            priceCurrency: 'INR',
+            availability: 'https://schema.org/OutOfStock',
+            priceSpecification: [{ '@type': 'UnitPriceSpecification', priceType: 'https://schema.org/ListPrice', price: 2999 }]
+          }],
+          aggregateRating: { ratingValue: '4.1', ratingCount: '2,310' }
+        }
+      ]
+    })
+  ), { strategies: ['json-ld'] });
+
+  assert.deepEqual(values, {
+    title: 'Noise Buds',
+    brand: 'Noise',
+    sku: 'NB-1',
+    price: 1299,
+    mrp: 2999,
+    currency: 'INR',
+    availability: 'Out of Stock',
+    rating: 4.1,
+    totalRatings: 2310
+  });
+  assert.equal(sources.price, 'json-ld');
+});
+
+test('microdata: reads the product scope without taking nested names', () => {
+  const { values, sources } = extractStructuredData(root('', `
+    <div itemscope itemtype="https://schema.org/Product">
+      <div itemprop="brand" itemscope itemtype="https://schema.org/Brand"><span itemprop="name">boAt</span></div>
+      <h1 itemprop="name">Airdopes 141</h1>
+      <meta itemprop="sku" content="AD141">
+      <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+        <span itemprop="priceCurrency" content="INR">₹</span><span itemprop="price">1,099</span>
+        <link itemprop="availability" href="https://schema.org/PreOrder">
+      </div>
+      <div itemprop="aggregateRating" itemscope itemtype="https://schema.org/AggregateRating">
+        <span itemprop="ratingValue">4.0</span> from <span itemprop="reviewCount">812</span> reviews
+      </div>
+    </div>
+  `), { strategies: ['microdata'] });
+
+  assert.equal(values.title, 'Airdopes 141');
+  assert.equal(values.brand, 'boAt');
+  assert.equal(values.sku, 'AD141');
+  assert.equal(values.price, 1099);
+  assert.equal(values.currency, 'INR');
+  assert.equal(values.availability, 'Pre-order');
+  assert.equal(values.rating, 4);
+  assert.equal(values.totalReviews, 812);
+  assert.equal(sources.title, 'microdata');
+});
+
+test('state blobs: dotted paths, array indexes and strategy order', () => {
+  const head = '<script>window.__INITIAL_STATE__ = {"page":{"offers":[{"price":{"value":499}}],"title":"Cable"}};</script>' +
+    jsonLd({ '@type': 'Product', name: 'USB-C Cable', offers: { price: 549, priceCurrency: 'INR' } });
+  const rules = {
+    strategies: ['state', 'json-ld'],
+    state: [{ variable: '__INITIAL_STATE__', fields: { price: 'page.offers.0.price.value', title: 'page.missing' } }]
+  };
+
+  const { values, sources } = extractStructuredData(root(head), rules);
+  assert.equal(values.price, 499);
+  assert.equal(values.title, 'USB-C Cable');
+  assert.deepEqual(sources, { price: 'state', title: 'json-ld', currency: 'json-ld' });
+
+  const reversed = extractStructuredData(root(head), { ...rules, strategies: ['json-ld', 'state'] });
+  assert.equal(reversed.values.price, 549);
+});
+
+test('fields limits what structured data may supply, and junk values are dropped', () => {
+  const { values } = extractStructuredData(root(jsonLd({
+    '@type': 'Product',
+    name: 'Kurta',
+    offers: { price: 'Call for price', priceCurrency: 'Rupees', availability: 'Maybe' },
+    aggregateRating: { ratingValue: 3.9 }
+  })), { strategies: ['json-ld'], fields: ['price', 'currency', 'availability', 'rating'] });
+
+  assert.deepEqual(values, { rating: 3.9 });
+});
+
+test('pages without structured data yield nothing', () => {
+  const result = extractStructuredData(root('<script>var x = 1;</script>', '<h1>Plain</h1>'), {
+    strategies: ['json-ld', 'microdata', 'state'],
+    state: [{ variable: '__myx', fields: { price: 'pdpData.price.discounted' } }]
+  });
+
+  assert.deepEqual(result, { values: {}, sources: {} });
+});
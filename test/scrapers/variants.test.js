@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import amazonAdapter from '../../src/scrapers/adapters/amazon.js';
+import flipkartAdapter from '../../src/scrapers/adapters/flipkart.js';
+import myntraAdapter from '../../src/scrapers/adapters/myntra.js';
+import { validateAdapter } from '../../src/scrapers/adapter.js';
+import { PlatformScraper } from '../../src/scrapers/platformScraper.js';
+import { StaticPage } from '../../src/scrapers/staticPage.js';
+import { createProduct } from '../../src/scrapers/productSchema.js';
+import { canonicalDimension, findOption } from '../../src/scrapers/variants.js';
+import { parseVariant } from '../../src/utils/requestParams.js';
+
+const fixture = name => readFile(new URL(`../fixtures/${name}.html`, import.meta.url), 'utf8');
+const loadPage = async name => new StaticPage(await fixture(name));
+
+let server;
+let origin;
+
+before(async () => {
+  const pages = {
+    '/flipkart/product': await fixture('flipkart/product'),
+    '/flipkart/product-256': await fixture('flipkart/product-256')
+  };
+  server = http.createServer((req, res) => {
+    const html = pages[req.url];
+    res.writeHead(html ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' }).end(html || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('amazon: storage filed under size, colours, prices, sold-out options and ASIN links', async () => {
+  const scraper = new PlatformScraper(validateAdapter(amazonAdapter));
+  const details = await scraper.extractProductDetails(await loadPage('amazon/product'));
+
+  assert.deepEqual(details.variants.map(group => group.dimension), ['storage', 'color']);
+  assert.deepEqual(details.variants[0].options[1], {
+    label: '256 GB', price: 75999, available: true, selected: false, productLink: 'https://www.amazon.in/dp/B0CHX2F5QT'
+  });
+  assert.equal(details.variants[0].options[2].available, false);
+  assert.deepEqual(details.variant, { storage: '128 GB', color: 'Black' });
+  // The swatch prices do not leak into the product's own price
+  assert.equal(details.price, 65999);
+
+  const product = createProduct('amazon', amazonAdapter.normalize(details));
+  assert.equal(product.variants[0].options[1].price, 7599900);
+});
+
+test('flipkart: swatch ids name the dimension; the selected swatch is the page', async () => {
+  const scraper = new PlatformScraper(validateAdapter(flipkartAdapter));
+  const details = await scraper.extractProductDetails(await loadPage('flipkart/product'));
+
+  assert.deepEqual(details.variants.map(group => group.dimension), ['color', 'storage']);
+  assert.deepEqual(details.variants[1].options.map(option => [option.label, option.available, option.selected]),
+    [['128 GB', true, true], ['256 GB', true, false], ['512 GB', false, false]]);
+  assert.equal(details.variants[0].options[1].productLink,
+    'https://www.flipkart.com/apple-iphone-15-blue-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPNRQA8KYF');
+});
+
+test('a requested variant is opened and read from its own page', async () => {
+  const adapter = validateAdapter({ ...flipkartAdapter, origin });
+  const progress = [];
+  const scraper = new PlatformScraper(adapter, {
+    transport: 'http',
+    variant: { storage: '256GB' },
+    onProgress: stage => progress.push(stage)
+  });
+  const details = await scraper.scrapeProductUrl(`${origin}/flipkart/product`);
+
+  assert.equal(details.price, 75999);
+  assert.equal(details.title, 'Apple iPhone 15 (Black, 256 GB)');
+  assert.equal(details.productLink, `${origin}/flipkart/product-256`);
+  assert.deepEqual(details.variant, { color: 'Black', storage: '256 GB' });
+  assert.ok(progress.includes('variant'));
+  // Only the variant's page counts towards the result
+  assert.equal(scraper.extractions.length, 1);
+});
+
+test('a variant the listing does not offer fails with VARIANT_NOT_FOUND', async () => {
+  const adapter = validateAdapter({ ...flipkartAdapter, origin });
+  const scraper = new PlatformScraper(adapter, { transport: 'http', variant: { storage: '1TB' } });
+
+  await assert.rejects(scraper.scrapeProductUrl(`${origin}/flipkart/product`),
+    { code: 'VARIANT_NOT_FOUND', status: 404, message: /offered: 128 GB, 256 GB, 512 GB/ });
+});
+
+test('myntra: a requested size is picked on the page and lends its price', async () => {
+  const scraper = new PlatformScraper(validateAdapter(myntraAdapter), { variant: { size: 'm' } });
+  const page = await loadPage('myntra/product-state');
+  const details = await scraper.selectVariant(page, await scraper.extractProductDetails(page));
+
+  assert.equal(details.price, 649);
+  assert.deepEqual(details.variant, { size: 'M' });
+  assert.ok(findOption(details.variants, 'size', 'XXL'));
+});
+
+test('variant requests: canonical dimension names, sorted keys, JSON in query strings', () => {
+  assert.equal(canonicalDimension('Colour'), 'color');
+  assert.equal(canonicalDimension('size_name', ['128 GB', '1 TB']), 'storage');
+  assert.equal(canonicalDimension('size_name', ['S', 'M']), 'size');
+
+  assert.deepEqual(Object.entries(parseVariant({ Storage: ' 256GB ', Colour: 'Blue' })), [['color', 'Blue'], ['storage', '256GB']]);
+  assert.deepEqual(parseVariant('{"storage":"256GB"}'), { storage: '256GB' });
+  assert.equal(parseVariant(undefined), undefined);
+  for (const invalid of ['256GB', {}, { storage: 256 }, ['256GB']]) {
+    assert.equal(parseVariant(invalid), null);
+  }
+});
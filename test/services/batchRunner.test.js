@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBatchItem, runBatch } from '../../src/services/batchRunner.js';
+import { getPlatform } from '../../src/scrapers/registry.js';
+import { setNameProvider } from '../../src/services/nameProviders/index.js';
+import { ScrapeError, errorResult } from '../../src/scrapers/scrapeError.js';
+
+// Names come from the link alone
+setNameProvider(null);
+
+/**
+ * Answer a platform's scrapes without opening the store
+ * @param {string} id - Platform id
+ * @param {(kind: string, input: string) => Object} answer - Result for a search or link scrape
+ * @returns {Object[]} The calls made: [kind, input]
+ */
+function fakeScrapes(id, answer) {
+  const platform = getPlatform(id);
+  const calls = [];
+  platform.scrape = async query => {
+    calls.push(['search', query]);
+    return answer('search', query);
+  };
+  platform.scrapeUrl = async link => {
+    calls.push(['link', link]);
+    return answer('link', link);
+  };
+  return calls;
+}
+
+test('batch items: names, links and objects; unusable items are dropped', () => {
+  assert.deepEqual(normalizeBatchItem(' iPhone 15 '), { productName: 'iPhone 15', link: null, platform: null });
+  assert.deepEqual(normalizeBatchItem('https://www.amazon.in/dp/B0CHX1W1XY'),
+    { productName: null, link: 'https://www.amazon.in/dp/B0CHX1W1XY', platform: null });
+  assert.deepEqual(normalizeBatchItem({ productName: 'Pixel 8', platform: 'Flipkart' }),
+    { productName: 'Pixel 8', link: null, platform: 'flipkart' });
+
+  for (const invalid of ['', '  ', null, 42, {}, { link: 'ftp://example.com/x' }, { productName: 'Pixel', platform: 'ebay' }]) {
+    assert.equal(normalizeBatchItem(invalid), null);
+  }
+});
+
+test('every entry says how it went, and every failure carries a code', async () => {
+  fakeScrapes('flipkart', (kind, input) => ({ success: true, data: { platform: 'flipkart', title: input, price: 100 } }));
+  const myntra = fakeScrapes('myntra', () => errorResult(new ScrapeError('NO_RESULTS', 'Myntra found nothing')));
+  const amazon = fakeScrapes('amazon', () => {
+    throw new ScrapeError('BLOCKED', 'Amazon answered HTTP 503');
+  });
+
+  const entries = await runBatch([
+    { productName: 'Pixel 8', platform: 'flipkart' },
+    { productName: 'Pixel 8', platform: 'myntra' },
+    'https://www.amazon.in/dp/B0CHX1W1XY',
+    // No name in the link, so there is nothing to search the other store for
+    { link: 'https://www.amazon.in/gp/product/B0CHX1W1XY', platform: 'flipkart' },
+    'https://shop.example.com/c/some-phone'
+  ].map(normalizeBatchItem));
+
+  assert.deepEqual(entries.map(({ index, platform, success, code, retryable }) => [index, platform, success, code, retryable]), [
+    [0, 'flipkart', true, undefined, undefined],
+    [1, 'myntra', false, 'NO_RESULTS', false],
+    [2, 'amazon', false, 'BLOCKED', true],
+    [3, 'flipkart', false, 'SCRAPE_FAILED', false],
+    [4, null, false, 'INVALID_LINK', false]
+  ]);
+  assert.equal(entries[3].error, 'Could not derive a product name from the link');
+  assert.deepEqual(myntra, [['search', 'Pixel 8']]);
+  // Product page links skip the search
+  assert.deepEqual(amazon, [['link', 'https://www.amazon.in/dp/B0CHX1W1XY']]);
+});
+
+test('names go to every requested platform, entries stream as they finish and an abort stops new tasks', async () => {
+  fakeScrapes('flipkart', (kind, input) => ({ success: true, data: { title: input } }));
+  fakeScrapes('myntra', (kind, input) => ({ success: true, data: { title: input } }));
+
+  const controller = new AbortController();
+  const streamed = [];
+  const entries = await runBatch([normalizeBatchItem('Jeans'), normalizeBatchItem('Shirt')], {
+    platforms: ['flipkart', 'myntra'],
+    concurrency: 1,
+    onResult: entry => {
+      streamed.push([entry.index, entry.platform]);
+      if (streamed.length === 3) controller.abort();
+    },
+    signal: controller.signal
+  });
+
+  assert.deepEqual(streamed, [[0, 'flipkart'], [0, 'myntra'], [1, 'flipkart']]);
+  assert.equal(entries.length, 3);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { JobQueue } from '../../src/services/jobQueue.js';
+import { ScrapeError } from '../../src/scrapers/scrapeError.js';
+
+/**
+ * Resolve once a job has finished
+ * @param {JobQueue} queue - Queue the job runs on
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+const finished = (queue, id) => new Promise(resolve => {
+  const listener = event => {
+    if (event.type === 'completed' || event.type === 'failed') {
+      queue.off(id, listener);
+      resolve();
+    }
+  };
+  queue.on(id, listener);
+});
+
+test('a job is queued, runs after the caller has its id and records progress, partials and the result', async () => {
+  const queue = new JobQueue({ retentionMs: 60000 });
+  const job = queue.submit('scrape', { productName: 'Phone' }, async context => {
+    context.progress('navigating', { url: 'https://www.flipkart.com/search?q=Phone' });
+    context.partial('flipkart', { success: true });
+    return { success: true, data: { price: 100 } };
+  });
+
+  assert.equal(job.status, 'queued');
+  assert.equal(job.eventCount, 1);
+  assert.equal(job.events, undefined);
+
+  await finished(queue, job.id);
+  const done = queue.get(job.id);
+  assert.equal(done.status, 'completed');
+  assert.ok(done.startedAt && done.finishedAt);
+  assert.deepEqual(done.partialResults, { flipkart: { success: true } });
+  assert.deepEqual(done.result, { success: true, data: { price: 100 } });
+  assert.equal(queue.isFinished(job.id), true);
+
+  assert.deepEqual(queue.eventsSince(job.id).map(event => [event.id, event.type]), [
+    [1, 'status'], [2, 'status'], [3, 'progress'], [4, 'partial'], [5, 'completed']
+  ]);
+  assert.deepEqual(queue.eventsSince(job.id, 3).map(event => event.id), [4, 5]);
+  assert.deepEqual(queue.eventsSince(job.id, 3)[0].data, { key: 'flipkart', result: { success: true } });
+});
+
+test('a failed job keeps the error and the scrape error code', async () => {
+  const queue = new JobQueue({ retentionMs: 60000 });
+  const scrape = queue.submit('scrape', {}, async () => {
+    throw new ScrapeError('CAPTCHA', 'Amazon served a CAPTCHA');
+  });
+  const compare = queue.submit('compare', {}, async () => {
+    throw new Error('Could not derive a product name from the link');
+  });
+  await Promise.all([finished(queue, scrape.id), finished(queue, compare.id)]);
+
+  assert.deepEqual([queue.get(scrape.id).status, queue.get(scrape.id).error, queue.get(scrape.id).errorCode],
+    ['failed', 'Amazon served a CAPTCHA', 'CAPTCHA']);
+  assert.equal(queue.get(compare.id).errorCode, null);
+  assert.deepEqual(queue.eventsSince(scrape.id).at(-1).data, { stage: 'done', error: 'Amazon served a CAPTCHA', code: 'CAPTCHA' });
+});
+
+test('finished jobs are forgotten after the retention time; running ones are kept', async () => {
+  const queue = new JobQueue({ retentionMs: 20 });
+  let release;
+  const running = queue.submit('scrape', {}, () => new Promise(resolve => { release = resolve; }));
+  const quick = queue.submit('scrape', {}, async () => ({ success: true }));
+  await finished(queue, quick.id);
+
+  await delay(60);
+  assert.equal(queue.get(quick.id), undefined);
+  assert.deepEqual(queue.eventsSince(quick.id), []);
+  // Unknown jobs count as finished so streams of them end
+  assert.equal(queue.isFinished(quick.id), true);
+
+  assert.equal(queue.get(running.id).status, 'running');
+  release({ success: true });
+  await finished(queue, running.id);
+});
@@ -0,0 +1,96 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { cleanPageTitle, extractNameFromLink, fetchPageTitle, slugToName } from '../../src/services/linkNameExtractor.js';
+import { createFakeProvider, getNameProvider, setNameProvider } from '../../src/services/nameProviders/index.js';
+import { unifyProductName } from '../../src/controllers/unifyname.js';
+
+after(() => setNameProvider(undefined));
+
+test('slugs become names with fixed casing for units and brands', () => {
+  assert.equal(slugToName('apple-iphone-15-128-gb'), 'Apple iPhone 15 128 GB');
+  assert.equal(slugToName('samsung_galaxy+s24%20ultra-5g'), 'Samsung Galaxy S24 Ultra 5G');
+  // A malformed escape is kept rather than thrown
+  assert.equal(slugToName('%E0-phone'), '%E0 Phone');
+});
+
+test('names from the links of each store', () => {
+  assert.deepEqual(extractNameFromLink('https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=sr_1_1'),
+    { platform: 'amazon', name: 'Apple iPhone 15 128 GB' });
+  assert.deepEqual(extractNameFromLink('https://www.amazon.in/gp/product/B0CHX1W1XY'), { platform: 'amazon', name: null });
+  assert.deepEqual(extractNameFromLink('https://www.amazon.in/%E0-phone/dp/B0CHX1W1XY'), { platform: 'amazon', name: '%E0 Phone' });
+  assert.deepEqual(extractNameFromLink('https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W'),
+    { platform: 'flipkart', name: 'Apple iPhone 15 Black 128 GB' });
+  assert.deepEqual(extractNameFromLink('https://www.myntra.com/tshirts/roadster/roadster-men-black-printed-t-shirt/1234567/buy'),
+    { platform: 'myntra', name: 'Roadster Men Black Printed T Shirt' });
+  assert.deepEqual(extractNameFromLink('https://shop.example.com/c/boat-rockerz-450-headphones'),
+    { platform: null, name: 'Boat Rockerz 450 Headphones' });
+  assert.deepEqual(extractNameFromLink('not a url'), { platform: null, name: null });
+});
+
+test('store boilerplate is stripped from page titles', () => {
+  assert.equal(cleanPageTitle('Amazon.in : Apple iPhone 15 (128 GB) - Black'), 'Apple iPhone 15 (128 GB) - Black');
+  assert.equal(cleanPageTitle('Buy Roadster Men T-shirt Online at Best Price - Myntra'), 'Roadster Men T-shirt');
+  assert.equal(cleanPageTitle('   '), null);
+});
+
+test('page titles are only fetched from product pages of the supported stores', async () => {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    res.end('<title>Internal admin</title>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    for (const link of [
+      `http://127.0.0.1:${port}/admin-panel-page`,
+      `http://localhost:${port}/x/dp/B0CHX1W1XY`,
+      'http://169.254.169.254/latest/meta-data',
+      'https://amazon.evil.com/x/dp/B0CHX1W1XY'
+    ]) {
+      assert.equal(await fetchPageTitle(link, 1000), null, link);
+    }
+    assert.deepEqual(requested, []);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('the name provider improves the link name and a failing one falls back to it', async () => {
+  const link = 'https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY';
+
+  const provider = createFakeProvider(({ candidate }) => `${candidate} (Black)`);
+  setNameProvider(provider);
+  assert.deepEqual(await unifyProductName(link),
+    { unifiedProductName: 'Apple iPhone 15 128 GB (Black)', source: 'fake', platform: 'amazon' });
+  assert.deepEqual(provider.calls, [{ link, candidate: 'Apple iPhone 15 128 GB', pageTitle: null }]);
+
+  setNameProvider(createFakeProvider(new Error('quota exceeded')));
+  assert.deepEqual(await unifyProductName(link),
+    { unifiedProductName: 'Apple iPhone 15 128 GB', source: 'link', platform: 'amazon' });
+
+  // No answer from the provider, or asked not to use it
+  setNameProvider(createFakeProvider(null));
+  assert.equal((await unifyProductName(link)).source, 'link');
+  const unused = createFakeProvider('Something else');
+  setNameProvider(unused);
+  assert.equal((await unifyProductName(link, { useProvider: false })).unifiedProductName, 'Apple iPhone 15 128 GB');
+  assert.equal(unused.calls.length, 0);
+});
+
+test('a misconfigured name provider leaves names to the link instead of failing', async () => {
+  const previous = process.env.NAME_PROVIDER;
+  process.env.NAME_PROVIDER = 'gemnii';
+  try {
+    setNameProvider(undefined);
+    assert.equal(getNameProvider(), null);
+    assert.deepEqual(await unifyProductName('https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY'),
+      { unifiedProductName: 'Apple iPhone 15 128 GB', source: 'link', platform: 'amazon' });
+  } finally {
+    if (previous === undefined) delete process.env.NAME_PROVIDER;
+    else process.env.NAME_PROVIDER = previous;
+    setNameProvider(undefined);
+  }
+});
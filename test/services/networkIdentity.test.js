@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetworkIdentityPool, validateNetworkConfig } from '../../src/services/networkIdentity.js';
+
+const PROXIES = ['http://127.0.0.1:8001', 'http://127.0.0.1:8002', { id: 'dc-3', url: 'http://u:p@127.0.0.1:8003' }];
+
+test('round-robin hands out proxies and profiles in turn', () => {
+  const pool = new NetworkIdentityPool({ proxies: PROXIES });
+
+  const picks = [1, 2, 3, 4].map(() => pool.assign('amazon'));
+  assert.deepEqual(picks.map(pick => pick.proxy.id), ['proxy-1', 'proxy-2', 'dc-3', 'proxy-1']);
+  assert.equal(new Set(picks.map(pick => pick.profile.id)).size, 4);
+  assert.equal(picks[2].proxy.username, 'u');
+});
+
+test('sticky rotation keeps each platform on its proxy and profile until it is benched', () => {
+  const pool = new NetworkIdentityPool({ proxies: PROXIES, rotation: 'sticky', maxFailures: 2 });
+
+  const amazon = pool.assign('amazon');
+  const flipkart = pool.assign('flipkart');
+  assert.notEqual(amazon.proxy.id, flipkart.proxy.id);
+  assert.deepEqual(pool.assign('amazon'), amazon);
+
+  pool.recordFailure(amazon.proxy, 'HTTP 503');
+  pool.recordFailure(amazon.proxy, 'HTTP 503');
+  const moved = pool.assign('amazon');
+  assert.notEqual(moved.proxy.id, amazon.proxy.id);
+  assert.deepEqual(pool.assign('amazon'), moved);
+});
+
+test('failing proxies are benched, skipped, and come back after the bench', () => {
+  let now = 0;
+  const pool = new NetworkIdentityPool({ proxies: PROXIES.slice(0, 2), maxFailures: 2, benchMs: 1000, now: () => now });
+  const events = [];
+  pool.on('benched', event => events.push(['benched', event.proxy]));
+  pool.on('recovered', event => events.push(['recovered', event.proxy]));
+  const [first] = pool.proxies;
+
+  pool.recordFailure(first, 'bot wall');
+  assert.equal(pool.isBenched('proxy-1'), false);
+  pool.recordFailure(first, 'bot wall');
+  assert.equal(pool.isBenched('proxy-1'), true);
+  assert.deepEqual([1, 2, 3].map(() => pool.assign('flipkart').proxy.id), ['proxy-2', 'proxy-2', 'proxy-2']);
+
+  // Failing straight after the bench doubles it
+  now = 1000;
+  pool.recordFailure(first, 'bot wall');
+  assert.equal(pool.report().proxies[0].benchedUntil, new Date(3000).toISOString());
+
+  now = 3000;
+  pool.recordSuccess(first);
+  assert.equal(pool.isBenched('proxy-1'), false);
+  assert.deepEqual(events, [['benched', 'proxy-1'], ['benched', 'proxy-1'], ['recovered', 'proxy-1']]);
+  assert.ok(pool.report().proxies[0].score < 1);
+});
+
+test('when every proxy is benched the one closest to coming back is used', () => {
+  let now = 0;
+  const pool = new NetworkIdentityPool({ proxies: PROXIES.slice(0, 2), maxFailures: 1, benchMs: 1000, now: () => now });
+
+  pool.recordFailure(pool.proxies[1], 'timeout');
+  now = 500;
+  pool.recordFailure(pool.proxies[0], 'timeout');
+
+  assert.equal(pool.assign('myntra').proxy.id, 'proxy-2');
+});
+
+test('requests can pin a proxy, go direct or pick a profile', () => {
+  const pool = new NetworkIdentityPool({ proxies: PROXIES, rotation: 'sticky' });
+
+  assert.equal(pool.assign('amazon', { proxy: 'dc-3' }).proxy.id, 'dc-3');
+  assert.equal(pool.assign('amazon', { proxy: 'none' }).proxy, null);
+  assert.equal(pool.assign('amazon', { profile: 'firefox-windows' }).profile.id, 'firefox-windows');
+  assert.throws(() => pool.assign('amazon', { proxy: 'nope' }), /Unknown proxy/);
+  // Pinned requests leave the sticky assignment alone
+  assert.equal(pool.sticky.size, 0);
+});
+
+test('without proxies scrapes go direct and only the profile rotates', () => {
+  const pool = new NetworkIdentityPool();
+  const first = pool.assign('amazon');
+  const second = pool.assign('amazon');
+
+  assert.equal(first.proxy, null);
+  assert.notEqual(first.profile.id, second.profile.id);
+  pool.recordFailure(null, 'HTTP 503');
+});
+
+test('config validation reports bad proxies and profiles; reports hide credentials', () => {
+  assert.deepEqual(validateNetworkConfig({ proxies: PROXIES }), []);
+  assert.deepEqual(validateNetworkConfig({
+    rotation: 'random',
+    proxies: ['socks5://127.0.0.1:1080', 'not a url', { id: 'a', url: 'http://h:1', profile: 'missing' }],
+    profiles: [{ id: 'x' }]
+  }), [
+    'rotation must be one of round-robin, sticky',
+    'profiles[0].userAgent is required',
+    'proxies[0] must be an http:// or https:// proxy',
+    'proxies[1] needs a valid url',
+    'proxies[2].profile "missing" is not a profile id'
+  ]);
+  assert.throws(() => new NetworkIdentityPool({ proxies: ['ftp://h:1'] }), /Invalid network config/);
+
+  const report = new NetworkIdentityPool({ proxies: PROXIES }).report();
+  assert.equal(report.proxies[2].server, 'http://127.0.0.1:8003');
+  assert.equal(report.proxies[2].authenticated, true);
+  assert.doesNotMatch(JSON.stringify(report), /u:p/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { effectivePrice, parseOffer, parseOffers, parsePaymentProfile } from '../../src/services/offers.js';
+import { parsePayment } from '../../src/utils/requestParams.js';
+
+test('bank offers: banks, card types, percentage, cap and minimum spend', () => {
+  const offer = parseOffer('10% Instant Discount on Kotak Credit and Debit Cards Min Spend ₹3,500, Max Discount ₹1,000.');
+  assert.equal(offer.type, 'bank');
+  assert.deepEqual(offer.banks, ['Kotak']);
+  assert.deepEqual(offer.cardTypes, ['credit', 'debit']);
+  assert.equal(offer.percent, 10);
+  assert.equal(offer.maxDiscount, 100000);
+  assert.equal(offer.minSpend, 350000);
+
+  const flat = parseOffer('Bank Offer₹4000 Off On HDFC Bank Credit Card Transactions T&C');
+  assert.deepEqual([flat.type, flat.banks, flat.amount, flat.percent], ['bank', ['HDFC'], 400000, null]);
+  assert.equal(flat.text, 'Bank Offer₹4000 Off On HDFC Bank Credit Card Transactions');
+});
+
+test('coupons, cashback, no-cost EMI and exchange are told apart', () => {
+  const [coupon, cashback, emi, exchange] = parseOffers([
+    'Save ₹500 with coupon',
+    'Get 5% cashback on Amazon Pay balance, up to ₹100',
+    'No Cost EMI: Upto ₹2,970.00 EMI interest savings on Amazon Pay ICICI Bank Credit Cards',
+    'Exchange Offer: Up to ₹32,000 off on exchange'
+  ]);
+  assert.deepEqual([coupon.type, coupon.amount], ['coupon', 50000]);
+  assert.deepEqual([cashback.type, cashback.percent, cashback.maxDiscount, cashback.cashback], ['cashback', 5, 10000, true]);
+  assert.deepEqual([emi.type, emi.banks], ['emi', ['ICICI']]);
+  assert.deepEqual([exchange.type, exchange.amount], ['exchange', 3200000]);
+
+  // Text that names no saving is not an offer
+  assert.deepEqual(parseOffers(['Partner Offer: Sign-up for Pay Later & get free benefits']), []);
+});
+
+test('payment profiles from phrases and objects', () => {
+  assert.deepEqual(parsePaymentProfile('HDFC credit card, no exchange'),
+    { bank: 'HDFC', cardType: 'credit', coupons: true, cashback: false, exchange: false });
+  assert.deepEqual(parsePaymentProfile('sbi debit card, exchange worth ₹12,000'),
+    { bank: 'SBI', cardType: 'debit', coupons: true, cashback: false, exchange: 12000 });
+  assert.deepEqual(parsePaymentProfile({ bank: 'icici bank', cashback: true }),
+    { bank: 'ICICI', cardType: null, coupons: true, cashback: true, exchange: false });
+
+  // Declined before or after the word
+  for (const phrase of ['HDFC card without exchange', 'HDFC card, exchange: no', 'HDFC card, not using an exchange', 'exchange - none']) {
+    assert.equal(parsePaymentProfile(phrase).exchange, false, phrase);
+  }
+  assert.equal(parsePaymentProfile('HDFC card with exchange').exchange, true);
+  assert.deepEqual(parsePaymentProfile('without cashback, coupons: no'),
+    { bank: null, cardType: null, coupons: false, cashback: false, exchange: false });
+  assert.equal(parsePaymentProfile('cashback: yes, without coupons').cashback, true);
+
+  assert.equal(parsePayment('{"bank":"Axis","cardType":"credit"}').bank, 'Axis');
+  assert.equal(parsePayment(undefined), undefined);
+  for (const invalid of ['Acme Bank card', { bank: 'Acme' }, { cardType: 'prepaid' }, { exchange: -1 }, ['HDFC'], '{oops']) {
+    assert.equal(parsePayment(invalid), null);
+  }
+});
+
+test('effective price takes the best offer of each kind the profile qualifies for', () => {
+  const offers = parseOffers([
+    '10% Instant Discount on HDFC Bank Credit Cards, Max Discount ₹1,500, Min Spend ₹5,000',
+    '₹1,000 Instant Discount on HDFC Bank Debit Cards',
+    '5% off on ICICI Bank Credit Cards',
+    'Apply coupon: save ₹200',
+    'Exchange Offer: Up to ₹3,000 off on exchange',
+    'No Cost EMI on HDFC Bank Credit Cards'
+  ]);
+
+  const hdfc = effectivePrice(2000000, offers, parsePaymentProfile('HDFC credit card, no exchange'));
+  assert.equal(hdfc.effectivePrice, 2000000 - 150000 - 20000);
+  assert.deepEqual(hdfc.applied.map(offer => [offer.type, offer.discount]), [['coupon', 20000], ['bank', 150000]]);
+  assert.equal(hdfc.emi.length, 1);
+
+  // Below the minimum spend only the debit offer is left, and the credit card does not get it
+  assert.equal(effectivePrice(400000, offers, parsePaymentProfile('HDFC credit card')).savings, 20000);
+  assert.equal(effectivePrice(400000, offers, parsePaymentProfile('HDFC debit card')).savings, 120000);
+
+  // An exchange counts for what the old device is worth, up to the advertised bonus
+  const exchange = effectivePrice(2000000, offers, { ...parsePaymentProfile('no coupons'), exchange: 2500 });
+  assert.deepEqual(exchange.applied, [{ type: 'exchange', text: 'Exchange Offer: Up to ₹3,000 off on exchange', discount: 250000 }]);
+
+  assert.equal(effectivePrice(null, offers, parsePaymentProfile('HDFC')).effectivePrice, null);
+});
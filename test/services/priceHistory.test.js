@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+const LINK = 'https://www.amazon.in/dp/B0CHX1W1XY';
+
+// Four earlier scrapes of one phone, a day apart; one found no price
+const dir = await mkdtemp(path.join(tmpdir(), 'price-history-'));
+process.env.PRICE_HISTORY_FILE = path.join(dir, 'price-history.json');
+const point = (day, price) => ({ timestamp: `2024-03-0${day}T10:00:00.000Z`, currency: 'INR', price, mrp: 7990000, discount: null, availability: 'in_stock' });
+await writeFile(process.env.PRICE_HISTORY_FILE, JSON.stringify({
+  version: 1,
+  products: {
+    [LINK]: {
+      platform: 'amazon',
+      productId: 'B0CHX1W1XY',
+      productLink: LINK,
+      title: 'Apple iPhone 15 (128 GB) - Black',
+      points: [point(1, 6990000), point(2, null), point(3, 6500000), point(4, 7100000)]
+    }
+  }
+}));
+
+const { getPriceHistory, listTrackedProducts, recordPrice, summarizePoints } = await import('../../src/services/priceHistory.js');
+const { default: historyRoutes } = await import('../../src/routes/historyRoutes.js');
+
+let server;
+let origin;
+
+before(async () => {
+  const app = express();
+  app.use('/api', historyRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('stats skip points without a price', () => {
+  assert.deepEqual(summarizePoints([{ price: 100 }, { price: null }, { price: 201 }, {}]), { count: 2, min: 100, max: 201, average: 151 });
+  assert.deepEqual(summarizePoints([{ price: null }]), { count: 0, min: null, max: null, average: null });
+});
+
+test('a date range narrows the points and stats but not the all-time low', async () => {
+  const all = await getPriceHistory(LINK);
+  assert.equal(all.points.length, 4);
+  assert.deepEqual(all.stats, { count: 3, min: 6500000, max: 7100000, average: 6863333 });
+  assert.deepEqual(all.range, { from: null, to: null });
+
+  const later = await getPriceHistory(LINK, { from: new Date('2024-03-04T00:00:00Z') });
+  assert.deepEqual(later.points.map(entry => entry.price), [7100000]);
+  assert.deepEqual(later.stats, { count: 1, min: 7100000, max: 7100000, average: 7100000 });
+  assert.deepEqual(later.allTimeLow, { price: 6500000, timestamp: '2024-03-03T10:00:00.000Z' });
+  assert.equal(later.range.from, '2024-03-04T00:00:00.000Z');
+
+  const none = await getPriceHistory(LINK, { from: new Date('2025-01-01'), to: new Date('2025-02-01') });
+  assert.deepEqual([none.points, none.currency, none.stats.count], [[], null, 0]);
+
+  // Any link to the product finds it
+  assert.equal((await getPriceHistory('https://www.amazon.in/Apple-iPhone-15/dp/B0CHX1W1XY/ref=sr_1_1?th=1')).productId, 'B0CHX1W1XY');
+  assert.equal(await getPriceHistory('https://www.flipkart.com/x/p/itm123?pid=MOB1'), null);
+});
+
+test('scrapes are recorded under the canonical link and persisted', async () => {
+  const stored = await recordPrice({
+    platform: 'flipkart',
+    productId: 'MOB1',
+    productLink: 'https://www.flipkart.com/apple-iphone-15/p/itm123?pid=MOB1&lid=LST1',
+    title: 'Apple iPhone 15',
+    price: 6899900,
+    mrp: 7990000,
+    currency: 'INR',
+    availability: 'in_stock'
+  });
+  assert.equal(stored.price, 6899900);
+  assert.equal(await recordPrice({ platform: 'flipkart', title: 'No link', price: 1 }), null);
+
+  const history = await getPriceHistory('https://www.flipkart.com/apple-iphone-15/p/itm123?pid=MOB1&marketplace=FLIPKART');
+  assert.deepEqual([history.platform, history.title, history.points.length, history.currency], ['flipkart', 'Apple iPhone 15', 1, 'INR']);
+
+  const onDisk = JSON.parse(await readFile(process.env.PRICE_HISTORY_FILE, 'utf8'));
+  assert.equal(Object.keys(onDisk.products).length, 2);
+  assert.deepEqual((await listTrackedProducts()).map(product => [product.platform, product.pointCount, product.latest.price]),
+    [['amazon', 4, 7100000], ['flipkart', 1, 6899900]]);
+});
+
+test('the history endpoint checks its query and answers 404 for unknown products', async () => {
+  const get = async query => {
+    const res = await fetch(`${origin}/api/history?${new URLSearchParams(query)}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  assert.deepEqual(await get({}), { status: 400, body: { success: false, error: 'link is required' } });
+  assert.equal((await get({ link: LINK, from: 'last tuesday' })).body.error, 'from and to must be ISO dates');
+  assert.equal((await get({ link: LINK, from: '2024-03-04', to: '2024-03-01' })).body.error, 'from must not be after to');
+  assert.deepEqual(await get({ link: 'https://www.amazon.in/dp/B000000000' }),
+    { status: 404, body: { success: false, error: 'No price history for this product' } });
+
+  // A bare "to" date covers that whole day
+  const ranged = await get({ link: LINK, from: '2024-03-02', to: '2024-03-03' });
+  assert.equal(ranged.status, 200);
+  assert.deepEqual(ranged.body.data.points.map(entry => entry.timestamp), ['2024-03-02T10:00:00.000Z', '2024-03-03T10:00:00.000Z']);
+  assert.equal(ranged.body.data.range.to, '2024-03-03T23:59:59.999Z');
+
+  const products = await (await fetch(`${origin}/api/history/products`)).json();
+  assert.equal(products.success, true);
+  assert.ok(products.data.some(product => product.productLink === LINK));
+});
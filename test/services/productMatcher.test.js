@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_MATCH_THRESHOLD, annotateMatches, extractAttributes, matchProducts } from '../../src/services/productMatcher.js';
+
+test('titles are reduced to brand, model, storage, RAM, colour and size', () => {
+  assert.deepEqual(extractAttributes('Apple iPhone 15 (Black, 128 GB)'), {
+    brand: 'apple', model: ['iphone', '15'], variants: [], storage: 128, ram: null, color: 'black', size: null
+  });
+
+  // "8GB+256GB" lists RAM first
+  const redmi = extractAttributes('Redmi Note 13 Pro (8GB+256GB, Midnight Black)');
+  assert.deepEqual([redmi.brand, redmi.ram, redmi.storage, redmi.variants], ['redmi', 8, 256, ['pro']]);
+  assert.equal(extractAttributes('Samsung Galaxy Book4 (16GB RAM, 1 TB SSD)').storage, 1024);
+
+  assert.equal(extractAttributes('Nike Revolution 7 Running Shoes UK 9').size, 'uk 9');
+  assert.equal(extractAttributes('Roadster Men Slim Fit T-shirt (Size: XL)').size, 'xl');
+  // A product line gives the brand away, and an explicit brand field wins
+  assert.equal(extractAttributes('iPhone 15 128GB').brand, 'apple');
+  assert.equal(extractAttributes('Galaxy S24', 'Samsung ').brand, 'samsung');
+});
+
+test('the same product on two stores matches however the title is worded', () => {
+  assert.deepEqual(matchProducts({ title: 'Apple iPhone 15 (128 GB) - Black' }, { title: 'Apple iPhone 15 (Black, 128 GB)' }),
+    { confidence: 1, conflicts: [] });
+  assert.deepEqual(matchProducts({ title: 'Galaxy S24 (256 GB)', brand: 'Samsung' }, { title: 'Samsung Galaxy S24 5G (Onyx Black, 256 GB)' }),
+    { confidence: 0.82, conflicts: [] });
+
+  // A colour is a variant of the same product, not another product
+  const otherColour = matchProducts({ title: 'Apple iPhone 15 (128 GB) - Black' }, { title: 'Apple iPhone 15 (Blue, 128 GB)' });
+  assert.deepEqual(otherColour, { confidence: 0.94, conflicts: ['color'] });
+  assert.ok(otherColour.confidence >= DEFAULT_MATCH_THRESHOLD);
+});
+
+test('a different model number, variant word, storage or size caps the confidence', () => {
+  const base = { title: 'Apple iPhone 15 (128 GB) - Black' };
+  for (const [title, conflict] of [
+    ['Apple iPhone 14 (Black, 128 GB)', 'model'],
+    ['Apple iPhone 15 Plus (Black, 128 GB)', 'model'],
+    ['Apple iPhone 15 (Black, 256 GB)', 'storage']
+  ]) {
+    const { confidence, conflicts } = matchProducts(base, { title });
+    assert.equal(confidence, 0.3, title);
+    assert.deepEqual(conflicts, [conflict], title);
+  }
+
+  const shoes = matchProducts({ title: 'Nike Revolution 7 Running Shoes UK 9' }, { title: 'Nike Revolution 7 Running Shoes UK 10' });
+  assert.deepEqual(shoes.conflicts, ['size']);
+  assert.ok(shoes.confidence <= 0.3);
+});
+
+test('compare entries are scored against the query and against each other', () => {
+  const entries = [
+    { platform: 'amazon', success: true, data: { title: 'Apple iPhone 15 (128 GB) - Black' } },
+    { platform: 'flipkart', success: true, data: { title: 'Apple iPhone 15 (Black, 128 GB)', brand: 'Apple' } },
+    { platform: 'myntra', success: true, data: { title: 'Apple iPhone 14 (Blue, 128 GB)' } },
+    { platform: 'other', success: false, error: 'Scraping failed' }
+  ];
+
+  const pairs = annotateMatches('iPhone 15 128GB', entries);
+  assert.deepEqual(entries.map(entry => entry.match && [entry.match.confidence, entry.match.matched, entry.match.conflicts]), [
+    [1, true, []],
+    [1, true, []],
+    [0.3, false, ['model']],
+    undefined
+  ]);
+  assert.equal(entries[0].match.attributes.storage, 128);
+  assert.deepEqual(pairs.map(pair => [pair.platforms, pair.confidence]), [
+    [['amazon', 'flipkart'], 1],
+    [['amazon', 'myntra'], 0.3],
+    [['flipkart', 'myntra'], 0.3]
+  ]);
+
+  // A stricter threshold turns a colour difference into a mismatch
+  const strict = [{ platform: 'amazon', success: true, data: { title: 'Apple iPhone 15 (Blue, 128 GB)' } }];
+  annotateMatches('Apple iPhone 15 Black 128GB', strict, { threshold: 0.95 });
+  assert.deepEqual([strict[0].match.confidence, strict[0].match.matched], [0.94, false]);
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { FileCacheBackend, MemoryCacheBackend, ResultCache, buildCacheKey } from '../../src/services/resultCache.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A computation that counts its runs and answers with the given results in turn
+ * @param {...Object} results - Values to return, one per run
+ * @returns {Function & { runs: number }}
+ */
+function counted(...results) {
+  const compute = async () => {
+    compute.runs += 1;
+    return results.shift();
+  };
+  compute.runs = 0;
+  return compute;
+}
+
+test('a stored result is a hit until its TTL runs out; fresh bypasses it and stores the new one', async () => {
+  const cache = new ResultCache({ backend: new MemoryCacheBackend(), ttlMs: 50 });
+  const compute = counted({ success: true, price: 1 }, { success: true, price: 2 }, { success: true, price: 3 });
+
+  const miss = await cache.getOrCompute('k', compute);
+  assert.deepEqual([miss.status, miss.value.price, miss.expiresAt - miss.storedAt], ['MISS', 1, 50]);
+
+  const hit = await cache.getOrCompute('k', compute);
+  assert.deepEqual([hit.status, hit.value.price, hit.storedAt], ['HIT', 1, miss.storedAt]);
+
+  const bypass = await cache.getOrCompute('k', compute, { fresh: true });
+  assert.deepEqual([bypass.status, bypass.value.price], ['BYPASS', 2]);
+  assert.equal((await cache.getOrCompute('k', compute)).value.price, 2);
+
+  await wait(60);
+  const expired = await cache.getOrCompute('k', compute);
+  assert.deepEqual([expired.status, expired.value.price], ['MISS', 3]);
+  assert.equal(compute.runs, 3);
+});
+
+test('concurrent lookups of one key share a single computation', async () => {
+  const cache = new ResultCache({ backend: new MemoryCacheBackend(), ttlMs: 60000 });
+  let finish;
+  const compute = async () => {
+    compute.runs = (compute.runs || 0) + 1;
+    return new Promise(resolve => { finish = resolve; });
+  };
+
+  const first = cache.getOrCompute('k', compute);
+  const second = cache.getOrCompute('k', compute);
+  const other = cache.getOrCompute('other', async () => ({ success: true, price: 9 }));
+  await wait(0);
+  // Started after the lookup began, so its result is fresh enough
+  const bypass = cache.getOrCompute('k', compute, { fresh: true });
+  finish({ success: true, price: 1 });
+
+  const results = await Promise.all([first, second, bypass]);
+  assert.deepEqual(results.map(({ status, coalesced, value }) => [status, coalesced, value.price]), [
+    ['MISS', false, 1],
+    ['MISS', true, 1],
+    ['BYPASS', true, 1]
+  ]);
+  assert.equal(compute.runs, 1);
+  assert.equal((await other).value.price, 9);
+  assert.equal(cache.inFlight.size, 0);
+});
+
+test('failures are returned but not stored, and a thrown computation can be retried', async () => {
+  const cache = new ResultCache({ backend: new MemoryCacheBackend(), ttlMs: 60000 });
+  const compute = counted({ success: false, error: 'Blocked', code: 'BLOCKED' }, null, { success: true, price: 1 });
+
+  assert.equal((await cache.getOrCompute('k', compute)).value.code, 'BLOCKED');
+  assert.equal((await cache.getOrCompute('k', compute)).value, null);
+  assert.equal(cache.backend.entries.size, 0);
+  assert.equal((await cache.getOrCompute('k', compute)).value.price, 1);
+  assert.equal((await cache.getOrCompute('k', compute)).status, 'HIT');
+  assert.equal(compute.runs, 3);
+
+  await assert.rejects(cache.getOrCompute('thrown', async () => { throw new Error('Browser crashed'); }), /Browser crashed/);
+  assert.equal(cache.inFlight.size, 0);
+  assert.equal((await cache.getOrCompute('thrown', counted({ success: true }))).status, 'MISS');
+});
+
+test('keys ignore query case and spacing, option order and options left at their defaults', () => {
+  assert.equal(buildCacheKey('amazon', '  iPhone   15 '), 'amazon:iphone 15');
+  assert.equal(buildCacheKey('amazon', 'iphone 15', { mode: 'http', maxResults: 0, debug: false, proxy: undefined }),
+    'amazon:iphone 15?mode="http"');
+  assert.equal(buildCacheKey('amazon', 'iphone 15', { profile: { bank: 'hdfc' }, mode: 'http' }),
+    buildCacheKey('amazon', 'iphone 15', { mode: 'http', profile: { bank: 'hdfc' } }));
+  assert.notEqual(buildCacheKey('amazon', 'iphone 15'), buildCacheKey('flipkart', 'iphone 15'));
+});
+
+test('the file backend keeps entries across instances and drops expired ones on write', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'result-cache-'));
+  const file = path.join(dir, 'cache.json');
+  try {
+    const writer = new ResultCache({ backend: new FileCacheBackend(file), ttlMs: 60000 });
+    await writer.getOrCompute('k', counted({ success: true, price: 1 }));
+    await writer.backend.set('stale', { value: { success: true }, storedAt: 0, expiresAt: 1 });
+
+    const reader = new ResultCache({ backend: new FileCacheBackend(file), ttlMs: 60000 });
+    const hit = await reader.getOrCompute('k', counted());
+    assert.deepEqual([hit.status, hit.value.price], ['HIT', 1]);
+
+    await reader.backend.set('new', { value: { success: true }, storedAt: Date.now(), expiresAt: Date.now() + 60000 });
+    assert.equal(await reader.backend.get('stale'), undefined);
+    await reader.invalidate('k');
+    assert.equal(await reader.backend.get('k'), undefined);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a lookup that aborts stops waiting; the shared computation is cancelled only when every lookup has', async () => {
+  const cache = new ResultCache({ backend: new MemoryCacheBackend(), ttlMs: 60000 });
+  let finish;
+  let computeSignal;
+  const compute = async signal => {
+    computeSignal = signal;
+    return new Promise(resolve => { finish = resolve; });
+  };
+
+  const leaving = new AbortController();
+  const staying = new AbortController();
+  const first = cache.getOrCompute('k', compute, { signal: leaving.signal });
+  const second = cache.getOrCompute('k', compute, { signal: staying.signal });
+  await wait(0);
+
+  leaving.abort(new Error('Client went away'));
+  await assert.rejects(first, /Client went away/);
+  assert.equal(computeSignal.aborted, false);
+  finish({ success: true, price: 1 });
+  const shared = await second;
+  assert.deepEqual([shared.coalesced, shared.value.price], [true, 1]);
+
+  // Both give up: the computation is told to stop and the next lookup starts its own
+  const a = new AbortController();
+  const b = new AbortController();
+  const waits = [cache.getOrCompute('j', compute, { signal: a.signal }), cache.getOrCompute('j', compute, { signal: b.signal })];
+  await wait(0);
+  a.abort();
+  assert.equal(computeSignal.aborted, false);
+  b.abort(new Error('Timed out'));
+  assert.equal(computeSignal.aborted, true);
+  assert.equal(computeSignal.reason.message, 'Timed out');
+  await Promise.all(waits.map(waiting => assert.rejects(waiting)));
+  assert.equal(cache.inFlight.size, 0);
+
+  await assert.rejects(cache.getOrCompute('j', compute, { signal: AbortSignal.abort() }));
+  assert.equal(cache.inFlight.size, 0);
+});
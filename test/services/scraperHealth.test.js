@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScraperHealth } from '../../src/services/scraperHealth.js';
+
+const rules = {
+  title: { selectors: ['h1', '.title'], parse: 'text', required: true },
+  offers: { selectors: ['li'], parse: 'list' },
+  cart: { selectors: ['button'], parse: 'exists', minSuccessRate: 0.5 },
+  seller: { selectors: ['.seller'], parse: 'text', minSuccessRate: 0.5 }
+};
+
+const extraction = ({ title = 'Phone', titleFrom = 0, offers = [], cart = true, seller = 'RetailNet' } = {}) => ({
+  values: { title, offers, cart, seller },
+  matched: { title: title ? titleFrom : null, offers: offers.length ? 0 : null, cart: cart ? 0 : null, seller: seller ? 0 : null }
+});
+
+test('success rates and selector hits are kept per field', () => {
+  const health = new ScraperHealth({ window: 10, threshold: 0.8, minSamples: 3 });
+
+  health.record('amazon', 1, 'product', rules, extraction());
+  health.record('amazon', 1, 'product', rules, extraction({ titleFrom: 1, offers: ['Bank offer'] }));
+  health.record('amazon', 1, 'product', rules, extraction({ title: null }));
+
+  const { platforms } = health.report();
+  assert.equal(platforms.amazon.extractions, 3);
+  assert.equal(platforms.amazon.degraded, 1);
+  assert.equal(platforms.amazon.fields['product.title'].successRate, 2 / 3);
+  assert.deepEqual(platforms.amazon.fields['product.title'].selectorHits, [1, 1]);
+  assert.equal(platforms.amazon.fields['product.offers'].successRate, 1 / 3);
+  // Optional fields without minSuccessRate never alert
+  assert.equal(platforms.amazon.fields['product.offers'].status, 'ok');
+  assert.equal(platforms.amazon.status, 'degraded');
+});
+
+test('alerts fire once below the threshold and recover once above it', () => {
+  const health = new ScraperHealth({ window: 4, threshold: 0.75, minSamples: 4 });
+  const events = [];
+  health.on('alert', event => events.push(['alert', event.field, event.successRate]));
+  health.on('recovered', event => events.push(['recovered', event.field, event.successRate]));
+
+  for (const title of ['A', 'B', null, null, null, 'C', 'D', 'E', 'F']) {
+    health.record('flipkart', 3, 'product', rules, extraction({ title }));
+  }
+
+  assert.deepEqual(events, [
+    ['alert', 'product.title', 0.5],
+    ['recovered', 'product.title', 0.75]
+  ]);
+});
+
+test('per-field minSuccessRate overrides the default threshold', () => {
+  const health = new ScraperHealth({ window: 4, threshold: 0.9, minSamples: 2 });
+  const alerts = [];
+  health.on('alert', event => alerts.push(event));
+
+  health.record('flipkart', 1, 'product', rules, extraction({ seller: null }));
+  health.record('flipkart', 1, 'product', rules, extraction({ seller: 'RetailNet' }));
+  assert.equal(alerts.length, 0);
+
+  health.record('flipkart', 1, 'product', rules, extraction({ seller: null }));
+  assert.deepEqual(alerts.map(alert => [alert.field, alert.threshold]), [['product.seller', 0.5]]);
+});
+
+test('an exists field that reads false was found; only a field that was not read is missed', () => {
+  const health = new ScraperHealth({ window: 4, threshold: 0.9, minSamples: 2 });
+  const alerts = [];
+  health.on('alert', event => alerts.push(event));
+
+  // Out-of-stock pages have no cart button
+  for (const cart of [false, false, true, false]) {
+    health.record('flipkart', 1, 'product', rules, extraction({ cart }));
+  }
+  assert.equal(health.report().platforms.flipkart.fields['product.cart'].successRate, 1);
+  assert.equal(alerts.length, 0);
+
+  for (const cart of [null, null, null]) {
+    health.record('flipkart', 1, 'product', rules, extraction({ cart }));
+  }
+  assert.deepEqual(alerts.map(alert => [alert.field, alert.successRate]), [['product.cart', 0.25]]);
+});
+
+test('stats start over when the selector map version changes', () => {
+  const health = new ScraperHealth({ window: 10, threshold: 0.8, minSamples: 1 });
+
+  health.record('myntra', 1, 'tile', rules, extraction({ title: null }));
+  health.record('myntra', 2, 'tile', rules, extraction());
+
+  const { platforms } = health.report();
+  assert.equal(platforms.myntra.selectorVersion, 2);
+  assert.equal(platforms.myntra.extractions, 1);
+  assert.equal(platforms.myntra.fields['tile.title'].successRate, 1);
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'watchlist-'));
+process.env.WATCHLIST_FILE = path.join(dir, 'watchlist.json');
+const { checkWatch, createWatch, crossesThreshold, shouldAlert } = await import('../../src/services/watchlist.js');
+const { getPlatform } = await import('../../src/scrapers/registry.js');
+const { setNameProvider } = await import('../../src/services/nameProviders/index.js');
+
+// Names come from the link alone
+setNameProvider(null);
+
+let server;
+let webhookUrl;
+let webhookStatus = 200;
+const delivered = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (webhookStatus === 200) delivered.push({ key: req.headers['idempotency-key'], ...JSON.parse(body) });
+      res.writeHead(webhookStatus).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Answer a platform's scrapes with the given prices instead of opening the store
+ * @param {string} id - Platform id
+ * @param {number[]} prices - Prices in paise, one per scrape
+ * @returns {Object[]} The calls made: { kind, input, options }
+ */
+function fakeScrapes(id, prices) {
+  const platform = getPlatform(id);
+  const calls = [];
+  const answer = (kind, input, options) => {
+    calls.push({ kind, input, options });
+    const price = prices.shift();
+    return price === undefined
+      ? { success: false, error: 'No more prices', code: 'SCRAPE_FAILED', retryable: false }
+      : { success: true, data: { platform: id, title: 'Phone', price, currency: 'INR', productLink: `https://${id}.example/p` } };
+  };
+  platform.scrape = async (query, options) => answer('search', query, options);
+  platform.scrapeUrl = async (link, options) => answer('link', link, options);
+  return calls;
+}
+
+test('a target price or a drop from the first price seen crosses the threshold', () => {
+  const target = { targetPrice: 5000000, dropPercent: null };
+  assert.equal(crossesThreshold(target, 5000000, 6000000), true);
+  assert.equal(crossesThreshold(target, 5000100, 6000000), false);
+
+  const drop = { targetPrice: null, dropPercent: 10 };
+  assert.equal(crossesThreshold(drop, 5400000, 6000000), true);
+  assert.equal(crossesThreshold(drop, 5400100, 6000000), false);
+  assert.equal(crossesThreshold(drop, 100, null), false);
+});
+
+test('a crossing alerts once, again only lower, and re-arms once the price leaves the threshold', () => {
+  const state = { alertedPrice: null };
+  assert.equal(shouldAlert(state, true, 5000000), true);
+  state.alertedPrice = 5000000;
+  assert.equal(shouldAlert(state, true, 5000000), false);
+  assert.equal(shouldAlert(state, true, 4900000), true);
+  state.alertedPrice = 4900000;
+
+  assert.equal(shouldAlert(state, false, 6000000), false);
+  assert.equal(state.alertedPrice, null);
+  assert.equal(shouldAlert(state, true, 5000000), true);
+});
+
+test('checks re-scrape fresh, alert on a drop once and retry undelivered alerts', async () => {
+  const calls = fakeScrapes('flipkart', [6000000, 5400000, 5400000, 5300000, 5200000, 5200000]);
+  const watch = await createWatch({ productName: 'Phone', platforms: ['flipkart'], dropPercent: 10, webhookUrl });
+
+  const alerted = async () => (await checkWatch(watch.id))[0].alerted;
+  assert.equal(await alerted(), false);
+  assert.equal(await alerted(), true);
+  assert.equal(await alerted(), false);
+  assert.equal(await alerted(), true);
+  assert.deepEqual(delivered.map(alert => [alert.price, alert.baseline, alert.key]), [
+    [5400000, 6000000, `${watch.id}:flipkart:5400000`],
+    [5300000, 6000000, `${watch.id}:flipkart:5300000`]
+  ]);
+
+  // The webhook refuses: the drop is alerted again on the next check
+  webhookStatus = 400;
+  assert.equal(await alerted(), true);
+  webhookStatus = 200;
+  assert.equal(await alerted(), true);
+  assert.deepEqual(delivered.map(alert => alert.price), [5400000, 5300000, 5200000]);
+
+  assert.ok(calls.every(call => call.kind === 'search' && call.input === 'Phone' && call.options.fresh === true));
+});
+
+test('a link without a name still checks its own store; only searches fail without one', async () => {
+  const amazon = fakeScrapes('amazon', [6000000]);
+  const myntra = fakeScrapes('myntra', [6000000]);
+  const watch = await createWatch({
+    productLink: 'https://www.amazon.in/gp/product/B0CHX1W1XY',
+    platforms: ['amazon', 'myntra'],
+    targetPrice: 1000
+  });
+
+  const outcomes = await checkWatch(watch.id);
+  assert.deepEqual(outcomes.map(outcome => [outcome.platform, outcome.success, outcome.error]), [
+    ['amazon', true, undefined],
+    ['myntra', false, 'Could not derive a product name from the link']
+  ]);
+  assert.deepEqual(amazon.map(call => [call.kind, call.input, call.options]),
+    [['link', 'https://www.amazon.in/gp/product/B0CHX1W1XY', { fresh: true }]]);
+  assert.equal(myntra.length, 0);
+});
@@ -0,0 +1,122 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import puppeteer from 'puppeteer';
+import { BrowserPool } from '../../src/utils/browserPool.js';
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+let launched;
+
+/**
+ * A stand-in for a Chromium process: pages and contexts that only record being closed
+ * @returns {EventEmitter} Fake browser
+ */
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  const newPage = () => ({ closed: false, isClosed() { return this.closed; }, async close() { this.closed = true; } });
+  Object.assign(browser, {
+    connected: true,
+    contexts: [],
+    newPage: async () => newPage(),
+    createBrowserContext: async options => {
+      const context = { options, closed: false, newPage: async () => newPage(), async close() { this.closed = true; } };
+      browser.contexts.push(context);
+      return context;
+    },
+    close: async () => { browser.connected = false; }
+  });
+  return browser;
+}
+
+beforeEach(() => {
+  launched = [];
+  mock.method(puppeteer, 'launch', async () => {
+    const browser = fakeBrowser();
+    launched.push(browser);
+    return browser;
+  });
+});
+
+test('callers beyond maxPages wait in order and get the pages handed back', async () => {
+  const pool = new BrowserPool({ maxPages: 2 });
+  const first = await pool.acquire();
+  await pool.acquire();
+
+  const order = [];
+  const third = pool.acquire().then(page => { order.push('third'); return page; });
+  const fourth = pool.acquire().then(page => { order.push('fourth'); return page; });
+  assert.equal(pool.waiting.length, 2);
+
+  await pool.release(first);
+  assert.equal(first.closed, true);
+  await third;
+  assert.deepEqual(order, ['third']);
+  assert.equal(pool.slotsInUse, 2);
+
+  await pool.release(await third);
+  await fourth;
+  assert.deepEqual(order, ['third', 'fourth']);
+  // All pages came from one browser
+  assert.equal(launched.length, 1);
+  assert.equal(pool.activePages.size, 2);
+});
+
+test('a caller gives up after acquireTimeout, or when its signal aborts', async () => {
+  const pool = new BrowserPool({ maxPages: 1, acquireTimeout: 50 });
+  const page = await pool.acquire();
+
+  await assert.rejects(pool.acquire(), /Timed out after 50ms waiting for a free browser page/);
+  const controller = new AbortController();
+  const waiting = pool.acquire({ signal: controller.signal });
+  controller.abort();
+  await assert.rejects(waiting, /Stopped waiting/);
+  assert.equal(pool.waiting.length, 0);
+
+  // Neither took the slot with them
+  await pool.release(page);
+  assert.equal(pool.slotsInUse, 0);
+});
+
+test('a crashed browser is relaunched for the next page, once for concurrent callers', async () => {
+  const pool = new BrowserPool({ maxPages: 3 });
+  await Promise.all([pool.acquire(), pool.acquire()]);
+  assert.equal(launched.length, 1);
+
+  launched[0].connected = false;
+  launched[0].emit('disconnected');
+  assert.equal(pool.browser, null);
+
+  await pool.acquire();
+  assert.equal(launched.length, 2);
+  assert.equal(pool.browser, launched[1]);
+});
+
+test('proxied pages get a browser context of their own, closed with the page', async () => {
+  const pool = new BrowserPool({ maxPages: 1 });
+  const page = await pool.acquire({ proxy: { protocol: 'http:', host: 'proxy.example', port: 8080 } });
+  const [context] = launched[0].contexts;
+  assert.deepEqual(context.options, { proxyServer: 'http://proxy.example:8080' });
+
+  await pool.release(page);
+  assert.deepEqual([page.closed, context.closed, pool.contexts.size], [true, true, 0]);
+});
+
+test('shutdown rejects waiting callers, closes the browser and never launches another', async () => {
+  const pool = new BrowserPool({ maxPages: 1 });
+  await pool.acquire();
+  const waiting = pool.acquire();
+
+  await pool.shutdown();
+  await assert.rejects(waiting, /shut down/);
+  assert.equal(launched[0].connected, false);
+  await assert.rejects(pool.acquire(), /shut down/);
+
+  // A caller that had its slot before the shutdown does not bring Chromium back
+  const late = new BrowserPool({ maxPages: 1 });
+  await late.reserveSlot();
+  await late.shutdown();
+  await assert.rejects(late.getBrowser(), /shut down/);
+  assert.equal(launched.length, 1);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../../src/utils/csv.js';
+
+test('cells are split on commas and trimmed; blank lines are skipped', () => {
+  assert.deepEqual(parseCsv('productName,platform\n iPhone 15 , amazon\n\n,\nPixel 8,flipkart\n'), [
+    ['productName', 'platform'],
+    ['iPhone 15', 'amazon'],
+    ['Pixel 8', 'flipkart']
+  ]);
+});
+
+test('quoted cells keep commas, escaped quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('"Samsung 55"" TV, 4K",myntra\r\n"two\nlines",x'), [
+    ['Samsung 55" TV, 4K', 'myntra'],
+    ['two\nlines', 'x']
+  ]);
+});
+
+test('a byte order mark and a missing final newline are handled', () => {
+  assert.deepEqual(parseCsv('\uFEFFlink\nhttps://www.amazon.in/dp/B0CHX1W1XY'), [
+    ['link'],
+    ['https://www.amazon.in/dp/B0CHX1W1XY']
+  ]);
+  assert.deepEqual(parseCsv(''), []);
+});
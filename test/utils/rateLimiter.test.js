@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../../src/utils/rateLimiter.js';
+
+test('starts are spaced at least the interval apart, in the order asked for', async () => {
+  const limiter = new RateLimiter(50);
+  const started = Date.now();
+  const order = [];
+
+  await Promise.all([0, 1, 2].map(async id => {
+    await limiter.wait();
+    order.push([id, Date.now() - started]);
+  }));
+
+  assert.deepEqual(order.map(([id]) => id), [0, 1, 2]);
+  assert.ok(order[0][1] < 40);
+  assert.ok(order[1][1] >= 45 && order[2][1] >= 95);
+});
+
+test('a pause holds back callers that have no slot yet', async () => {
+  const limiter = new RateLimiter(10);
+  await limiter.wait();
+
+  limiter.pause(80);
+  const started = Date.now();
+  await limiter.wait();
+  assert.ok(Date.now() - started >= 75);
+
+  // A pause shorter than the queue already waiting changes nothing
+  const before = limiter.nextSlot;
+  limiter.pause(0);
+  assert.equal(limiter.nextSlot, before);
+});